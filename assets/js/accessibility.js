@@ -0,0 +1,181 @@
+/**
+ * Smartico Lootbox Game - Accessibility
+ *
+ * Keyboard and screen-reader support shared by the core and the layouts: clickable elements
+ * marked role="button" react to Enter/Space, modals behave as dialogs (focus moves in and is
+ * trapped, Escape closes, focus returns afterwards), messages are announced through a
+ * polite live region, and the reduced-motion mode follows the player's preference.
+ */
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// ============================================
+// BUTTONS
+// ============================================
+
+/**
+ * Keydown handler that activates elements with role="button" on Enter and Space, like native
+ * buttons. Attached once to the game wrapper, so it covers the layouts and the shared modals.
+ *
+ * @param {KeyboardEvent} event - The keydown event
+ */
+export const activateButtonOnKeydown = (event) => {
+    if (event.key !== 'Enter' && event.key !== ' ') return;
+
+    const button = event.target.closest?.('[role="button"]');
+    if (!button || button !== event.target || button.tagName === 'BUTTON') return;
+
+    event.preventDefault();
+    button.click();
+};
+
+// ============================================
+// DIALOGS
+// ============================================
+
+/**
+ * Gets the focusable elements inside an element, in tab order.
+ *
+ * @param {HTMLElement} element - The container
+ * @returns {Array<HTMLElement>} Focusable elements
+ */
+const getFocusableElements = (element) => {
+    return [...element.querySelectorAll(FOCUSABLE_SELECTOR)].filter(item => !item.closest('[hidden]'));
+};
+
+/**
+ * Moves the focus back to where it was before a dialog opened. Boxes are often re-rendered
+ * while a dialog is open, so a replaced box is found again by its data-group-id, within the
+ * game the dialog belongs to (other games on the page have boxes with the same ids).
+ *
+ * @param {HTMLElement|null} previousFocus - Element focused before the dialog opened
+ * @param {string|undefined} groupId - data-group-id of the box it belonged to, if any
+ * @param {Element|Document} root - Element the box is looked up in
+ */
+const restoreFocus = (previousFocus, groupId, root) => {
+    if (previousFocus?.isConnected) {
+        previousFocus.focus();
+        return;
+    }
+    if (groupId !== undefined) {
+        root.querySelector(`[data-group-id="${groupId}"][tabindex]`)?.focus();
+    }
+};
+
+/**
+ * Makes an element behave as a modal dialog: sets the dialog role and label, moves the focus
+ * into it, keeps Tab/Shift+Tab inside and calls onClose on Escape.
+ *
+ * @param {HTMLElement} dialog - The dialog element (the visible box, not the backdrop)
+ * @param {Object} options - Dialog options
+ * @param {string} options.label - Accessible name of the dialog, e.g. its title
+ * @param {Function} [options.onClose] - Called on Escape
+ * @param {string} [options.role] - 'dialog' (default) or 'alertdialog' for errors
+ * @param {HTMLElement} [options.initialFocus] - Element to focus, the first focusable one by default
+ * @returns {Function} Releases the dialog: removes the listeners and restores the focus
+ */
+export const openDialog = (dialog, { label, onClose, role = 'dialog', initialFocus }) => {
+    const previousFocus = document.activeElement;
+    const groupId = previousFocus?.closest?.('[data-group-id]')?.dataset.groupId;
+    const focusRoot = dialog.closest('.game-wrapper') || document;
+
+    dialog.setAttribute('role', role);
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-label', label);
+    dialog.setAttribute('tabindex', '-1');
+
+    const onKeydown = (event) => {
+        if (event.key === 'Escape' && onClose) {
+            event.preventDefault();
+            event.stopPropagation();
+            onClose();
+            return;
+        }
+        if (event.key !== 'Tab') return;
+
+        const focusable = getFocusableElements(dialog);
+        if (focusable.length === 0) {
+            event.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    };
+    dialog.addEventListener('keydown', onKeydown);
+
+    (initialFocus || getFocusableElements(dialog)[0] || dialog).focus();
+
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        dialog.removeEventListener('keydown', onKeydown);
+        restoreFocus(previousFocus, groupId, focusRoot);
+    };
+};
+
+// ============================================
+// LIVE REGION
+// ============================================
+
+/**
+ * Announces a message to screen readers through a live region. The region is emptied first,
+ * so the same message (e.g. a second "Locked") is announced again.
+ *
+ * @param {HTMLElement} region - Element with aria-live
+ * @param {string} message - Plain text to announce
+ */
+export const announce = (region, message) => {
+    if (!region || !message) return;
+
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 50);
+};
+
+// ============================================
+// REDUCED MOTION
+// ============================================
+
+/**
+ * Decides if the game runs in reduced-motion mode: the template's reduced_motion flag wins
+ * when it's set, otherwise the player's prefers-reduced-motion setting is followed.
+ *
+ * @param {boolean} [configured] - reduced_motion of the UI definition
+ * @returns {boolean} True if movement should be replaced with fades
+ */
+export const isReducedMotion = (configured) => {
+    if (typeof configured === 'boolean') return configured;
+    return !!window.matchMedia?.(REDUCED_MOTION_QUERY).matches;
+};
+
+/**
+ * Calls back when the player changes the prefers-reduced-motion setting.
+ *
+ * @param {Function} callback - Called without arguments
+ * @returns {Function} Stops calling back
+ */
+export const onReducedMotionChange = (callback) => {
+    const query = window.matchMedia?.(REDUCED_MOTION_QUERY);
+    const onChange = () => callback();
+    query?.addEventListener?.('change', onChange);
+    return () => query?.removeEventListener?.('change', onChange);
+};
@@ -0,0 +1,164 @@
+/**
+ * Smartico Lootbox Game - Analytics
+ *
+ * Structured events of what the player does in the game (funnel tracking): the game loading,
+ * box clicks with the box's status (e.g. taps on locked boxes), the map reveal overlay being
+ * opened and left before the gift was open, the error codes shown, the modals opened and closed
+ * and drag scrolling.
+ *
+ * Every event is a flat object: { name, templateId, layout, timestamp, ...details }. The game
+ * hands it to each adapter of the mount option "analytics": a dataLayer (Google Tag Manager),
+ * postMessage to the page embedding the game (only to an allowed origin, like the frame bridge),
+ * a console logger for local debugging, or any function. A failing adapter is logged and never
+ * breaks the game.
+ *
+ * No DOM is needed, so it runs in the node test suite as it is.
+ */
+
+import { getTargetOrigin } from './frameBridge.js';
+
+/**
+ * Names of the tracked events
+ */
+export const AnalyticsEvent = {
+    // The game is rendered: { loadMs, groupCount }
+    GameLoad: 'game_load',
+    // The game couldn't be loaded: { message }
+    GameLoadError: 'game_load_error',
+    // A box was clicked: { groupId, prizeId, status }
+    BoxClick: 'box_click',
+    // The map reveal overlay was opened: { groupId, reveal }
+    RevealOpen: 'reveal_open',
+    // The map reveal overlay was closed before the gift was open: { groupId, reveal, progress }
+    RevealAbandon: 'reveal_abandon',
+    // An error was shown to the player: { errCode, message }
+    Error: 'error',
+    // A modal was opened / closed: { modal }
+    ModalOpen: 'modal_open',
+    ModalClose: 'modal_close',
+    // An acknowledge button took the player to its target: { prizeId, action: 'url'|'deep-link', target }
+    PrizeAction: 'prize_action',
+    // The boxes were scrolled by dragging: { distance } in pixels
+    DragScroll: 'drag_scroll'
+};
+
+// Prefix of the dataLayer event names, e.g. "lootbox_box_click"
+const DATA_LAYER_PREFIX = 'lootbox_';
+// type of the messages posted by the postMessage adapter
+export const ANALYTICS_MESSAGE_TYPE = 'lootbox:analytics';
+
+// ============================================
+// ADAPTERS
+// ============================================
+
+/**
+ * Creates an adapter that pushes the events to a Google Tag Manager dataLayer.
+ *
+ * @param {Array} [dataLayer] - The dataLayer, window.dataLayer by default (created if missing)
+ * @returns {Function} Adapter
+ */
+export const createDataLayerAdapter = (dataLayer) => {
+    const target = dataLayer || (globalThis.dataLayer = globalThis.dataLayer || []);
+
+    return ({ name, ...details }) => {
+        target.push({ event: DATA_LAYER_PREFIX + name, ...details });
+    };
+};
+
+/**
+ * Creates an adapter that posts the events to the page embedding the game, as
+ * { type: 'lootbox:analytics', event }. The events go to the same origin as the messages of the
+ * frame bridge: the embedding page's if it's allowed, otherwise the first allowed one. Nothing is
+ * posted without allowed origins.
+ *
+ * @param {Object} [options] - Adapter options
+ * @param {Array<string>} [options.allowedOrigins] - Origins of the pages allowed to embed the game
+ * @param {Window} [options.target] - Window to post to, window.parent by default
+ * @param {string} [options.referrer] - URL of the embedding page, document.referrer by default
+ * @returns {Function} Adapter
+ */
+export const createPostMessageAdapter = ({ allowedOrigins = [], target, referrer } = {}) => {
+    const receiver = target || globalThis.parent;
+    // Outside an iframe the parent is the game window itself
+    if (!receiver || receiver === globalThis) {
+        console.warn('Analytics: the game is not embedded, no window to post the events to');
+        return () => {};
+    }
+
+    const origin = getTargetOrigin(allowedOrigins, referrer ?? globalThis.document?.referrer);
+    if (!origin) {
+        console.warn('Analytics: no allowed origin to post the events to');
+        return () => {};
+    }
+
+    return (event) => {
+        receiver.postMessage({ type: ANALYTICS_MESSAGE_TYPE, event }, origin);
+    };
+};
+
+/**
+ * Creates an adapter that logs the events, for local debugging.
+ *
+ * @param {Object} [logger] - Object with a log method, console by default
+ * @returns {Function} Adapter
+ */
+export const createConsoleAdapter = (logger = console) => {
+    return ({ name, ...details }) => {
+        logger.log(`[lootbox analytics] ${name}`, details);
+    };
+};
+
+// Adapters that can be given by name in the analytics option
+const NAMED_ADAPTERS = {
+    dataLayer: () => createDataLayerAdapter(),
+    postMessage: ({ parentOrigins }) => createPostMessageAdapter({ allowedOrigins: parentOrigins }),
+    console: () => createConsoleAdapter()
+};
+
+/**
+ * Resolves the analytics option of mount into adapter functions.
+ *
+ * @param {Array|string|Function} [option] - Adapter names ('dataLayer', 'postMessage', 'console') and/or functions
+ * @param {Object} [config] - Adapter settings from the mount options
+ * @param {Array<string>} [config.parentOrigins] - Origins the postMessage adapter may post to
+ * @returns {Array<Function>} Adapters
+ */
+export const resolveAnalyticsAdapters = (option, config = {}) => {
+    if (!option) return [];
+
+    return [].concat(option).map((adapter) => {
+        if (typeof adapter === 'function') return adapter;
+        if (NAMED_ADAPTERS[adapter]) return NAMED_ADAPTERS[adapter](config);
+
+        console.warn(`Analytics: unknown adapter ${adapter}`);
+        return null;
+    }).filter(Boolean);
+};
+
+// ============================================
+// TRACKER
+// ============================================
+
+/**
+ * Creates the event tracker of a game.
+ *
+ * @param {Object} options - Tracker options
+ * @param {Array<Function>} options.adapters - Called with every event
+ * @param {Function} [options.getContext] - Returns the fields added to every event, e.g. {templateId, layout}
+ * @param {Function} [options.now] - Returns the current time in ms (default Date.now)
+ * @returns {Function} track(name, details)
+ */
+export const createAnalytics = ({ adapters, getContext = () => ({}), now = Date.now }) => {
+    return (name, details = {}) => {
+        if (adapters.length === 0) return;
+
+        const event = { name, ...getContext(), timestamp: now(), ...details };
+        adapters.forEach((adapter) => {
+            try {
+                adapter(event);
+            } catch (error) {
+                console.error('Analytics adapter failed:', error);
+            }
+        });
+    };
+};
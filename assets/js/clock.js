@@ -0,0 +1,75 @@
+/**
+ * Smartico Lootbox Game - Game Clock
+ *
+ * Single source of "now" for the whole game. The clock normally follows the system time,
+ * but can be moved to any moment (time-travel mode) to preview how the prize calendar
+ * looks on another day without changing the OS clock.
+ *
+ * The module has no DOM dependencies, so it can be used from Node as well.
+ */
+
+// Offset between the game clock and the system clock, in milliseconds (0 = real time)
+let clockOffsetMs = 0;
+const clockListeners = [];
+
+/**
+ * Returns the current time of the game clock.
+ * Every "now" lookup in the prize calculations goes through here, so the whole game
+ * can be previewed at another moment without changing the OS clock.
+ *
+ * @returns {Date} Current game time
+ */
+export const getClockNow = () => {
+    return new Date(Date.now() + clockOffsetMs);
+};
+
+const notifyClockChange = () => {
+    clockListeners.forEach(listener => listener(getClockNow()));
+};
+
+/**
+ * Moves the game clock to the given moment. The clock keeps running from there.
+ *
+ * @param {Date|string|number} date - Target time (Date, ISO string like '2026-12-31T23:30:00Z' or timestamp)
+ */
+export const setClockNow = (date) => {
+    const targetMs = new Date(date).getTime();
+    if (isNaN(targetMs)) {
+        console.error('Invalid clock time:', date);
+        return;
+    }
+    clockOffsetMs = targetMs - Date.now();
+    notifyClockChange();
+};
+
+/**
+ * Moves the game clock forward (or backward with a negative value).
+ *
+ * @param {number} ms - Milliseconds to advance
+ */
+export const advanceClock = (ms) => {
+    clockOffsetMs += ms;
+    notifyClockChange();
+};
+
+/**
+ * Returns the game clock to real time.
+ */
+export const resetClock = () => {
+    clockOffsetMs = 0;
+    notifyClockChange();
+};
+
+/**
+ * Registers a listener called whenever the game clock is moved.
+ *
+ * @param {Function} listener - Called with the new current time
+ * @returns {Function} Removes the listener again
+ */
+export const onClockChange = (listener) => {
+    clockListeners.push(listener);
+    return () => {
+        const index = clockListeners.indexOf(listener);
+        if (index !== -1) clockListeners.splice(index, 1);
+    };
+};
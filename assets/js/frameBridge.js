@@ -0,0 +1,208 @@
+/**
+ * Smartico Lootbox Game - Frame Bridge
+ *
+ * postMessage protocol between the game and the casino page that embeds it in an iframe.
+ * Every message is an object whose type is 'lootbox:<name>', with the details next to it:
+ *
+ * Inbound (parent -> game):
+ * - lootbox:set-user            { userId }  - Identify another player
+ * - lootbox:set-language        { lang }    - Switch the language, e.g. 'de'
+ * - lootbox:refresh                         - Fetch the game data again
+ * - lootbox:navigate-to-deposit             - Open the platform's deposit page (dp:deposit deep link)
+ *
+ * Outbound (game -> parent):
+ * - lootbox:ready               { templateId }                           - The game is rendered
+ * - lootbox:content-height      { height }                               - The content height changed, in pixels
+ * - lootbox:spin-result         { templateId, groupId, prizeId, errCode } - A box was opened (prizeId null if it failed)
+ * - lootbox:prize-won           { templateId, prize: { id, name } }      - A box was opened with a prize
+ * - lootbox:close-requested                                              - The player pressed the close button
+ * - lootbox:open-url            { url }                                  - A prize URL whose tab the browser blocked
+ *
+ * Inbound messages are only accepted from the parent window, from one of the allowed origins,
+ * and with valid details; anything else is ignored. Outbound messages are posted to the origin
+ * of the embedding page (document.referrer) if it's allowed, otherwise to the first allowed one,
+ * never to '*'.
+ *
+ * The bridge gets the game window as an option, so it runs in the node test suite with a fake one.
+ */
+
+const MESSAGE_PREFIX = 'lootbox:';
+
+/**
+ * Names of the messages the parent can send
+ */
+export const InboundMessage = {
+    SetUser: 'set-user',
+    SetLanguage: 'set-language',
+    Refresh: 'refresh',
+    NavigateToDeposit: 'navigate-to-deposit'
+};
+
+/**
+ * Names of the messages the game sends
+ */
+export const OutboundMessage = {
+    Ready: 'ready',
+    ContentHeight: 'content-height',
+    SpinResult: 'spin-result',
+    PrizeWon: 'prize-won',
+    CloseRequested: 'close-requested',
+    OpenUrl: 'open-url'
+};
+
+const MAX_USER_ID_LENGTH = 256;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,4})?$/i;
+
+// Checks the details of each inbound message, returning the cleaned details or null
+const INBOUND_VALIDATORS = {
+    [InboundMessage.SetUser]: ({ userId }) => {
+        const value = typeof userId === 'number' ? String(userId) : userId;
+        return typeof value === 'string' && value.trim() && value.length <= MAX_USER_ID_LENGTH
+            ? { userId: value.trim() }
+            : null;
+    },
+    [InboundMessage.SetLanguage]: ({ lang }) => {
+        return typeof lang === 'string' && LANGUAGE_PATTERN.test(lang) ? { lang: lang.toLowerCase() } : null;
+    },
+    [InboundMessage.Refresh]: () => ({}),
+    [InboundMessage.NavigateToDeposit]: () => ({})
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Checks an origin against the allowed ones. An entry can be an exact origin
+ * ('https://casino.example') or allow the subdomains of a domain ('https://*.casino.example').
+ *
+ * @param {string} origin - Origin of a message, e.g. event.origin
+ * @param {Array<string>} allowedOrigins - Allowed origins
+ * @returns {boolean} True if the origin is allowed
+ */
+export const isAllowedOrigin = (origin, allowedOrigins) => {
+    if (typeof origin !== 'string' || origin === 'null') return false;
+
+    return allowedOrigins.some((allowed) => {
+        if (allowed === origin) return true;
+
+        const wildcard = allowed.match(/^(https?):\/\/\*\.([^/*]+)$/);
+        if (!wildcard) return false;
+        const [, scheme, domain] = wildcard;
+        return origin.startsWith(`${scheme}://`) && origin.endsWith(`.${domain}`);
+    });
+};
+
+/**
+ * Reads an inbound message: a known lootbox: type with valid details.
+ *
+ * @param {*} data - event.data of a message
+ * @returns {Object|null} { name, details }, or null if it isn't a valid inbound message
+ */
+export const parseInboundMessage = (data) => {
+    if (!data || typeof data !== 'object' || typeof data.type !== 'string') return null;
+    if (!data.type.startsWith(MESSAGE_PREFIX)) return null;
+
+    const name = data.type.slice(MESSAGE_PREFIX.length);
+    const validate = INBOUND_VALIDATORS[name];
+    const details = validate ? validate(data) : null;
+    return details ? { name, details } : null;
+};
+
+/**
+ * Picks the origin outbound messages are posted to.
+ *
+ * @param {Array<string>} allowedOrigins - Allowed origins
+ * @param {string} [referrer] - document.referrer of the game page
+ * @returns {string|null} Target origin, null if there is none to post to
+ */
+export const getTargetOrigin = (allowedOrigins, referrer) => {
+    if (referrer) {
+        try {
+            const { origin } = new URL(referrer);
+            if (isAllowedOrigin(origin, allowedOrigins)) return origin;
+        } catch {
+            // An unreadable referrer falls back to the configured origins
+        }
+    }
+    return allowedOrigins.find(origin => !origin.includes('*')) || null;
+};
+
+// ============================================
+// BRIDGE
+// ============================================
+
+/**
+ * Connects the game to the parent window. Does nothing outside an iframe or without allowed origins.
+ *
+ * @param {Object} options - Bridge options
+ * @param {Array<string>} options.allowedOrigins - Origins of the casino pages allowed to embed the game
+ * @param {Object} options.handlers - Inbound handlers by message name, e.g. { 'set-user': ({userId}) => ... }
+ * @param {Window} [options.window] - The game window (default window)
+ * @returns {Object} { post(name, details), watchContentHeight(element), destroy() }
+ */
+export const createFrameBridge = ({ allowedOrigins = [], handlers = {}, window: gameWindow = window }) => {
+    const parentWindow = gameWindow.parent;
+    const connected = parentWindow && parentWindow !== gameWindow && allowedOrigins.length > 0;
+    const targetOrigin = connected ? getTargetOrigin(allowedOrigins, gameWindow.document?.referrer) : null;
+    let resizeObserver = null;
+
+    const onMessage = (event) => {
+        if (event.source !== parentWindow || !isAllowedOrigin(event.origin, allowedOrigins)) return;
+
+        const message = parseInboundMessage(event.data);
+        if (!message) return;
+
+        try {
+            handlers[message.name]?.(message.details);
+        } catch (error) {
+            console.error(`Error handling ${message.name} from the parent frame:`, error);
+        }
+    };
+
+    if (connected) {
+        gameWindow.addEventListener('message', onMessage);
+    }
+
+    /**
+     * Posts a message to the parent window.
+     *
+     * @param {string} name - OutboundMessage name
+     * @param {Object} [details] - Details sent with it
+     */
+    const post = (name, details = {}) => {
+        if (!targetOrigin) return;
+        parentWindow.postMessage({ ...details, type: MESSAGE_PREFIX + name }, targetOrigin);
+    };
+
+    /**
+     * Posts content-height whenever the height of the element changes, so the parent can size
+     * the iframe to the game.
+     *
+     * @param {HTMLElement} element - Element whose height is reported, e.g. document.body
+     */
+    const watchContentHeight = (element) => {
+        if (!targetOrigin || typeof gameWindow.ResizeObserver !== 'function') return;
+
+        let lastHeight = null;
+        resizeObserver?.disconnect();
+        resizeObserver = new gameWindow.ResizeObserver(() => {
+            const height = Math.ceil(element.scrollHeight);
+            if (height === lastHeight) return;
+            lastHeight = height;
+            post(OutboundMessage.ContentHeight, { height });
+        });
+        resizeObserver.observe(element);
+    };
+
+    /**
+     * Stops listening to the parent window.
+     */
+    const destroy = () => {
+        gameWindow.removeEventListener('message', onMessage);
+        resizeObserver?.disconnect();
+        resizeObserver = null;
+    };
+
+    return { post, watchContentHeight, destroy };
+};
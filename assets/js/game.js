@@ -9,37 +9,61 @@
  * - Prize grouping: Multiple prizes on the same day are grouped together
  * - Timezone support: Respects max_give_period_type_id for UTC vs user timezone
  * - Error handling: Specific messages for max attempts, out of stock, segment requirements
- * - Layout support: Prepared for both card (horizontal) and map (vertical) layouts
+ * - Layout support: Card (horizontal), map (vertical) and grid calendar layouts, plus custom
+ *   layouts registered through layoutRegistry.js
+ * - Theming: brand images, colors and fonts from the template's UI definition (theme.js)
+ *
+ * The DOM-free prize calendar logic lives in prizeSchedule.js, the game clock in clock.js and
+ * the layouts in layouts/. This file loads the game data, owns the spin/acknowledge requests,
+ * the shared modals and live updates, and drives the active layout through its hooks.
+ * Host pages render it with LootboxGame.mount (see the EMBED API section); every mounted game is
+ * an instance (createGame) that owns its state and markup, so several can share a page.
  */
 
+import {
+    getClockNow,
+    setClockNow,
+    advanceClock,
+    resetClock,
+    onClockChange
+} from './clock.js';
+import {
+    groupPrizesByDate,
+    getActivePrizeId,
+    getGroupedPrizesWithStatus,
+    getNextUnlock,
+    formatCountdown,
+    calculateStreak,
+    getGroupRewards,
+    getPrizeDate,
+    getHistoryRangeStart,
+    findPendingHistoryItem
+} from './prizeSchedule.js';
+import { SAWGameLayout, getLayout, connectLayoutQueue } from './layoutRegistry.js';
+import { loadTheme, applyTheme } from './theme.js';
+import {
+    activateButtonOnKeydown,
+    openDialog,
+    announce,
+    isReducedMotion,
+    onReducedMotionChange
+} from './accessibility.js';
+import { escapeHTML, sanitizeUrl, sanitizeRichText } from './sanitize.js';
+import { SAWBuyInType, getSpinCost, getBalance, canAffordSpin, formatCurrencyAmount } from './spinCost.js';
+import { createSpinController, SPIN_UNCONFIRMED } from './spinController.js';
+import { createHistoryLoader } from './historyLoader.js';
+import { AnalyticsEvent, createAnalytics, resolveAnalyticsAdapters } from './analytics.js';
+import { createFrameBridge } from './frameBridge.js';
+import { createPrizeActionRunner } from './prizeActions.js';
+// Built-in layouts register themselves on import
+import './layouts/cardsLayout.js';
+import './layouts/mapLayout.js';
+import './layouts/gridLayout.js';
+
 // ============================================
 // CONSTANTS & ENUMS
 // ============================================
 
-/**
- * AttemptPeriodType - Determines how prize availability windows are calculated
- * @property {number} FromLastAttempt - Time-based from last attempt
- * @property {number} CalendarDaysUTC - Calendar days in UTC timezone (uses relative_period_timezone offset)
- * @property {number} CalendarDaysUserTimeZone - Calendar days in user's local timezone
- * @property {number} Lifetime - One-time lifetime prize
- */
-const AttemptPeriodType = {
-    FromLastAttempt: 1,
-    CalendarDaysUTC: 2,
-    CalendarDaysUserTimeZone: 3,
-    Lifetime: 4
-};
-
-/**
- * SAWGameLayout - Determines the visual layout of the game
- * @property {number} Horizontal - Card-based horizontal scrolling layout
- * @property {number} VerticalMap - Vertical map layout with positioned prizes
- */
-const SAWGameLayout = {
-    Horizontal: 1,
-    VerticalMap: 2
-};
-
 /**
  * SAWSpinErrorCode - Error codes returned by the API when spinning fails
  * These match the server-side error codes from public-api
@@ -57,2108 +81,1637 @@ const SAWSpinErrorCode = {
     SAW_NO_BALANCE_DIAMONDS: 40012
 };
 
-const SCROLL_MOVE = 200;
-
-// ============================================
-// DOM ELEMENTS - Cards Layout
-// ============================================
+// Error shown when the balance doesn't cover a paid open, by currency
+const INSUFFICIENT_BALANCE_ERROR_CODES = {
+    [SAWBuyInType.Points]: SAWSpinErrorCode.SAW_NOT_ENOUGH_POINTS,
+    [SAWBuyInType.Gems]: SAWSpinErrorCode.SAW_NO_BALANCE_GEMS,
+    [SAWBuyInType.Diamonds]: SAWSpinErrorCode.SAW_NO_BALANCE_DIAMONDS
+};
 
-const gameTitle = document.getElementById('game-title');
-const gameDescription = document.getElementById('game-header-description');
-const loadingElement = document.getElementById('loading');
-const cardsLayout = document.getElementById('cards-layout');
-const prizeCards = document.getElementById('game-cards');
-const prizeCardContainer = document.getElementById('prize-card-container');
-const scrollLeftButton = document.getElementById('scroll-left');
-const scrollRightButton = document.getElementById('scroll-right');
-const rulesText = document.getElementById('rules-button-text');
-const modalContainer = document.getElementById('rules-modal');
-const prizeModalContainer = document.getElementById('prize-modal');
-const errorModalContainer = document.getElementById('error-modal');
+const SCHEDULE_TICK_MS = 1000;
+const DEFAULT_REFRESH_INTERVAL_SEC = 60;
+const DEFAULT_SPIN_TIMEOUT_SEC = 15;
 
 // ============================================
-// DOM ELEMENTS - Map Layout
+// SHARED STATE - Used by every game on the page
 // ============================================
 
-const mapLayout = document.getElementById('map-layout');
-const mapTitle = document.getElementById('map-title');
-const mapMainBackground = document.getElementById('map-main-background');
-const mapContainer = document.getElementById('map-container');
-const mapPrizes = document.getElementById('map-prizes');
-const mapHintIcon = document.getElementById('map-hint-icon');
-const mapRulesText = document.getElementById('map-rules-button-text');
-const mapOverlay = document.getElementById('map-overlay');
-const mapPrizeWonModal = document.getElementById('map-prize-won-modal');
-
-// ============================================
-// STATE VARIABLES
-// ============================================
+// History pages of every template and player loaded so far
+const historyLoader = createHistoryLoader({
+    fetchPage: (params) => window._smartico.api.getMiniGamesHistory(params)
+});
 
-let miniGames = [];
-let selectedGame = {};
-let prizes = [];
-let groupedPrizes = [];
-let playerInfo = {};
-let isDragging = false;
-let startX;
-let startY;
-let scrollLeft;
-let scrollTop;
-let flippedCardsState = {};
-let miniGamesHistory = [];
-let openRules = false;
-let cardClaimModal = false;
-let errorModal = false;
-let translations = {};
-let currentLanguage = 'en';
-
-// Map Layout specific state
-let currentLayout = SAWGameLayout.Horizontal;
-let mapTapOverlayActive = false;
-let mapPrizeWonModalActive = false;
-let tapCount = 0;
-let currentTapPrize = null;
-let currentTapGroupId = null;
-let showMapHint = true;
-let currentMapSize = 'small';
+// Game mounted in each host element, so mounting into the same element again replaces it
+const mountedGames = new WeakMap();
 
 // ============================================
-// TIMEZONE UTILITIES
+// GAME SHELL
 // ============================================
 
 /**
- * Determines if the prize uses UTC-based calendar days for availability calculation.
- * When true, the prize availability is calculated using UTC time with an optional offset.
+ * Builds the markup of a game (loading spinner, layout container, shared modals and the screen
+ * reader live region) in the host's element. Every part is found by its class within the game,
+ * so any number of games can be on the same page.
  * 
- * @param {Object} prize - The prize object
- * @param {number} [prize.max_give_period_type_id] - The period type (2 = UTC, 3 = user timezone)
- * @param {number} [prize.relative_period_timezone] - Minutes offset from UTC (e.g., 120 for UTC+2)
- * @returns {boolean} True if prize uses UTC timezone
+ * @param {HTMLElement} element - Host element the game is mounted in
+ * @returns {HTMLElement} The game container
  */
-const isUTCTimezone = (prize) => {
-    if (prize?.max_give_period_type_id !== undefined) {
-        return prize.max_give_period_type_id === AttemptPeriodType.CalendarDaysUTC;
-    }
-    // Legacy fallback: if relative_period_timezone is defined, treat as UTC
-    return prize?.relative_period_timezone !== undefined;
-};
-
-/**
- * Gets the current time adjusted for the prize's timezone context.
- * For UTC prizes, returns current time adjusted by the relative_period_timezone offset.
- * For user timezone prizes, returns the local time.
- * 
- * @param {Object} prize - The prize object
- * @returns {Date} Current date/time in the prize's timezone context
- */
-const getPrizeTimezoneNow = (prize) => {
-    if (isUTCTimezone(prize)) {
-        const now = new Date();
-        // Convert to UTC milliseconds
-        const utcMs = now.getTime() + (now.getTimezoneOffset() * 60000);
-        // Apply the prize's timezone offset (relative_period_timezone is in minutes)
-        const offsetMs = (prize?.relative_period_timezone || 0) * 60000;
-        return new Date(utcMs + offsetMs);
-    }
-    return new Date();
-};
-
-/**
- * Adjusts a timestamp for the prize's timezone.
- * For UTC prizes, adds the relative_period_timezone offset to the timestamp.
- * 
- * @param {number} ts - Timestamp in milliseconds
- * @param {Object} prize - The prize object
- * @returns {number|null} Adjusted timestamp or null if ts is falsy
- */
-const adjustTimestampForPrize = (ts, prize) => {
-    if (!ts) return null;
-    if (isUTCTimezone(prize)) {
-        return ts + ((prize?.relative_period_timezone || 0) * 60000);
-    }
-    return ts;
-};
+const createGameShell = (element) => {
+    const container = document.createElement('div');
+    container.className = 'game-container';
+    container.innerHTML = `
+        <div class="game-wrapper">
+            <div class="loading">
+                <div class="spinner"></div>
+            </div>
 
-/**
- * Converts a history timestamp to a Date in the prize's timezone context.
- * Used for comparing history entries against prize availability windows.
- * 
- * @param {number} historyTs - History timestamp in milliseconds
- * @param {Object} prize - The prize object
- * @returns {Date} Date object representing the history time in prize's timezone
- */
-const getHistoryDateForPrize = (historyTs, prize) => {
-    if (isUTCTimezone(prize)) {
-        const date = new Date(historyTs);
-        const utcMs = date.getTime() + (date.getTimezoneOffset() * 60000);
-        const offsetMs = (prize?.relative_period_timezone || 0) * 60000;
-        return new Date(utcMs + offsetMs);
-    }
-    return new Date(historyTs);
-};
+            <!-- Shown when the host passes onClose, e.g. to close the iframe the game is embedded in -->
+            <div class="game-close-button" role="button" tabindex="0" aria-label="Close" hidden>
+                <div class="close-btn"></div>
+            </div>
 
-/**
- * Gets the ISO week number from a Date object.
- * ISO weeks start on Monday and the first week contains January 4th.
- * 
- * @param {Date} date - The date to get week number from
- * @returns {number} ISO week number (1-53)
- */
-const getISOWeekNumber = (date) => {
-    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-    // Set to nearest Thursday: current date + 4 - current day number (make Sunday=7)
-    const dayNum = d.getUTCDay() || 7;
-    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-    // Get first day of year
-    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-    // Calculate full weeks to nearest Thursday
-    const weekNo = Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
-    return weekNo;
-};
+            <!-- The active layout (see assets/js/layouts) renders its markup in here -->
+            <div class="game-layout"></div>
 
-/**
- * Gets the ISO week year from a Date object.
- * The ISO week year may differ from the calendar year at year boundaries.
- * 
- * @param {Date} date - The date to get ISO week year from
- * @returns {number} ISO week year
- */
-const getISOWeekYear = (date) => {
-    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-    const dayNum = d.getUTCDay() || 7;
-    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-    return d.getUTCFullYear();
-};
+            <!-- Shared Modals -->
+            <div class="rules-modal"></div>
+            <div class="rewards-modal"></div>
+            <div class="prize-modal"></div>
+            <div class="error-modal"></div>
+            <div class="confirm-modal"></div>
 
-/**
- * Gets the ISO weekday (1=Monday, 7=Sunday) from a Date object.
- * JavaScript's getDay() returns 0=Sunday, so we convert to ISO format.
- * 
- * @param {Date} date - The date to get weekday from
- * @returns {number} ISO weekday (1-7, where 1=Monday, 7=Sunday)
- */
-const getISOWeekday = (date) => {
-    const day = date.getDay();
-    return day === 0 ? 7 : day;
+            <!-- Spin results and hints are announced to screen readers through this live region -->
+            <div class="game-announcer visually-hidden" aria-live="polite" aria-atomic="true"></div>
+        </div>
+    `;
+    element.appendChild(container);
+    return container;
 };
 
 // ============================================
-// PRIZE GROUPING & SORTING
+// GAME INSTANCE
 // ============================================
 
 /**
- * Sorts prizes by multiple criteria to ensure consistent ordering.
- * Sort order: prize ID → surcharge status → active_from_ts → first weekday
+ * Creates a game in a host element and starts loading it. Everything below lives in the
+ * instance: its state, its markup, its layout, timers and modals, so games of different
+ * templates render and spin side by side without touching each other.
  * 
- * @param {Array} prizes - Array of prize objects
- * @returns {Array} Sorted array of prizes (mutates original)
+ * @param {HTMLElement} element - Host element the game is rendered in
+ * @param {Object} options - Options of mount
+ * @returns {Object} { destroy(), refresh() }
  */
-const sortPrizes = (prizes) => {
-    return prizes.sort((a, b) => {
-        // 1. Sort by prize ID (TMiniGamePrize uses 'id')
-        const prizeIdA = a.id || 0;
-        const prizeIdB = b.id || 0;
-        if (prizeIdA !== prizeIdB) {
-            return prizeIdA - prizeIdB;
-        }
+const createGame = (element, options) => {
+    // ============================================
+    // DOM ELEMENTS - The game's own markup in the host's element
+    // ============================================
+
+    const gameContainerElement = createGameShell(element);
+    const findElement = (selector) => gameContainerElement.querySelector(selector);
+    const gameWrapperElement = findElement('.game-wrapper');
+    const loadingElement = findElement('.loading');
+    const layoutContainer = findElement('.game-layout');
+    const modalContainer = findElement('.rules-modal');
+    const rewardsModalContainer = findElement('.rewards-modal');
+    const prizeModalContainer = findElement('.prize-modal');
+    const errorModalContainer = findElement('.error-modal');
+    const confirmModalContainer = findElement('.confirm-modal');
+    const announcerElement = findElement('.game-announcer');
+    const closeButtonElement = findElement('.game-close-button');
+
+    // ============================================
+    // STATE VARIABLES
+    // ============================================
+
+    let miniGames = [];
+    let selectedGame = {};
+    let prizes = [];
+    let groupedPrizes = [];
+    let playerInfo = {};
+    let miniGamesHistory = [];
+    let openRules = false;
+    // groupId of the group shown in the possible rewards modal (null = closed)
+    let rewardsGroupId = null;
+    let cardClaimModal = false;
+    let errorModal = false;
+    let translations = {};
+    let currentLanguage = 'en';
+    let gameTheme = {};
+    let reducedMotion = false;
+
+    // Set by destroy; requests still running when it was called are ignored once they answer
+    let destroyed = false;
+
+    // Analytics events of the game, sent to the adapters of the analytics option
+    const track = createAnalytics({
+        adapters: resolveAnalyticsAdapters(options.analytics, { parentOrigins: options.parentOrigins }),
+        getContext: () => ({ templateId: selectedGame?.id ?? options.templateId, layout: currentLayout?.id ?? null })
+    });
 
-        // 2. Sort by surcharge status (non-surcharge first)
-        const surchargeA = a.is_surcharge ? 1 : 0;
-        const surchargeB = b.is_surcharge ? 1 : 0;
-        if (surchargeA !== surchargeB) {
-            return surchargeB - surchargeA;
+    // Release functions of the open shared dialogs (restore the focus on close)
+    let releaseRulesDialog = null;
+    let releaseRewardsDialog = null;
+    let releasePrizeDialog = null;
+    let releaseErrorDialog = null;
+    let releaseConfirmDialog = null;
+
+    // Resolves the pending paid open confirmation with true (open) or false (cancel)
+    let resolveSpinConfirmation = null;
+
+    // Schedule ticker state: what was active/next at the last render, to detect day boundaries
+    let scheduleTimer = null;
+    let scheduleActivePrizeId = null;
+    let scheduleNextGroupId = null;
+
+    // Live updates state
+    let refreshTimer = null;
+    let pendingRefresh = false;
+    let refreshInFlight = false;
+    let spinInProgress = false;
+    let spinController = null;
+
+    // Active layout (see layoutRegistry.js), its context and the header elements it returned from mount
+    let currentLayout = null;
+    let layoutContext = null;
+    let layoutHeader = {};
+    let layoutInteracting = false;
+
+    // ============================================
+    // INITIALIZATION & LOADING
+    // ============================================
+
+    /**
+     * Loads the mini game data from the Smartico API.
+     * Fetches game templates, history, and translations, then mounts and renders the layout
+     * registered for the template's game_layout (or the layout option of mount).
+     * A load whose game was destroyed meanwhile stops at the next step.
+     * 
+     * @param {number|string} saw_template_id - The template ID of the game to load
+     * @param {string} lang - Language code for translations
+     */
+    const loadMiniGames = async (saw_template_id, lang) => {
+        if (!window._smartico) {
+            console.error('Smartico SDK not loaded');
+            renderLoadError('Error loading game', 'Smartico SDK not loaded');
+            return;
         }
 
-        // 3. Sort by active_from_ts
-        const activeFromA = a.active_from_ts || 0;
-        const activeFromB = b.active_from_ts || 0;
-        if (activeFromA !== activeFromB) {
-            return activeFromA - activeFromB;
-        }
+        const isStale = () => destroyed;
+        const loading = loadingElement;
+        const loadStart = Date.now();
 
-        // 4. Sort by first weekday
-        const firstWeekdayA = a.weekdays && a.weekdays.length > 0 ? Math.min(...a.weekdays) : 0;
-        const firstWeekdayB = b.weekdays && b.weekdays.length > 0 ? Math.min(...b.weekdays) : 0;
-        return firstWeekdayA - firstWeekdayB;
-    });
-};
+        try {
+            // Show loading spinner
+            if (loading) {
+                loading.style.display = 'flex';
+                loading.classList.remove('hidden');
+            }
 
-/**
- * Groups prizes by their availability date or weekday.
- * This allows multiple prizes to be shown on the same day/card.
- * 
- * For weekday-based prizes: groupId is the ISO weekday (1-7)
- * For date-based prizes: groupId is the active_from_ts timestamp
- * 
- * @param {Array} prizes - Array of prize objects
- * @returns {Array} Array of {groupId, prizes} objects sorted by groupId
- */
-const groupPrizesByDate = (prizes) => {
-    // Sort prizes first for consistent ordering
-    const sortedPrizes = sortPrizes([...prizes]);
-
-    // Filter to valid prizes (must have either date range or weekdays)
-    const filteredPrizes = sortedPrizes.filter(prize =>
-        (prize.active_from_ts && prize.active_till_ts) ||
-        (prize.weekdays && prize.weekdays.length > 0)
-    );
-
-    if (filteredPrizes.length === 0) {
-        return [];
-    }
+            // Remove the previously shown layout, if any
+            unmountLayout();
+
+            // Fetch game data
+            // onUpdate fires whenever the templates, prizes or stock change server-side
+            const games = await window._smartico.api.getMiniGames({
+                onUpdate: (updatedGames) => {
+                    if (!isStale()) applyGameUpdate({ games: updatedGames });
+                }
+            });
+            const userInfo = await window._smartico.getPublicProps();
+            if (isStale()) return;
 
-    // Determine if all prizes use weekdays (vs calendar dates)
-    const isWeekdays = filteredPrizes.every(prize => prize.weekdays && prize.weekdays.length > 0);
+            miniGames = games;
+            playerInfo = userInfo;
+            selectedGame = miniGames.find((g) => g.id === parseInt(saw_template_id, 10));
 
-    // Collect unique group keys
-    const groupKeys = new Set();
-    filteredPrizes.forEach(prize => {
-        if (isWeekdays) {
-            // For weekday prizes, each weekday in the array is a potential group
-            prize.weekdays.forEach(day => groupKeys.add(day));
-        } else {
-            // For date prizes, use active_from_ts as the group key
-            groupKeys.add(prize.active_from_ts);
-        }
-    });
+            if (!selectedGame) {
+                console.error('Game not found with ID:', saw_template_id);
+                renderLoadError('Game not found', 'Please check the game ID');
+                return;
+            }
 
-    // Build groups: each group contains all prizes that belong to that date/weekday
-    const groups = Array.from(groupKeys).map(groupId => ({
-        groupId,
-        prizes: filteredPrizes.filter(prize =>
-            isWeekdays
-                ? prize.weekdays.includes(groupId)
-                : prize.active_from_ts === groupId
-        )
-    }));
-
-    // Sort groups by groupId ascending
-    return groups.sort((a, b) => a.groupId - b.groupId);
-};
+            prizes = selectedGame.prizes || [];
+            currentLanguage = lang;
 
-/**
- * Finds the currently active prize ID from grouped prizes.
- * Returns the first prize that is currently within its active window.
- * 
- * @param {Array} groupedPrizes - Array of {groupId, prizes} objects
- * @returns {number|null} The ID of the active prize, or null if none active
- */
-const getActivePrizeId = (groupedPrizes) => {
-    for (const { prizes } of groupedPrizes) {
-        for (const prize of prizes) {
-            const prizeNow = getPrizeTimezoneNow(prize);
-            const today = prizeNow.getTime();
-            const todayWeekday = getISOWeekday(prizeNow);
-
-            // Check weekday-based activation
-            if (prize.weekdays && prize.weekdays.length > 0) {
-                const sortedWeekdays = [...prize.weekdays].sort((a, b) => a - b);
-                const activeWeekday = sortedWeekdays.find(day => day >= todayWeekday);
-                if (activeWeekday === todayWeekday) {
-                    return prize.id;
+            // Fetch history
+            // onUpdate pushes the newest page, which is merged into the loaded history
+            const historyTemplateId = selectedGame.id;
+            const history = await loadHistory((updatedHistory) => {
+                if (isStale() || selectedGame.id !== historyTemplateId) return;
+                applyGameUpdate({ history: historyLoader.merge(getHistoryRequest(), updatedHistory) });
+            });
+            if (isStale()) return;
+            miniGamesHistory = history;
+
+            // Fetch translations
+            const gameLanguage = lang.toUpperCase();
+            const gameTranslations = await window._smartico.api.getTranslations(gameLanguage);
+            if (isStale()) return;
+            translations = gameTranslations?.translations || {};
+            closeButtonElement.setAttribute('aria-label', translations.close || 'Close');
+
+            // Apply the brand theme before the layout is mounted (the map measures its background image)
+            const theme = await loadTheme(getThemeDefinition());
+            if (isStale()) return;
+            gameTheme = theme;
+            applyTheme(gameWrapperElement, gameTheme);
+            applyMotionMode();
+
+            // Group prizes for rendering
+            groupedPrizes = groupPrizesByDate(prizes);
+
+            // Determine layout type from the layout option or the game template
+            // Unknown values fall back to cards
+            const gameLayout = options.layout ?? selectedGame.saw_template_ui_definition?.game_layout;
+            let layout = getLayout(gameLayout);
+            if (!layout) {
+                if (gameLayout !== undefined) {
+                    console.warn(`No layout registered for game_layout ${gameLayout}, falling back to Cards`);
                 }
+                layout = getLayout(SAWGameLayout.Horizontal);
             }
 
-            // Check timestamp-based activation
-            const adjustedFrom = adjustTimestampForPrize(prize.active_from_ts, prize);
-            const adjustedTill = adjustTimestampForPrize(prize.active_till_ts, prize);
-            if (adjustedFrom && adjustedTill && today >= adjustedFrom && today <= adjustedTill) {
-                return prize.id;
+            setupSpinController();
+            await mountLayout(layout, lang);
+            if (isStale()) return;
+            startScheduleTicker();
+            startRefreshPolling();
+            emitEvent('onReady', { templateId: selectedGame.id, game: selectedGame });
+            track(AnalyticsEvent.GameLoad, { loadMs: Date.now() - loadStart, groupCount: groupedPrizes.length });
+        } catch (error) {
+            if (isStale()) return;
+            console.error('Error fetching mini-games:', error);
+            renderLoadError('Error loading game', error.message || 'Please try again later');
+        } finally {
+            // Hide loading spinner with smooth transition
+            if (loading) {
+                loading.classList.add('hidden');
+                setTimeout(() => {
+                    loading.style.display = 'none';
+                }, 500);
             }
         }
-    }
-    return null;
-};
-
-// ============================================
-// PRIZE STATUS CALCULATION
-// ============================================
-
-/**
- * Calculates the complete status of a prize for a specific group.
- * This includes claimed/acknowledged state, locked/missed state, active state, and stock status.
- * 
- * @param {Object} prize - The prize object (either prizeWon from history or default prizesToShow)
- * @param {number} groupId - The group identifier (weekday or timestamp)
- * @param {Object|null} historyItem - The history item if prize was won, null otherwise
- * @returns {Object} Status object with isLocked, isMissed, isClaimed, isActive, isOutOfStock, isAcknowledged
- */
-const getPrizeStatus = (prize, groupId, historyItem = null) => {
-    if (!prize || groupId === undefined) {
-        return {
-            isLocked: false,
-            isMissed: false,
-            isClaimed: false,
-            isActive: false,
-            isOutOfStock: false,
-            isAcknowledged: false
-        };
-    }
-
-    const prizeNow = getPrizeTimezoneNow(prize);
-    const today = prizeNow.getTime();
-    const todayWeekday = getISOWeekday(prizeNow);
-
-    // Adjust timestamps for timezone
-    const adjustedFrom = adjustTimestampForPrize(prize.active_from_ts, prize);
-    const adjustedTill = adjustTimestampForPrize(prize.active_till_ts, prize);
-    const activeFrom = prize.active_from_ts ? adjustedFrom : null;
-    const activeTill = prize.active_till_ts ? adjustedTill : null;
-
-    // Claimed/acknowledged status from history item
-    const isClaimed = !!historyItem?.create_date_ts;
-    const isAcknowledged = !!historyItem?.acknowledge_date_ts;
-
-    // Determine if prize is active today
-    const isWeekdayBased = prize.weekdays && prize.weekdays.length > 0;
-    const firstAvailableDay = prize.weekdays?.find(day => day === groupId);
-    const isWeekdayTodaysPrize = firstAvailableDay === todayWeekday;
-    const isTimestampTodaysPrize = activeFrom && activeTill && today >= activeFrom && today <= activeTill;
-    const isActive = isTimestampTodaysPrize || isWeekdayTodaysPrize;
-
-    // Calculate locked/missed status
-    let isLocked = false;
-    let isMissed = false;
-
-    // Date-based prizes
-    if (activeFrom || activeTill) {
-        isLocked = !!(activeFrom && today < activeFrom);
-        if (!isClaimed && activeFrom && today > activeTill) {
-            isMissed = true;
-            isLocked = false;
+    };
+
+    /**
+     * Gets the UI definition the theme is loaded from: the template's, with the theme option of mount
+     * on top. A string option is a theme file used instead of theme_url, an object holds theme values
+     * that override the template's.
+     * 
+     * @returns {Object} UI definition for loadTheme
+     */
+    const getThemeDefinition = () => {
+        const uiDefinition = selectedGame.saw_template_ui_definition || {};
+        const { theme } = options;
+
+        if (typeof theme === 'string') {
+            return { ...uiDefinition, theme_url: theme };
         }
-    }
-
-    // Weekday-based prizes (may override date-based logic)
-    if (isWeekdayBased) {
-        if (isWeekdayTodaysPrize) {
-            isLocked = false;
-            isMissed = false;
-        } else {
-            isLocked = !isClaimed;
-            const firstWeekday = prize.weekdays[0];
+        if (theme && typeof theme === 'object') {
+            return { ...uiDefinition, theme: { ...uiDefinition.theme, ...theme } };
+        }
+        return uiDefinition;
+    };
+
+    /**
+     * @returns {Object} {templateId, userId} of the selected game's history in the history loader
+     */
+    const getHistoryRequest = () => ({
+        templateId: selectedGame.id,
+        userId: window._smartico_user_id
+    });
 
-            if (firstWeekday && firstWeekday < todayWeekday && !isClaimed) {
-                isMissed = true;
-                isLocked = false;
+    /**
+     * Loads the history of the selected game: paged back to the start of its schedule, and merged
+     * into what was loaded before, so wins older than a single page are kept.
+     * 
+     * @param {Function} [onUpdate] - SDK update callback, registered with the first page
+     * @returns {Promise<Array>} The history, newest first
+     */
+    const loadHistory = (onUpdate) => {
+        return historyLoader.load({
+            ...getHistoryRequest(),
+            since: getHistoryRangeStart(prizes),
+            onUpdate
+        });
+    };
+
+    /**
+     * Renders an error in place of the layout when the game couldn't be loaded.
+     * 
+     * @param {string} title - The error title
+     * @param {string} message - The error message
+     */
+    const renderLoadError = (title, message) => {
+        emitEvent('onError', { type: 'load', templateId: options.templateId, errCode: null, message });
+        track(AnalyticsEvent.GameLoadError, { message });
+        unmountLayout();
+
+        layoutContainer.innerHTML = `
+            <div class="game-load-error">
+                <div class="game-load-error-title">${escapeHTML(title)}</div>
+                <div class="game-load-error-message">${escapeHTML(message)}</div>
+            </div>
+        `;
+    };
+
+    /**
+     * Switches the reduced-motion mode on or off, from the template's reduced_motion flag or the
+     * player's prefers-reduced-motion setting. The stylesheets replace movement with fades under
+     * .reduced-motion, and the layouts skip their animation delays (ctx.reducedMotion).
+     */
+    const applyMotionMode = () => {
+        reducedMotion = isReducedMotion(selectedGame.saw_template_ui_definition?.reduced_motion);
+        gameWrapperElement?.classList.toggle('reduced-motion', reducedMotion);
+    };
+
+    // ============================================
+    // LAYOUT DRIVER - Mount, context & spin
+    // ============================================
+
+    /**
+     * Mounts a layout into the layout container and renders the schedule with it.
+     * 
+     * @param {Object} layout - Layout from the registry
+     * @param {string} lang - Language code for translations
+     */
+    const mountLayout = async (layout, lang) => {
+        currentLayout = layout;
+        layoutContext = createLayoutContext(lang);
+        layoutHeader = (await layout.mount(layoutContext)) || {};
+        renderCurrentLayout();
+    };
+
+    /**
+     * Unmounts the active layout (if any) and clears the layout container.
+     */
+    const unmountLayout = () => {
+        if (currentLayout) {
+            try {
+                currentLayout.unmount(layoutContext);
+            } catch (error) {
+                console.error('Error unmounting layout:', error);
             }
+        }
+
+        currentLayout = null;
+        layoutContext = null;
+        layoutHeader = {};
+        layoutInteracting = false;
+        if (layoutContainer) layoutContainer.innerHTML = '';
+    };
+
+    /**
+     * Builds the schedule of the current game with the status of every group.
+     * 
+     * @returns {Array} Groups from getGroupedPrizesWithStatus
+     */
+    const getGroups = () => {
+        return getGroupedPrizesWithStatus(groupedPrizes, miniGamesHistory, selectedGame.saw_template_ui_definition?.streak_milestones);
+    };
+
+    /**
+     * Creates the context handed to every layout hook: where to render, the current game data
+     * and the actions a layout can trigger. The data getters always return the latest state.
+     * 
+     * @param {string} lang - Language code for translations
+     * @returns {Object} Layout context
+     */
+    const createLayoutContext = (lang) => ({
+        root: layoutContainer,
+        lang,
+        // Free for the layout to keep its own elements and state in
+        state: {},
+        get game() { return selectedGame; },
+        get translations() { return translations; },
+        get theme() { return gameTheme; },
+        get history() { return miniGamesHistory; },
+        get spinning() { return spinInProgress; },
+        get reducedMotion() { return reducedMotion; },
+        get spinCost() { return getSpinCost(selectedGame); },
+        get canAffordSpin() { return canAffordSpin(getSpinCost(selectedGame), playerInfo); },
+        getGroups,
+        getGroup: (groupId) => getGroups().find(group => group.groupId === groupId),
+        spin: spinGroup,
+        openPrizeModal: handleOpenPrizeModal,
+        openRules: handleOpenRules,
+        openRewards: handleOpenRewards,
+        acknowledge: runAcknowledgeAction,
+        startPrizeAction,
+        setInteracting: setLayoutInteracting,
+        track,
+        announce: (message) => announce(announcerElement, message),
+        render: () => renderCurrentLayout(),
+        refresh: () => refreshPrizesInPlace()
+    });
 
-            if (firstWeekday && firstWeekday > todayWeekday && !isClaimed) {
-                isLocked = true;
-                isMissed = false;
+    /**
+     * Marks the layout as busy with the player (e.g. an overlay is open), so live updates and
+     * day transitions wait. Pending updates are applied as soon as the layout is done.
+     * 
+     * @param {boolean} interacting - True while the player is busy in the layout
+     */
+    const setLayoutInteracting = (interacting) => {
+        layoutInteracting = interacting;
+        if (!interacting && pendingRefresh) {
+            applyGameUpdate();
+        }
+    };
+
+    /**
+     * Plays the game for a group of the schedule: checks the cost of a paid open, sends the spin
+     * request through the spin controller, refreshes the history and reports the outcome to the
+     * layout's onSpinResult hook. Errors are shown in the error modal. Only one spin runs at a time,
+     * whichever layout asks for it.
+     * 
+     * @param {Object} group - Group from getGroupedPrizesWithStatus
+     * @returns {Promise<Object|null>} {group, winPrize} or {group, errCode, errMessage}; null if a spin is already running
+     */
+    const spinGroup = async (group) => {
+        if (spinInProgress) return null;
+
+        const layout = currentLayout;
+        const context = layoutContext;
+        let result;
+
+        spinInProgress = true;
+        try {
+            // A paid open that is stopped (balance too low, cancelled) never reaches the server
+            result = await checkSpinCost(group);
+            if (!result) {
+                result = await requestSpin(group);
+                if (!destroyed) {
+                    emitEvent('onSpinResult', {
+                        templateId: selectedGame.id,
+                        groupId: group.groupId,
+                        prizeId: result.winPrize?.id ?? null,
+                        errCode: result.winPrize ? SAWSpinErrorCode.SAW_OK : result.errCode
+                    });
+                }
             }
+        } finally {
+            spinInProgress = false;
         }
-    }
 
-    // Out of stock check: pool is 0, not claimed, and not a surcharge prize
-    const isOutOfStock = !isClaimed && prize.pool === 0 && !prize.is_surcharge;
+        // The layout may have been replaced while the request was running
+        if (layout === currentLayout) {
+            layout.onSpinResult(result, context);
+        }
+        return result;
+    };
+
+    /**
+     * Sends the spin request and refreshes the history, and the balance after a paid open.
+     * A spin the controller found in the history after a failed request counts as won.
+     * 
+     * @param {Object} group - Group from getGroupedPrizesWithStatus
+     * @returns {Promise<Object>} {group, winPrize} or {group, errCode, errMessage}
+     */
+    const requestSpin = async (group) => {
+        const templateId = selectedGame.id;
+        emitEvent('onSpin', { templateId, groupId: group.groupId });
 
-    return { isLocked, isMissed, isClaimed, isActive, isOutOfStock, isAcknowledged };
-};
+        try {
+            const response = await spinController.spin(templateId, miniGamesHistory);
+            const { err_code, err_message, prize_id } = response;
 
-// ============================================
-// HISTORY MATCHING
-// ============================================
+            // The game was destroyed while the request was running
+            if (destroyed) {
+                return { group, errCode: err_code, errMessage: err_message };
+            }
 
-/**
- * Checks the game history to determine if a prize was claimed/acknowledged for a specific group.
- * Handles both weekday-based and date-based prize matching with proper timezone awareness.
- * 
- * @param {Object} prize - The prize object
- * @param {number} groupId - The group identifier
- * @param {Date} prizeNow - Current time in prize's timezone
- * @param {boolean} useUtc - Whether to use UTC calculations
- * @param {number} activeFrom - Adjusted active_from_ts
- * @param {number} activeTill - Adjusted active_till_ts
- * @returns {Object} {isClaimed, isAcknowledged}
- */
-/**
- * Finds a prize from history that matches the current group.
- * Similar to the React useEffect that finds prizeWon from history.
- * 
- * For weekday-based prizes: only matches history items from the CURRENT week.
- * For calendar day prizes: only matches history items within the prize's active period.
- * 
- * @param {Array} groupPrizes - All prizes in this group
- * @param {number} groupId - The group identifier (weekday or active_from_ts)
- * @returns {Object|null} The prize from history if found, null otherwise
- */
-const findPrizeWonFromHistory = (groupPrizes, groupId) => {
-    const isWeekdays = groupPrizes.every(prize => prize.weekdays && prize.weekdays.length > 0);
-
-    for (const prize of groupPrizes) {
-        const historyItem = miniGamesHistory.find(history => {
-            // history.saw_prize_id matches prize.id (from TMiniGamePrize)
-            if (history.saw_prize_id !== prize.id) {
-                return false;
+            if (getSpinCost(selectedGame)) {
+                await refreshBalance();
             }
 
-            const historyDate = getHistoryDateForPrize(history.create_date_ts, prize);
-            const historyWeekday = getISOWeekday(historyDate);
-            const useUtc = isUTCTimezone(prize);
-
-            // Get current time in prize's timezone
-            const timezoneNow = getPrizeTimezoneNow(prize);
-            const currentWeek = getISOWeekNumber(timezoneNow);
-            const currentYear = getISOWeekYear(timezoneNow);
-
-            const adjustedFrom = adjustTimestampForPrize(prize.active_from_ts, prize);
-            const adjustedTill = adjustTimestampForPrize(prize.active_till_ts, prize);
-            const activeFrom = prize.active_from_ts ? adjustedFrom : null;
-            const activeTill = prize.active_till_ts ? adjustedTill : null;
-
-            if (isWeekdays) {
-                // For weekday-based prizes: check if history is from current week AND matches groupId
-                const historyWeek = getISOWeekNumber(historyDate);
-                const historyYear = getISOWeekYear(historyDate);
-
-                const isCurrentWeek = historyWeek === currentWeek && historyYear === currentYear;
-                const isCurrentWeekday = prize.weekdays?.some(day => day === historyWeekday && day === groupId);
-
-                return isCurrentWeek && isCurrentWeekday && historyWeekday === groupId;
-            } else {
-                // For calendar day prizes: check if history falls within the prize's active period
-                let isCurrentCalendarDay = false;
-                if (activeFrom && activeTill) {
-                    const historyTs = historyDate.getTime();
-                    if (useUtc) {
-                        isCurrentCalendarDay = historyTs >= activeFrom && historyTs <= activeTill;
-                    } else {
-                        const fromDate = new Date(activeFrom);
-                        fromDate.setHours(0, 0, 0, 0);
-                        const tillDate = new Date(activeTill);
-                        tillDate.setHours(23, 59, 59, 999);
-                        isCurrentCalendarDay = historyTs >= fromDate.getTime() && historyTs <= tillDate.getTime();
-                    }
+            if (err_code === SAWSpinErrorCode.SAW_OK) {
+                // prize_id from API response matches prize.id (TMiniGamePrize.id)
+                const winPrize = prizes.find((p) => p.id === prize_id) || group.prize;
+
+                // Refresh history from server. The prize is won either way: if the refresh fails,
+                // the cached history stays until the next update or poll
+                try {
+                    miniGamesHistory = await loadHistory();
+                } catch (error) {
+                    console.error('Error refreshing the history after the spin:', error);
                 }
+                if (destroyed) return { group, winPrize };
+                renderStreak();
 
-                return isCurrentCalendarDay && prize.active_from_ts === groupId;
+                announce(announcerElement, `${translations.lootboxPrizeWonAnnouncement || 'You won'}: ${winPrize.name}`);
+                emitEvent('onWin', { templateId, groupId: group.groupId, prize: winPrize });
+                return { group, winPrize };
             }
-        });
 
-        if (historyItem) {
-            return { prize, historyItem };
+            handleSpinError(err_code, err_message, group.prize);
+            return { group, errCode: err_code, errMessage: err_message };
+        } catch (error) {
+            if (destroyed) {
+                return { group, errCode: null, errMessage: error.message };
+            }
+            console.error('Error playing mini game:', error);
+            handleSpinError(null, error.message, group.prize);
+            return { group, errCode: null, errMessage: error.message };
+        }
+    };
+
+    /**
+     * Checks a paid open before the spin request: a balance that doesn't cover the cost shows the
+     * matching error, otherwise the player confirms the cost. Free games pass right away.
+     * 
+     * @param {Object} group - Group from getGroupedPrizesWithStatus
+     * @returns {Promise<Object|null>} {group, errCode, errMessage} if the open is stopped, null to go on
+     */
+    const checkSpinCost = async (group) => {
+        const cost = getSpinCost(selectedGame);
+        if (!cost) return null;
+
+        if (!canAffordSpin(cost, playerInfo)) {
+            const errCode = INSUFFICIENT_BALANCE_ERROR_CODES[cost.type];
+            handleSpinError(errCode, '', group.prize);
+            return { group, errCode, errMessage: '' };
         }
-    }
 
-    return null;
-};
+        const confirmed = await confirmPaidSpin(cost);
+        return confirmed
+            ? null
+            : { group, errCode: SAWSpinErrorCode.SAW_VISITOR_STOP_SPIN_REQUEST, errMessage: '' };
+    };
+
+    /**
+     * Creates the spin controller of the loaded game. The timeout comes from
+     * saw_template_ui_definition.spin_timeout_sec (default DEFAULT_SPIN_TIMEOUT_SEC).
+     */
+    const setupSpinController = () => {
+        const timeoutSec = selectedGame.saw_template_ui_definition?.spin_timeout_sec;
+
+        spinController = createSpinController({
+            play: (templateId) => window._smartico.api.playMiniGame(templateId),
+            fetchHistory: () => loadHistory(),
+            onLateResponse: handleLateSpinResponse,
+            timeoutMs: (timeoutSec > 0 ? timeoutSec : DEFAULT_SPIN_TIMEOUT_SEC) * 1000
+        });
+    };
+
+    /**
+     * Handles the answer of a spin that was reported as unconfirmed: the game data is fetched again,
+     * so a prize won after all shows up on its box.
+     */
+    const handleLateSpinResponse = () => {
+        refreshGameData();
+        if (getSpinCost(selectedGame)) {
+            refreshBalance();
+        }
+    };
 
-// ============================================
-// DATE FORMATTING
-// ============================================
+    /**
+     * Fetches the player's balances again (a paid open or a purchase elsewhere changed them)
+     * and renders the balance of the game's currency.
+     */
+    const refreshBalance = async () => {
+        try {
+            playerInfo = await window._smartico.getPublicProps();
+        } catch (error) {
+            console.error('Error refreshing the balance:', error);
+        }
+        renderBalance();
+    };
+
+    // ============================================
+    // EVENT HANDLERS
+    // ============================================
+
+    /**
+     * Handles spin errors with specific messages based on error code.
+     * Uses translation key format: translations['sawErrorCode' + errCode] for localized messages.
+     * 
+     * @param {number} errCode - The error code from the API
+     * @param {string} errMessage - The error message from the API (optional fallback)
+     * @param {Object} prize - The prize that was attempted
+     */
+    const handleSpinError = (errCode, errMessage, prize) => {
+        let title = translations.somethingWentWrong || 'Something went wrong';
+
+        // Get translation using sawErrorCode + errCode pattern (e.g., sawErrorCode40001)
+        const translatedMessage = translations['sawErrorCode' + errCode];
+        let message = translatedMessage || errMessage;
+
+        switch (errCode) {
+            case SAWSpinErrorCode.SAW_FAILED_MAX_SPINS_REACHED:
+                // Max spins reached - use over_limit_message from game template if available
+                message = selectedGame?.over_limit_message || translatedMessage || errMessage || 'Maximum attempts reached';
+                break;
+
+            case SAWSpinErrorCode.SAW_NOT_IN_SEGMENT:
+                // User not in segment - show requirements_to_get_prize if available
+                title = translations.lootboxSegmentationErrorMessage || 'Requirements not met';
+                message = prize?.requirements_to_get_prize || translatedMessage || errMessage || 'You do not meet the requirements for this prize';
+                break;
+
+            case SAWSpinErrorCode.SAW_TEMPLATE_NOT_ACTIVE:
+                // Game template not active
+                message = translatedMessage || errMessage || 'This game is not currently active';
+                break;
+
+            case SAWSpinErrorCode.SAW_PRIZE_POOL_EMPTY:
+                // Prize pool is empty - use out_of_stock_message if available
+                message = prize?.out_of_stock_message || translatedMessage || translations.lootboxOutOfStockPrize || 'This prize is out of stock';
+                break;
+
+            case SAWSpinErrorCode.SAW_NO_SPINS:
+                // No spin attempts available
+                message = translatedMessage || errMessage || 'No spin attempts available';
+                break;
+
+            case SAWSpinErrorCode.SAW_NOT_ENOUGH_POINTS:
+                // Not enough points
+                message = translatedMessage || errMessage || 'Not enough points to play';
+                break;
+
+            case SAWSpinErrorCode.SAW_NO_BALANCE_GEMS:
+                // Not enough gems
+                message = translatedMessage || errMessage || 'Not enough gems to play';
+                break;
+
+            case SAWSpinErrorCode.SAW_NO_BALANCE_DIAMONDS:
+                // Not enough diamonds
+                message = translatedMessage || errMessage || 'Not enough diamonds to play';
+                break;
+
+            case SPIN_UNCONFIRMED:
+                // No answer in time and nothing in the history yet, a prize won after all shows up by itself
+                message = translations.lootboxSpinUnconfirmed || 'Your opening could not be confirmed. If it went through, your prize will show up in a moment.';
+                break;
+
+            default:
+                // Generic error handling - try translation first, then fallback
+                message = translatedMessage || errMessage || translations.tryAgainLater || 'Please try again later';
+        }
 
-/**
- * Gets the date to display for a weekday-based prize.
- * Calculates the actual calendar date for the prize's weekday in the current week.
- * 
- * @param {Object} prize - The prize object
- * @returns {Date} The target date for the prize's weekday
- */
-const getWeekdayDate = (prize) => {
-    const prizeNow = getPrizeTimezoneNow(prize);
-    const currentDay = getISOWeekday(prizeNow);
-    const targetWeekday = prize.weekdays[0];
+        emitEvent('onError', { type: 'spin', templateId: selectedGame.id, errCode, message });
+        track(AnalyticsEvent.Error, { source: 'spin', errCode, message });
+        renderErrorModal(title, message);
+    };
+
+    /**
+     * Handles claiming a prize from the modal.
+     * Explicit-acknowledge prizes are claimed on the platform first; the modal stays open
+     * with a retry option if that fails.
+     * 
+     * @param {Object} prize - The won prize object
+     * @param {HTMLElement} button - The claim button, used for the pending/failed state
+     * @param {Object|null} historyItem - The win waiting for the claim, null if there is nothing to claim
+     */
+    const handleClaimPrizeInModal = async (prize, button, historyItem) => {
+        const prizeAction = startPrizeAction(prize, false, button);
+        if (historyItem) {
+            const acknowledged = await runAcknowledgeAction(prize, true, button, historyItem);
+            if (!acknowledged) {
+                prizeAction.cancel();
+                return;
+            }
+        }
+        handleClosePrizeModal();
+        prizeAction.run();
+    };
+
+    /**
+     * Handles declining a prize from the modal (the additional action of explicit-acknowledge prizes).
+     * 
+     * @param {Object} prize - The won prize object
+     * @param {HTMLElement} button - The cancel button, used for the pending/failed state
+     * @param {Object} historyItem - The win waiting for the claim
+     */
+    const handleDeclinePrizeInModal = async (prize, button, historyItem) => {
+        const prizeAction = startPrizeAction(prize, true, button);
+        const declined = await runAcknowledgeAction(prize, false, button, historyItem);
+        if (declined) {
+            handleClosePrizeModal();
+            prizeAction.run();
+        } else {
+            prizeAction.cancel();
+        }
+    };
+
+    // ============================================
+    // PRIZE ACKNOWLEDGE - Explicit claim/decline
+    // ============================================
+
+    /**
+     * Sends the claim (or decline) of an explicit-acknowledge win to the platform
+     * and refreshes the history, so the prize shows up as acknowledged.
+     * 
+     * @param {Object} prize - The won prize object
+     * @param {boolean} confirm - True to claim the prize, false to decline it
+     * @param {Object} [win] - History item of the clicked box's win; the latest pending win of the prize if not given (a fresh spin result)
+     * @returns {Promise<void>} Rejects if the platform refused the request
+     */
+    const acknowledgePrize = async (prize, confirm, win = null) => {
+        // Looked up in the current history, a win claimed in the meantime isn't sent again
+        const historyItem = findPendingHistoryItem(prize, win
+            ? miniGamesHistory.filter(item => item.request_id === win.request_id)
+            : miniGamesHistory);
+        if (!historyItem?.request_id) {
+            throw new Error('No pending win found for this prize');
+        }
 
-    const daysDifference = targetWeekday - currentDay;
+        const response = await window._smartico.api.miniGameWinAcknowledgeRequest(historyItem.request_id, confirm);
+        if (response?.err_code) {
+            throw new Error(response.err_message || `Acknowledge failed with code ${response.err_code}`);
+        }
 
-    const targetDate = new Date(prizeNow);
-    targetDate.setDate(prizeNow.getDate() + daysDifference);
+        emitEvent('onClaim', { templateId: selectedGame.id, prize, confirmed: confirm });
 
-    return targetDate;
-};
+        // The claim went through: a failed refresh only marks the win as acknowledged locally,
+        // the next update or poll brings the history of the platform
+        let history;
+        try {
+            history = await loadHistory();
+        } catch (error) {
+            console.error('Error refreshing the history after the claim:', error);
+            history = miniGamesHistory.map((item) => (
+                item.request_id === historyItem.request_id ? { ...item, acknowledge_date_ts: getClockNow().getTime() } : item
+            ));
+        }
 
-/**
- * Formats a prize's date for display on the card.
- * Handles both date-based and weekday-based prizes with timezone awareness.
- * 
- * @param {Object} prize - The prize object
- * @param {string} langCode - Language code for localization (e.g., 'en', 'de')
- * @returns {string} Formatted date string (e.g., "15 Feb")
- */
-const getPrizeDate = (prize, langCode) => {
-    const useUtc = isUTCTimezone(prize);
-
-    if (prize.active_from_ts) {
-        const date = useUtc
-            ? new Date(prize.active_from_ts + ((prize?.relative_period_timezone || 0) * 60000))
-            : new Date(prize.active_from_ts);
-        return date.toLocaleDateString(langCode || 'en', { month: 'short', day: 'numeric' });
-    } else if (prize.weekdays && prize.weekdays.length > 0) {
-        const targetDate = getWeekdayDate(prize);
-        return targetDate.toLocaleDateString(langCode || 'en', { month: 'short', day: 'numeric' });
-    }
+        // Applied right away where the UI isn't blocked, otherwise as soon as the modal/overlay closes
+        applyGameUpdate({ history });
+    };
+
+    /**
+     * Runs a claim/decline request from one of the acknowledge buttons.
+     * Shows a pending state while the request runs (all buttons of the group are blocked),
+     * and on failure an error message with the button turned into a retry button.
+     * 
+     * @param {Object} prize - The won prize object
+     * @param {boolean} confirm - True to claim the prize, false to decline it
+     * @param {HTMLElement} button - The clicked button
+     * @param {Object} [historyItem] - History item of the win, see acknowledgePrize
+     * @returns {Promise<boolean>} True if the request succeeded
+     */
+    const runAcknowledgeAction = async (prize, confirm, button, historyItem = null) => {
+        const buttonGroup = button?.parentElement;
+        if (buttonGroup?.classList.contains('pending')) return false;
+
+        const buttonText = button?.firstElementChild || button;
+        const originalText = button?.dataset.originalText ?? buttonText?.innerHTML;
+        if (button) button.dataset.originalText = originalText;
+
+        buttonGroup?.classList.add('pending');
+        buttonGroup?.classList.remove('failed');
+        const previousError = buttonGroup?.previousElementSibling;
+        if (previousError?.classList.contains('acknowledge-error')) {
+            previousError.remove();
+        }
+        if (buttonText) {
+            buttonText.textContent = confirm
+                ? translations.lootboxClaiming || 'Claiming...'
+                : translations.lootboxDeclining || 'Declining...';
+        }
 
-    return '';
-};
+        try {
+            await acknowledgePrize(prize, confirm, historyItem);
+            return true;
+        } catch (error) {
+            console.error('Error acknowledging prize:', error);
+            emitEvent('onError', { type: 'claim', templateId: selectedGame.id, errCode: null, message: error.message });
+            track(AnalyticsEvent.Error, { source: 'claim', errCode: null, message: error.message });
+
+            buttonGroup?.classList.add('failed');
+            if (buttonText) buttonText.textContent = translations.lootboxRetry || 'Retry';
+            buttonGroup?.insertAdjacentHTML('beforebegin', `
+                <div class="acknowledge-error">${escapeHTML(translations.lootboxClaimFailed || 'Something went wrong. Please try again.')}</div>
+            `);
+            return false;
+        } finally {
+            buttonGroup?.classList.remove('pending');
+        }
+    };
+
+    // ============================================
+    // PRIZE ACTIONS - Where the acknowledge buttons take the player
+    // ============================================
+
+    const prizeActions = createPrizeActionRunner({
+        window,
+        deepLinkHandlers: options.deepLinkHandlers,
+        onBlockedUrl: typeof options.onOpenUrl === 'function'
+            ? ({ prize, url }) => emitEvent('onOpenUrl', { templateId: selectedGame.id, prize, url })
+            : undefined,
+        track,
+        getTemplateId: () => selectedGame.id,
+        isActive: () => !destroyed
+    });
+    // Called in the click handler of an acknowledge button (see prizeActions.js)
+    const startPrizeAction = prizeActions.start;
+
+    // ============================================
+    // MODAL FUNCTIONS
+    // ============================================
+
+    /**
+     * Opens the rules modal.
+     */
+    const handleOpenRules = () => {
+        openRules = true;
+        track(AnalyticsEvent.ModalOpen, { modal: 'rules' });
+        renderModalRules();
+    };
+
+    /**
+     * Closes the rules modal.
+     */
+    const handleCloseRules = () => {
+        if (openRules) track(AnalyticsEvent.ModalClose, { modal: 'rules' });
+        openRules = false;
+        modalContainer.innerHTML = '';
+        releaseRulesDialog?.();
+        releaseRulesDialog = null;
+    };
+
+    /**
+     * Renders the rules modal content.
+     */
+    const renderModalRules = () => {
+        if (!openRules || !modalContainer) {
+            if (modalContainer) modalContainer.innerHTML = '';
+            return;
+        }
 
-// ============================================
-// DRAG SCROLLING - Cards Layout
-// ============================================
+        // Layouts pick the look of the shared modals
+        const layoutClassName = currentLayout?.modalTheme || 'cards';
 
-const onDragStart = (e) => {
-    isDragging = true;
-    startX = e.pageX - prizeCardContainer.offsetLeft;
-    scrollLeft = prizeCardContainer.scrollLeft;
-};
+        modalContainer.innerHTML = `
+            <div class="modal-wrapper ${openRules ? 'active' : ''} ${layoutClassName}">
+                <div class="modal-content">
+                    <div class="modal-content-text">
+                        <div class="modal-content-title">${escapeHTML(translations.rules || 'Rules')}</div>
+                        <div class="modal-content-rules">${sanitizeRichText(selectedGame.description)}</div>
+                    </div>
+                    <div class="modal-content-button" role="button" tabindex="0">
+                        <div class="modal-content-button-text">${escapeHTML(translations.backToGame || 'Back to Game')}</div>
+                    </div>
+                </div>
+            </div>
+        `;
 
-const onDragMove = (e) => {
-    if (!isDragging) return;
-    e.preventDefault();
-    const x = e.pageX - prizeCardContainer.offsetLeft;
-    const walk = x - startX;
-    prizeCardContainer.scrollLeft = scrollLeft - walk;
-};
+        modalContainer.querySelector('.modal-content-button').addEventListener('click', handleCloseRules);
 
-const onDragEnd = () => {
-    isDragging = false;
-};
+        releaseRulesDialog?.();
+        releaseRulesDialog = openDialog(modalContainer.querySelector('.modal-content'), {
+            label: translations.rules || 'Rules',
+            onClose: handleCloseRules
+        });
+    };
+
+    /**
+     * Opens the possible rewards modal of a group: every prize the day can give.
+     *
+     * @param {number} groupId - The group identifier
+     */
+    const handleOpenRewards = (groupId) => {
+        rewardsGroupId = groupId;
+        track(AnalyticsEvent.ModalOpen, { modal: 'rewards', groupId });
+        renderRewardsModal();
+    };
+
+    /**
+     * Closes the possible rewards modal.
+     */
+    const handleCloseRewards = () => {
+        if (rewardsGroupId !== null) track(AnalyticsEvent.ModalClose, { modal: 'rewards', groupId: rewardsGroupId });
+        rewardsGroupId = null;
+        rewardsModalContainer.innerHTML = '';
+        releaseRewardsDialog?.();
+        releaseRewardsDialog = null;
+    };
+
+    /**
+     * Builds the list of the possible rewards modal: icon and name of every prize, its stock when
+     * the pool is known and a tag for surcharge prizes.
+     *
+     * @param {Object} group - Group from getGroupedPrizesWithStatus
+     * @returns {string} HTML string of the list items
+     */
+    const buildRewardsList = (group) => {
+        return getGroupRewards(group).map(({ prize, stock, isSurcharge, isOutOfStock }) => {
+            const icon = sanitizeUrl(prize.icon);
+            const stockText = isOutOfStock
+                ? translations.lootboxOutOfStockPrize || 'Out of stock'
+                : (translations.lootboxRewardStock || '{count} left').replace('{count}', stock);
+
+            return `
+                <li class="modal-reward ${isOutOfStock ? 'out-of-stock' : ''} ${isSurcharge ? 'surcharge' : ''}">
+                    ${icon
+                ? `<img class="modal-reward-image" src="${escapeHTML(icon)}" alt="" draggable="false">`
+                : '<div class="modal-reward-no-image"></div>'}
+                    <div class="modal-reward-name">${escapeHTML(prize.name)}</div>
+                    <div class="modal-reward-tags">
+                        ${isSurcharge ? `<span class="modal-reward-tag surcharge">${escapeHTML(translations.lootboxSurchargePrize || 'Surcharge prize')}</span>` : ''}
+                        ${stock !== null && !isSurcharge ? `<span class="modal-reward-tag stock">${escapeHTML(stockText)}</span>` : ''}
+                    </div>
+                </li>
+            `;
+        }).join('');
+    };
+
+    /**
+     * Renders the possible rewards modal. On live updates only the list is rendered again, so the
+     * stock stays current without moving the focus; the modal closes if the day was removed.
+     *
+     * @param {boolean} [listOnly] - Only refresh the list of an open modal
+     */
+    const renderRewardsModal = (listOnly = false) => {
+        if (rewardsGroupId === null || !rewardsModalContainer) return;
+
+        const group = getGroups().find(item => item.groupId === rewardsGroupId);
+        if (!group) {
+            handleCloseRewards();
+            return;
+        }
 
-const handleScroll = (e, direction) => {
-    e.stopPropagation();
-    if (prizeCardContainer) {
-        const scrollAmount = direction === 'left' ? -SCROLL_MOVE : SCROLL_MOVE;
-        prizeCardContainer.scrollBy({ top: 0, left: scrollAmount, behavior: 'smooth' });
-    }
-};
+        const list = rewardsModalContainer.querySelector('.modal-rewards-list');
+        if (listOnly && list) {
+            list.innerHTML = buildRewardsList(group);
+            return;
+        }
 
-// ============================================
-// DRAG SCROLLING - Map Layout
-// ============================================
+        const layoutClassName = currentLayout?.modalTheme || 'cards';
+        const title = translations.lootboxPossibleRewards || 'Possible rewards';
 
-const onMapDragStart = (e) => {
-    if (mapTapOverlayActive || mapPrizeWonModalActive) return;
-    isDragging = true;
-    startY = e.clientY;
-    scrollTop = mapContainer.scrollTop;
-    mapContainer.classList.add('dragging');
-};
+        rewardsModalContainer.innerHTML = `
+            <div class="modal-wrapper active rewards ${layoutClassName}">
+                <div class="modal-content">
+                    <div class="modal-content-text">
+                        <div class="modal-content-title">${escapeHTML(title)}</div>
+                        <div class="modal-content-rules">${escapeHTML(getPrizeDate(group.displayPrize, currentLanguage))}</div>
+                        <ul class="modal-rewards-list">${buildRewardsList(group)}</ul>
+                    </div>
+                    <div class="modal-content-button" role="button" tabindex="0">
+                        <div class="modal-content-button-text">${escapeHTML(translations.backToGame || 'Back to Game')}</div>
+                    </div>
+                </div>
+            </div>
+        `;
 
-const onMapDragMove = (e) => {
-    if (!isDragging) return;
-    e.preventDefault();
-    const dy = e.clientY - startY;
-    mapContainer.scrollTop = scrollTop - dy;
-};
+        rewardsModalContainer.querySelector('.modal-content-button').addEventListener('click', handleCloseRewards);
 
-const onMapDragEnd = () => {
-    isDragging = false;
-    if (mapContainer) {
-        mapContainer.classList.remove('dragging');
-    }
-};
+        releaseRewardsDialog?.();
+        releaseRewardsDialog = openDialog(rewardsModalContainer.querySelector('.modal-content'), {
+            label: title,
+            onClose: handleCloseRewards
+        });
+    };
+
+    /**
+     * Opens the prize won modal.
+     * 
+     * @param {Object} prize - The won prize object
+     * @param {Object} [historyItem] - History item of the clicked box's win, none for a fresh spin result
+     */
+    const handleOpenPrizeModal = (prize, historyItem = null) => {
+        cardClaimModal = true;
+        track(AnalyticsEvent.ModalOpen, { modal: 'prize', prizeId: prize?.id });
+        renderPrizeModal(prize, historyItem);
+    };
+
+    /**
+     * Closes the prize won modal and re-renders the prizes to reflect updated status.
+     */
+    const handleClosePrizeModal = () => {
+        if (cardClaimModal) track(AnalyticsEvent.ModalClose, { modal: 'prize' });
+        cardClaimModal = false;
+        prizeModalContainer.innerHTML = '';
+        // Re-render cards/grid to update claimed status
+        renderCurrentLayout();
+        // After the re-render, so the focus goes back to the new element of the box
+        releasePrizeDialog?.();
+        releasePrizeDialog = null;
+    };
+
+    /**
+     * Renders the prize won modal.
+     * 
+     * @param {Object} prize - The won prize object
+     * @param {Object|null} historyItem - History item of the win, null for a fresh spin result
+     */
+    const renderPrizeModal = (prize, historyItem) => {
+        if (!cardClaimModal || !prizeModalContainer) {
+            if (prizeModalContainer) prizeModalContainer.innerHTML = '';
+            return;
+        }
 
-const onMapScroll = () => {
-    if (mapContainer) {
-        const shouldShowHint = mapContainer.scrollTop < 20;
-        if (showMapHint !== shouldShowHint) {
-            showMapHint = shouldShowHint;
-            if (mapHintIcon) {
-                mapHintIcon.classList.toggle('hidden', !showMapHint);
+        // Reopened after the claim (or decline), the modal only has the OK button
+        const pendingItem = findPendingHistoryItem(prize, historyItem ? [historyItem] : miniGamesHistory);
+        const acknowledgeWithClaim = !!pendingItem;
+        const acknowledgeMessage = prize?.aknowledge_message || 'Congratulations! You won a prize!';
+        const actionTitle = prize?.acknowledge_action_title || translations.doOk || 'OK';
+        const cancelTitle = prize?.acknowledge_action_title_additional || translations.doCancel || 'Cancel';
+
+        prizeModalContainer.innerHTML = `
+            <div class="modal-prize-wrapper active">
+                <div class="modal-prize-card">
+                    <div class="modal-close-button" role="button" tabindex="0" aria-label="${escapeHTML(translations.close || 'Close')}">
+                        <div class="close-btn"></div>
+                    </div>
+                    <div class="modal-prize-content">
+                        <div class="modal-prize-text-content">
+                            <div class="modal-prize-title">${escapeHTML(translations.claimPrizeSuccess || 'Prize Won!')}</div>
+                            <div class="modal-prize-message">${escapeHTML(acknowledgeMessage)}</div>
+                        </div>
+                        <div class="modal-prize-buttons ${acknowledgeWithClaim ? 'two-btns' : ''}">
+                            <div class="modal-prize-button claim" role="button" tabindex="0">
+                                <div class="modal-prize-button-text">${escapeHTML(actionTitle)}</div>
+                            </div>
+                            ${acknowledgeWithClaim
+                ? `<div class="modal-prize-button cancel" role="button" tabindex="0">
+                                        <div class="modal-prize-button-text cancel">${escapeHTML(cancelTitle)}</div>
+                                    </div>`
+                : ''
             }
-        }
-    }
-};
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
 
-// Set up drag scrolling event listeners for Cards Layout
-if (prizeCardContainer) {
-    prizeCardContainer.addEventListener('mousedown', onDragStart);
-    prizeCardContainer.addEventListener('mousemove', onDragMove);
-    prizeCardContainer.addEventListener('mouseup', onDragEnd);
-    prizeCardContainer.addEventListener('mouseleave', onDragEnd);
-}
-if (scrollLeftButton) {
-    scrollLeftButton.addEventListener('mousedown', (e) => handleScroll(e, "left"));
-}
-if (scrollRightButton) {
-    scrollRightButton.addEventListener('mousedown', (e) => handleScroll(e, "right"));
-}
-
-// Set up drag scrolling event listeners for Map Layout
-if (mapContainer) {
-    // Mouse events
-    mapContainer.addEventListener('mousedown', onMapDragStart);
-    mapContainer.addEventListener('mousemove', onMapDragMove);
-    mapContainer.addEventListener('mouseup', onMapDragEnd);
-    mapContainer.addEventListener('mouseleave', onMapDragEnd);
-    mapContainer.addEventListener('scroll', onMapScroll);
-
-    // Touch events for mobile
-    mapContainer.addEventListener('touchstart', (e) => {
-        if (mapTapOverlayActive || mapPrizeWonModalActive) return;
-        isDragging = true;
-        startY = e.touches[0].clientY;
-        scrollTop = mapContainer.scrollTop;
-    }, { passive: true });
-
-    mapContainer.addEventListener('touchmove', (e) => {
-        if (!isDragging) return;
-        const dy = e.touches[0].clientY - startY;
-        mapContainer.scrollTop = scrollTop - dy;
-    }, { passive: true });
-
-    mapContainer.addEventListener('touchend', onMapDragEnd);
-}
+        const mainClaimButton = prizeModalContainer.querySelector('.modal-prize-button.claim');
+        prizeModalContainer.querySelector('.modal-close-button').addEventListener('click', handleClosePrizeModal);
 
-// ============================================
-// INITIALIZATION & LOADING
-// ============================================
+        releasePrizeDialog?.();
+        releasePrizeDialog = openDialog(prizeModalContainer.querySelector('.modal-prize-card'), {
+            label: translations.claimPrizeSuccess || 'Prize Won!',
+            onClose: handleClosePrizeModal,
+            initialFocus: mainClaimButton
+        });
 
-/**
- * Loads the mini game data from the Smartico API.
- * Fetches game templates, history, and translations, then renders the game.
- * Detects and switches between Cards and Map layouts automatically.
- * 
- * @param {number|string} saw_template_id - The template ID of the game to load
- * @param {string} lang - Language code for translations
- */
-const loadMiniGames = async (saw_template_id, lang) => {
-    if (!window._smartico) {
-        console.error('Smartico SDK not loaded');
-        return;
-    }
+        if (mainClaimButton) {
+            mainClaimButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                handleClaimPrizeInModal(prize, mainClaimButton, pendingItem);
+            });
+        }
 
-    try {
-        // Show loading spinner
-        if (loadingElement) {
-            loadingElement.style.display = 'flex';
-            loadingElement.classList.remove('hidden');
+        const mainCancelButton = prizeModalContainer.querySelector('.modal-prize-button.cancel');
+        if (mainCancelButton) {
+            mainCancelButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                handleDeclinePrizeInModal(prize, mainCancelButton, pendingItem);
+            });
+        }
+    };
+
+    /**
+     * Opens the error modal.
+     * 
+     * @param {string} errorMessage - The error message to display
+     */
+    const handleOpenErrorModal = (errorMessage) => {
+        renderErrorModal(translations.somethingWentWrong || 'Something went wrong', errorMessage);
+    };
+
+    /**
+     * Closes the error modal.
+     */
+    const handleCloseErrorModal = () => {
+        if (errorModal) track(AnalyticsEvent.ModalClose, { modal: 'error' });
+        errorModal = false;
+        errorModalContainer.innerHTML = '';
+        releaseErrorDialog?.();
+        releaseErrorDialog = null;
+    };
+
+    /**
+     * Renders the error modal.
+     * 
+     * @param {string} title - The error title
+     * @param {string} message - The error message
+     */
+    const renderErrorModal = (title, message) => {
+        if (!errorModal) track(AnalyticsEvent.ModalOpen, { modal: 'error' });
+        errorModal = true;
+
+        if (!errorModalContainer) {
+            return;
         }
 
-        // Hide both layouts initially
-        if (cardsLayout) cardsLayout.style.display = 'none';
-        if (mapLayout) mapLayout.style.display = 'none';
+        errorModalContainer.innerHTML = `
+            <div class="modal-prize-wrapper active">
+                <div class="modal-prize-card">
+                    <div class="modal-close-button" role="button" tabindex="0" aria-label="${escapeHTML(translations.close || 'Close')}">
+                        <div class="close-btn"></div>
+                    </div>
+                    <div class="modal-prize-content">
+                        <div class="modal-prize-text-content">
+                            <div class="modal-prize-title stock">${escapeHTML(title)}</div>
+                            <div class="modal-prize-message">${escapeHTML(message)}</div>
+                        </div>
+                        <div class="modal-prize-buttons">
+                            <div class="modal-prize-button stock" role="button" tabindex="0">
+                                <div class="modal-prize-button-text">${escapeHTML(translations.doOk || 'OK')}</div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
 
-        // Fetch game data
-        const games = await window._smartico.api.getMiniGames();
-        const userInfo = await window._smartico.getPublicProps();
+        errorModalContainer.querySelectorAll('.modal-close-button, .modal-prize-button').forEach((button) => {
+            button.addEventListener('click', handleCloseErrorModal);
+        });
 
-        miniGames = games;
-        playerInfo = userInfo;
-        selectedGame = miniGames.find((g) => g.id === parseInt(saw_template_id, 10));
+        releaseErrorDialog?.();
+        releaseErrorDialog = openDialog(errorModalContainer.querySelector('.modal-prize-card'), {
+            label: title,
+            role: 'alertdialog',
+            onClose: handleCloseErrorModal,
+            initialFocus: errorModalContainer.querySelector('.modal-prize-button')
+        });
+    };
+
+    /**
+     * Asks the player to confirm a paid open, showing the cost and the balance.
+     * 
+     * @param {Object} cost - Cost from getSpinCost
+     * @returns {Promise<boolean>} True if the player confirmed, false if they cancelled
+     */
+    const confirmPaidSpin = (cost) => {
+        const costText = formatCurrencyAmount(cost.amount, cost.type, translations);
+        const balanceText = formatCurrencyAmount(getBalance(playerInfo, cost.type), cost.type, translations);
+        const title = translations.lootboxConfirmSpinTitle || 'Open the box?';
+        const message = (translations.lootboxConfirmSpinMessage || 'Opening this box costs {cost}. Your balance: {balance}.')
+            .replace('{cost}', costText)
+            .replace('{balance}', balanceText);
+        const confirmTitle = (translations.lootboxConfirmSpinButton || 'Open for {cost}').replace('{cost}', costText);
+
+        confirmModalContainer.innerHTML = `
+            <div class="modal-prize-wrapper active">
+                <div class="modal-prize-card">
+                    <div class="modal-close-button" role="button" tabindex="0" aria-label="${escapeHTML(translations.close || 'Close')}" data-confirm="false">
+                        <div class="close-btn"></div>
+                    </div>
+                    <div class="modal-prize-content">
+                        <div class="modal-prize-text-content">
+                            <div class="modal-prize-title">${escapeHTML(title)}</div>
+                            <div class="modal-prize-message">${escapeHTML(message)}</div>
+                        </div>
+                        <div class="modal-prize-buttons two-btns">
+                            <div class="modal-prize-button" role="button" tabindex="0" data-confirm="true">
+                                <div class="modal-prize-button-text">${escapeHTML(confirmTitle)}</div>
+                            </div>
+                            <div class="modal-prize-button cancel" role="button" tabindex="0" data-confirm="false">
+                                <div class="modal-prize-button-text cancel">${escapeHTML(translations.doCancel || 'Cancel')}</div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
 
-        if (!selectedGame) {
-            console.error('Game not found with ID:', saw_template_id);
-            if (gameTitle) gameTitle.innerHTML = 'Game not found';
-            if (gameDescription) gameDescription.innerHTML = 'Please check the game ID';
-            return;
-        }
+        track(AnalyticsEvent.ModalOpen, { modal: 'confirm' });
 
-        prizes = selectedGame.prizes || [];
-        currentLanguage = lang;
+        return new Promise((resolve) => {
+            resolveSpinConfirmation = resolve;
 
-        // Determine layout type from game template
-        const gameLayout = selectedGame.saw_template_ui_definition?.game_layout || SAWGameLayout.Horizontal;
-        currentLayout = gameLayout;
+            releaseConfirmDialog?.();
+            releaseConfirmDialog = openDialog(confirmModalContainer.querySelector('.modal-prize-card'), {
+                label: title,
+                onClose: () => handleCloseConfirmModal(false),
+                initialFocus: confirmModalContainer.querySelector('[data-confirm="true"]')
+            });
 
-        // Fetch history
-        const gamesHistory = await window._smartico.api.getMiniGamesHistory({
-            limit: 1000,
-            offset: 0,
-            saw_template_id: saw_template_id
+            confirmModalContainer.querySelectorAll('[data-confirm]').forEach((button) => {
+                button.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    handleCloseConfirmModal(button.dataset.confirm === 'true');
+                });
+            });
         });
-        miniGamesHistory = gamesHistory || [];
+    };
+
+    /**
+     * Closes the paid open confirmation and settles it.
+     * 
+     * @param {boolean} confirmed - True to open the box, false to cancel
+     */
+    const handleCloseConfirmModal = (confirmed) => {
+        track(AnalyticsEvent.ModalClose, { modal: 'confirm', confirmed });
+        confirmModalContainer.innerHTML = '';
+        releaseConfirmDialog?.();
+        releaseConfirmDialog = null;
+
+        resolveSpinConfirmation?.(confirmed);
+        resolveSpinConfirmation = null;
+    };
+
+    // ============================================
+    // STREAK
+    // ============================================
+
+    /**
+     * Renders the player's streak (current, longest and missed days) in the header of the active layout,
+     * if the layout returned a streak element from mount.
+     * Based on the grouped schedule and the history, so it covers the current week for weekday
+     * schedules and the whole campaign for date schedules.
+     */
+    const renderStreak = () => {
+        const { streakElement } = layoutHeader;
+        if (!streakElement) return;
+
+        const { currentStreak, longestStreak, missedDays } = calculateStreak(groupedPrizes, miniGamesHistory);
+
+        streakElement.innerHTML = `
+            <div class="streak-item current">
+                <span class="streak-value">${currentStreak}</span>
+                <span class="streak-label">${escapeHTML(translations.lootboxCurrentStreak || 'Day streak')}</span>
+            </div>
+            <div class="streak-item longest">
+                <span class="streak-value">${longestStreak}</span>
+                <span class="streak-label">${escapeHTML(translations.lootboxLongestStreak || 'Best streak')}</span>
+            </div>
+            <div class="streak-item missed">
+                <span class="streak-value">${missedDays}</span>
+                <span class="streak-label">${escapeHTML(translations.lootboxMissedDays || 'Missed')}</span>
+            </div>
+        `;
+    };
+
+    // ============================================
+    // BALANCE
+    // ============================================
+
+    /**
+     * Renders the player's balance in the currency a paid game charges, in the header of the active
+     * layout if the layout returned a balance element from mount. Hidden for free games.
+     */
+    const renderBalance = () => {
+        const { balanceElement } = layoutHeader;
+        if (!balanceElement) return;
+
+        const cost = getSpinCost(selectedGame);
+        balanceElement.classList.toggle('hidden', !cost);
+        if (!cost) return;
+
+        const balance = formatCurrencyAmount(getBalance(playerInfo, cost.type), cost.type, translations);
+        balanceElement.innerHTML = `
+            ${escapeHTML(translations.lootboxBalance || 'Balance')}:
+            <span class="balance-amount">${escapeHTML(balance)}</span>
+        `;
+    };
+
+    // ============================================
+    // SCHEDULE TICKER - Countdown & day transitions
+    // ============================================
+
+    /**
+     * Re-renders the prizes of the active layout from the current state.
+     * Used when the game clock is moved or a prize window boundary passes,
+     * so statuses are recalculated for the new time.
+     */
+    const renderCurrentLayout = () => {
+        if (!selectedGame?.id || !currentLayout) return;
+
+        currentLayout.render(getGroups(), layoutContext);
+        renderStreak();
+        renderBalance();
+        renderRewardsModal(true);
+
+        scheduleActivePrizeId = getActivePrizeId(groupedPrizes);
+        scheduleNextGroupId = getNextUnlock(groupedPrizes)?.groupId ?? null;
+        renderCountdown();
+    };
+
+    /**
+     * Checks whether the player is in the middle of an interaction (prize modal open, or the layout
+     * reported one, e.g. the map's tap overlay), in which case re-rendering the prizes would interrupt them.
+     * 
+     * @returns {boolean} True if a re-render should wait
+     */
+    const isPlayerInteracting = () => {
+        return cardClaimModal || layoutInteracting;
+    };
+
+    /**
+     * Renders the "Next box in 03:12:45" countdown of the active layout.
+     * Hidden when no group unlocks anymore (end of a date-based campaign).
+     */
+    const renderCountdown = () => {
+        const { countdownElement } = layoutHeader;
+        if (!countdownElement) return;
+
+        const nextUnlock = getNextUnlock(groupedPrizes);
+        if (!nextUnlock) {
+            countdownElement.classList.add('hidden');
+            countdownElement.innerHTML = '';
+            return;
+        }
 
-        // Fetch translations
-        const gameLanguage = lang.toUpperCase();
-        const gameTranslations = await window._smartico.api.getTranslations(gameLanguage);
-        translations = gameTranslations?.translations || {};
+        const label = translations.lootboxNextBoxIn || 'Next box in';
+        countdownElement.innerHTML = `${escapeHTML(label)} <span class="countdown-time">${formatCountdown(nextUnlock.remainingMs)}</span>`;
+        countdownElement.classList.remove('hidden');
+    };
+
+    /**
+     * Runs every second while the game is shown. Updates the countdown and, once a window boundary
+     * has passed (the next group unlocked or the active one ended), re-renders the prizes so the
+     * new day's prize becomes active without a reload. The re-render waits while a modal or the
+     * tap overlay is open and happens on the first tick after it closes.
+     */
+    const tickSchedule = () => {
+        if (groupedPrizes.length === 0) return;
+
+        if (pendingRefresh && !isPlayerInteracting() && !spinInProgress) {
+            applyGameUpdate();
+            return;
+        }
 
-        // Group prizes for rendering
-        groupedPrizes = groupPrizesByDate(prizes);
+        const activePrizeId = getActivePrizeId(groupedPrizes);
+        const nextGroupId = getNextUnlock(groupedPrizes)?.groupId ?? null;
+        const boundaryPassed = activePrizeId !== scheduleActivePrizeId || nextGroupId !== scheduleNextGroupId;
 
-        // Render based on layout type
-        if (currentLayout === SAWGameLayout.VerticalMap) {
-            // Map Layout
-            initializeMapLayout(lang);
-        } else {
-            // Cards Layout (default)
-            initializeCardsLayout(lang);
-        }
-    } catch (error) {
-        console.error('Error fetching mini-games:', error);
-        if (gameTitle) gameTitle.innerHTML = 'Error loading game';
-        if (gameDescription) gameDescription.innerHTML = error.message || 'Please try again later';
-        if (rulesText) rulesText.innerHTML = '';
-    } finally {
-        // Hide loading spinner with smooth transition
-        if (loadingElement) {
-            loadingElement.classList.add('hidden');
-            setTimeout(() => {
-                loadingElement.style.display = 'none';
-            }, 500);
+        if (boundaryPassed && !isPlayerInteracting()) {
+            renderCurrentLayout();
+            return;
         }
-    }
-};
 
-/**
- * Initializes the Cards Layout (game_layout === 1)
- * @param {string} lang - Language code for translations
- */
-const initializeCardsLayout = (lang) => {
-    // Show cards layout, hide map layout
-    if (cardsLayout) cardsLayout.style.display = 'flex';
-    if (mapLayout) mapLayout.style.display = 'none';
-
-    // Set header content
-    if (gameTitle) gameTitle.innerHTML = selectedGame.name || '';
-    if (gameDescription) gameDescription.innerHTML = selectedGame.promo_text || '';
-    if (rulesText) rulesText.innerHTML = translations.rules || 'Rules';
-
-    // Render prize cards
-    renderPrizeCards(lang);
-};
+        renderCountdown();
+    };
 
-/**
- * Gets the natural dimensions of an image
- * @param {string} imageUrl - URL of the image
- * @returns {Promise<{width: number, height: number}>} Promise resolving to dimensions
- */
-const getImageDimensions = (imageUrl) => {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.onload = () => {
-            resolve({
-                width: img.naturalWidth,
-                height: img.naturalHeight
-            });
-        };
-        img.onerror = (err) => reject(err);
-        img.src = imageUrl;
-    });
-};
-
-/**
- * Calculates and sets the aspect ratio for map background based on image dimensions
- * @returns {Promise<string>} Promise resolving to mapSize ('small', 'medium', 'big')
- */
-const calculateMapAspectRatio = async () => {
-    if (!mapMainBackground || !mapContainer) return 'small';
-
-    const isMobile = window.innerWidth <= 768;
-    const imageUrl = isMobile
-        ? './assets/img/map/game-bg-mobile.jpeg'
-        : './assets/img/map/game-bg.jpeg';
-
-    try {
-        const dims = await getImageDimensions(imageUrl);
-        const containerDims = mapContainer.getBoundingClientRect();
-        const threshold = isMobile ? 500 : 1000;
-        const calculatedDimsWithThreshold = dims.height - threshold;
-
-        // Set aspect ratio on map-main-background
-        mapMainBackground.style.aspectRatio = `${dims.width} / ${dims.height}`;
-
-        // Determine map size based on image height
-        let mapSize = 'small';
-        if (calculatedDimsWithThreshold > 1500 && calculatedDimsWithThreshold > containerDims.height) {
-            mapSize = 'big';
-        } else if (calculatedDimsWithThreshold > 1000 && calculatedDimsWithThreshold < 1500 && calculatedDimsWithThreshold > containerDims.height) {
-            mapSize = 'medium';
+    /**
+     * Starts (or restarts) the schedule ticker for the current game.
+     */
+    const startScheduleTicker = () => {
+        if (scheduleTimer) {
+            clearInterval(scheduleTimer);
         }
 
-        return mapSize;
-    } catch (error) {
-        console.error('Error loading map background image:', error);
-        return 'small';
-    }
-};
+        scheduleActivePrizeId = getActivePrizeId(groupedPrizes);
+        scheduleNextGroupId = getNextUnlock(groupedPrizes)?.groupId ?? null;
+        renderCountdown();
 
-/**
- * Initializes the Map Layout (game_layout === 2)
- * @param {string} lang - Language code for translations
- */
-const initializeMapLayout = async (lang) => {
-    // Show map layout, hide cards layout
-    if (mapLayout) mapLayout.style.display = 'flex';
-    if (cardsLayout) cardsLayout.style.display = 'none';
-
-    // Set header content with data-text attribute for ::before and ::after effects
-    const gameName = selectedGame.name || '';
-    if (mapTitle) {
-        mapTitle.innerHTML = gameName;
-        mapTitle.setAttribute('data-text', gameName);
-    }
-    if (mapRulesText) mapRulesText.innerHTML = translations.rules || 'Rules';
-
-    // Set hint message
-    const hintMessage = document.getElementById('map-hint-message');
-    if (hintMessage) {
-        hintMessage.innerHTML = translations.lootboxMapHintMessage || 'Drag up and down to navigate';
-    }
-
-    // Show hint icon initially
-    if (mapHintIcon) {
-        mapHintIcon.classList.remove('hidden');
-        showMapHint = true;
-    }
+        scheduleTimer = setInterval(tickSchedule, SCHEDULE_TICK_MS);
+    };
 
-    // Calculate aspect ratio and get map size
-    currentMapSize = await calculateMapAspectRatio();
+    const stopClockListener = onClockChange(() => renderCurrentLayout());
 
-    // Render map prizes with calculated mapSize
-    renderMapPrizes(lang, currentMapSize);
-};
+    // ============================================
+    // LIVE UPDATES - SDK events & polling fallback
+    // ============================================
 
-// ============================================
-// RENDERING FUNCTIONS
-// ============================================
+    /**
+     * Updates the prizes of the active layout in place, e.g. after a stock change or a claim on
+     * another device. Layouts with an update hook only touch what changed, so the scroll position,
+     * running animations and open modals are kept; others are rendered again.
+     */
+    const refreshPrizesInPlace = () => {
+        if (!selectedGame?.id || !currentLayout) return;
 
-/**
- * Renders all prize cards for the horizontal layout.
- * Uses grouped prizes to show one card per group (date/weekday).
- * 
- * @param {string} lang - Language code for date formatting
- */
-const renderPrizeCards = (lang) => {
-    if (!prizeCards || groupedPrizes.length === 0) {
-        if (prizeCards) prizeCards.innerHTML = '';
-        return;
-    }
-
-    prizeCards.innerHTML = '';
-    flippedCardsState = {};
-
-    const activePrizeId = getActivePrizeId(groupedPrizes);
-
-    // Render each group as a single card
-    groupedPrizes.forEach(({ groupId, prizes: groupPrizes }, index) => {
-        // Find default prize to show (first prize in group matching groupId)
-        const isWeekdays = groupPrizes.every(p => p.weekdays && p.weekdays.length > 0);
-        const prizesToShow = isWeekdays
-            ? groupPrizes.find(p => p.weekdays?.[0] === groupId)
-            : groupPrizes.find(p => p.active_from_ts === groupId);
-
-        // Check if user won a prize from this group (from history)
-        const prizeWonResult = findPrizeWonFromHistory(groupPrizes, groupId);
-        const prizeWon = prizeWonResult?.prize;
-        const historyItem = prizeWonResult?.historyItem;
-
-        // Use prizeWon if available, otherwise use default prizesToShow
-        const prize = prizeWon || prizesToShow || groupPrizes[0];
-
-        // Calculate status using the history item
-        const status = getPrizeStatus(prize, groupId, historyItem);
-        const { isLocked, isMissed, isClaimed, isActive, isOutOfStock, isAcknowledged } = status;
-
-        // For date display, always use prizesToShow (not prizeWon)
-        const monthDate = getPrizeDate(prizesToShow || prize, lang);
-        const prizeId = prize.id;
-
-        // Determine if this is the active prize
-        const prizeNow = getPrizeTimezoneNow(prize);
-        const prizeTimezoneWeekday = getISOWeekday(prizeNow);
-        const todayGroupId = prize.active_from_ts ? prize.active_from_ts : prizeTimezoneWeekday;
-        const isTodayActiveGroup = groupId === todayGroupId;
-
-        const isActivePrize = isTodayActiveGroup && isActive && !isOutOfStock;
-        const isActivePrizeOutOfStock = isTodayActiveGroup && isActive && isOutOfStock;
-        const isRenderedActive = isActivePrize || isActivePrizeOutOfStock;
-
-        const explicitAcknowledge = prizeWon?.acknowledge_type === 'explicity-acknowledge';
-
-        // Build the card HTML
-        const cardClasses = [
-            'prize-card',
-            isLocked ? 'locked' : '',
-            isMissed ? 'missed' : '',
-            isRenderedActive ? 'active-prize' : '',
-            isClaimed ? 'claimed flip' : ''
-        ].filter(Boolean).join(' ');
-
-        const contentClasses = [
-            'prize-card-content',
-            isMissed ? 'missed' : '',
-            isRenderedActive ? 'active-prize' : '',
-            isClaimed ? 'claimed flip' : ''
-        ].filter(Boolean).join(' ');
-
-        const prizeCardHTML = `
-            <div class="${cardClasses}" data-index="${prizeId}" data-group-id="${groupId}">
-                <div class="${contentClasses}">
-                    <div class="front-side">
-                        ${isLocked ? '<div class="locked-overlay"></div>' : ''}
-                        <div class="prize-number top">${monthDate}</div>
-                        <div class="prize-number bottom">${monthDate}</div>
-                    </div>
-                    <div class="back-side ${isMissed ? 'missed' : ''} ${isActivePrizeOutOfStock && !isClaimed ? 'out-of-stock' : ''}">
-                        ${isMissed ? '<div class="missed-overlay"></div>' : ''}
-                        <div class="prize-number top">${monthDate}</div>
-                        <div class="prize-content">
-                            ${(isClaimed || !isClaimed) && prizeWon
-                ? `<div class="prize-front-prize-name">${prizeWon.name || ''}</div>`
-                : ''}
-                            ${isActivePrizeOutOfStock && !isClaimed
-                ? `<div class="prize-out-of-stock-text">${prize.out_of_stock_message || translations.lootboxOutOfStockPrize || 'Out of stock'}</div>`
-                : ''}
-                            ${isClaimed && prizeWon
-                ? (prizeWon.icon
-                    ? `<img class="prize-front-image" src="${prizeWon.icon}" alt="prize-icon" draggable="false">`
-                    : '<div class="prize-front-no-image"></div>')
-                : ''}
-                            ${isMissed
-                ? (prize.icon
-                    ? `<img class="prize-front-image" src="${prize.icon}" alt="prize-icon" draggable="false">`
-                    : '<div class="prize-front-no-image"></div>')
-                : ''}
-                            ${isActivePrize && explicitAcknowledge && !isAcknowledged
-                ? `<div class="prize-claim-btn">
-                                        <div class="prize-claim-btn-text">${prizeWon?.acknowledge_action_title || translations.claimPrize || 'Claim'}</div>
-                                    </div>`
-                : ''}
-                        </div>
-                        <div class="prize-number bottom">${monthDate}</div>
-                    </div>
-                    <div class="prize-card-bottom-glow ${isRenderedActive ? 'active-prize' : ''} ${isClaimed ? 'claimed' : ''}"></div>
-                </div>
-            </div>
-        `;
-
-        prizeCards.innerHTML += prizeCardHTML;
-
-        // Mark claimed cards as flipped
-        if (isClaimed) {
-            flippedCardsState[prizeId] = true;
+        const groups = getGroups();
+        if (currentLayout.update) {
+            currentLayout.update(groups, layoutContext);
+        } else {
+            currentLayout.render(groups, layoutContext);
         }
-    });
 
-    // Scroll to active prize card
-    if (activePrizeId && prizeCardContainer) {
-        setTimeout(() => {
-            const activePrizeCard = document.querySelector(`.prize-card[data-index="${activePrizeId}"]`);
-            if (activePrizeCard) {
-                activePrizeCard.scrollIntoView({ behavior: 'smooth', inline: 'center', block: 'center' });
+        renderStreak();
+        renderBalance();
+        renderRewardsModal(true);
+        scheduleActivePrizeId = getActivePrizeId(groupedPrizes);
+        scheduleNextGroupId = getNextUnlock(groupedPrizes)?.groupId ?? null;
+        renderCountdown();
+    };
+
+    /**
+     * Applies fresh server data to the game state and updates the prizes.
+     * While the player is spinning, has the prize modal open or is busy in the layout, the re-render
+     * is deferred (pendingRefresh) and picked up by the schedule ticker once they are done.
+     * 
+     * @param {Object} update - { games, history }, either may be omitted
+     */
+    const applyGameUpdate = ({ games, history } = {}) => {
+        if (!selectedGame?.id) return;
+
+        if (games) {
+            const updatedGame = games.find((g) => g.id === selectedGame.id);
+            if (updatedGame) {
+                miniGames = games;
+                selectedGame = updatedGame;
+                prizes = selectedGame.prizes || [];
             }
-        }, 300);
-    }
-
-    // Attach event listeners
-    attachCardEventListeners();
-};
-
-/**
- * Attaches click event listeners to prize cards.
- */
-const attachCardEventListeners = () => {
-    groupedPrizes.forEach(({ prizes: groupPrizes, groupId }) => {
-        // Find the actual prize being displayed (same logic as renderPrizeCards)
-        const isWeekdays = groupPrizes.every(p => p.weekdays && p.weekdays.length > 0);
-        const prizesToShow = isWeekdays
-            ? groupPrizes.find(p => p.weekdays?.[0] === groupId)
-            : groupPrizes.find(p => p.active_from_ts === groupId);
-
-        const prizeWonResult = findPrizeWonFromHistory(groupPrizes, groupId);
-        const prizeWon = prizeWonResult?.prize;
-        const prize = prizeWon || prizesToShow || groupPrizes[0];
-        const prizeId = prize.id;
-
-        const cardElement = document.querySelector(`.prize-card[data-index="${prizeId}"]`);
-        if (cardElement) {
-            cardElement.addEventListener('click', () => handlePrizeFlip(prize, groupId, groupPrizes));
         }
-
-        const claimButtonElement = document.querySelector(`.prize-card[data-index="${prizeId}"] .prize-claim-btn`);
-        if (claimButtonElement) {
-            claimButtonElement.addEventListener('click', (event) => {
-                event.stopPropagation();
-                handleOpenPrizeModal(prizeWon || prize);
-            });
+        if (history) {
+            miniGamesHistory = history;
         }
-    });
-};
-
-// ============================================
-// EVENT HANDLERS
-// ============================================
-
-/**
- * Handles clicking on a prize card to flip it and attempt to win.
- * 
- * @param {Object} prize - The prize object (current display prize)
- * @param {number} groupId - The group identifier
- * @param {Array} groupPrizes - All prizes in this group (needed for history lookup)
- */
-const handlePrizeFlip = async (prize, groupId, groupPrizes) => {
-    const prizeId = prize.id;
-
-    // Check if already won (from history)
-    const prizeWonResult = findPrizeWonFromHistory(groupPrizes, groupId);
-    const historyItem = prizeWonResult?.historyItem;
-    const prizeWon = prizeWonResult?.prize;
-
-    const status = getPrizeStatus(prize, groupId, historyItem);
-    const { isLocked, isMissed, isClaimed, isOutOfStock, isActive, isAcknowledged } = status;
-
-    // Don't allow flip for locked or missed cards
-    if (isLocked || isMissed) {
-        return;
-    }
 
-    // If already claimed/acknowledged - allow reopening the prize modal
-    if ((isClaimed || isAcknowledged) && prizeWon) {
-        handleOpenPrizeModal(prizeWon);
-        return;
-    }
+        if (isPlayerInteracting() || spinInProgress) {
+            pendingRefresh = true;
+            return;
+        }
+        pendingRefresh = false;
 
-    // If card is already flipped (during animation), prevent double-click
-    if (flippedCardsState[prizeId]) {
-        return;
-    }
+        // Added or removed days change the layout of the whole schedule, so render it from scratch
+        const previousGroupIds = groupedPrizes.map(group => group.groupId).join(',');
+        groupedPrizes = groupPrizesByDate(prizes);
+        const groupIds = groupedPrizes.map(group => group.groupId).join(',');
 
-    // Show tooltip for out of stock prizes
-    if (isOutOfStock) {
-        const cardElement = document.querySelector(`.prize-card[data-index="${prizeId}"]`);
-        if (cardElement) {
-            // Flip briefly to show out of stock state
-            cardElement.classList.add('flip');
-            setTimeout(() => {
-                const updatedResult = findPrizeWonFromHistory(groupPrizes, groupId);
-                if (!updatedResult?.historyItem?.create_date_ts) {
-                    cardElement.classList.remove('flip');
-                }
-            }, 2500);
+        if (groupIds !== previousGroupIds) {
+            renderCurrentLayout();
+        } else {
+            refreshPrizesInPlace();
         }
-        return;
-    }
-
-    // Only spin for active, unclaimed prizes
-    if (!isActive || isClaimed) {
-        return;
-    }
+    };
 
-    const cardElement = document.querySelector(`.prize-card[data-index="${prizeId}"]`);
-    if (cardElement) {
-        cardElement.classList.add('flip');
-        flippedCardsState[prizeId] = true;
+    /**
+     * Fetches the game templates and the history again and applies them.
+     * Used by the polling fallback and when the tab becomes visible again.
+     */
+    const refreshGameData = async () => {
+        if (!selectedGame?.id || refreshInFlight) return;
 
+        refreshInFlight = true;
         try {
-            const response = await window._smartico.api.playMiniGame(selectedGame.id);
-            const { err_code, err_message, prize_id } = response;
-
-            if (err_code === SAWSpinErrorCode.SAW_OK) {
-                // Success - find the won prize
-                // prize_id from API response matches prize.id (TMiniGamePrize.id)
-                const winPrize = prizes.find((p) => p.id === prize_id);
-                if (winPrize) {
-                    flippedCardsState[winPrize.id] = true;
-                }
-
-                // Refresh history from server
-                const updatedHistory = await window._smartico.api.getMiniGamesHistory({
-                    limit: 100,
-                    offset: 0,
-                    saw_template_id: selectedGame.id
-                });
-                miniGamesHistory = updatedHistory || [];
-
-                // Immediately update the card content with won prize info
-                updateCardWithWonPrize(cardElement, winPrize || prize, groupId);
-
-                // Show prize modal after a short delay for animation
-                const acknowledgeWithClaim = (winPrize || prize).acknowledge_type === 'explicity-acknowledge';
-                if (!acknowledgeWithClaim) {
-                    setTimeout(() => {
-                        handleOpenPrizeModal(winPrize || prize);
-                    }, 1500);
-                }
-            } else {
-                // Error - handle based on error code
-                handleSpinError(err_code, err_message, prize);
-                cardElement.classList.remove('flip');
-                flippedCardsState[prizeId] = false;
-            }
+            const games = await window._smartico.api.getMiniGames();
+            const history = await loadHistory();
+            applyGameUpdate({ games, history });
         } catch (error) {
-            console.error('Error playing mini game:', error);
-            handleSpinError(null, error.message, prize);
-            cardElement.classList.remove('flip');
-            flippedCardsState[prizeId] = false;
+            console.error('Error refreshing mini-games:', error);
+        } finally {
+            refreshInFlight = false;
         }
-    }
-};
-
-/**
- * Updates a card element with the won prize information.
- * Called immediately after winning to show prize details on the card.
- * 
- * @param {HTMLElement} cardElement - The card DOM element
- * @param {Object} winPrize - The won prize object
- * @param {number} groupId - The group identifier
- */
-const updateCardWithWonPrize = (cardElement, winPrize, groupId) => {
-    if (!cardElement || !winPrize) return;
-
-    // Add claimed class to the card
-    cardElement.classList.add('claimed');
-
-    const contentElement = cardElement.querySelector('.prize-card-content');
-    if (contentElement) {
-        contentElement.classList.add('claimed');
-    }
-
-    // Update the prize content on the back side
-    const prizeContent = cardElement.querySelector('.back-side .prize-content');
-    if (prizeContent) {
-        // Build the won prize content
-        let prizeHTML = '';
-
-        // Prize name
-        if (winPrize.name) {
-            prizeHTML += `<div class="prize-front-prize-name">${winPrize.name}</div>`;
+    };
+
+    /**
+     * Starts (or restarts) the polling fallback for servers/SDK versions that don't push updates.
+     * The interval comes from saw_template_ui_definition.refresh_interval_sec
+     * (default DEFAULT_REFRESH_INTERVAL_SEC, 0 disables polling). Hidden tabs are not polled.
+     */
+    const startRefreshPolling = () => {
+        if (refreshTimer) {
+            clearInterval(refreshTimer);
+            refreshTimer = null;
         }
 
-        // Prize icon
-        if (winPrize.icon) {
-            prizeHTML += `<img class="prize-front-image" src="${winPrize.icon}" alt="prize-icon" draggable="false">`;
-        } else {
-            prizeHTML += '<div class="prize-front-no-image"></div>';
-        }
+        const intervalSec = selectedGame.saw_template_ui_definition?.refresh_interval_sec ?? DEFAULT_REFRESH_INTERVAL_SEC;
+        if (!(intervalSec > 0)) return;
 
-        prizeContent.innerHTML = prizeHTML;
-    }
-
-    // Update the glow element
-    const glowElement = cardElement.querySelector('.prize-card-bottom-glow');
-    if (glowElement) {
-        glowElement.classList.add('claimed');
-    }
-};
-
-/**
- * Handles spin errors with specific messages based on error code.
- * Uses translation key format: translations['sawErrorCode' + errCode] for localized messages.
- * 
- * @param {number} errCode - The error code from the API
- * @param {string} errMessage - The error message from the API (optional fallback)
- * @param {Object} prize - The prize that was attempted
- */
-const handleSpinError = (errCode, errMessage, prize) => {
-    let title = translations.somethingWentWrong || 'Something went wrong';
-
-    // Get translation using sawErrorCode + errCode pattern (e.g., sawErrorCode40001)
-    const translatedMessage = translations['sawErrorCode' + errCode];
-    let message = translatedMessage || errMessage;
-
-    switch (errCode) {
-        case SAWSpinErrorCode.SAW_FAILED_MAX_SPINS_REACHED:
-            // Max spins reached - use over_limit_message from game template if available
-            message = selectedGame?.over_limit_message || translatedMessage || errMessage || 'Maximum attempts reached';
-            break;
-
-        case SAWSpinErrorCode.SAW_NOT_IN_SEGMENT:
-            // User not in segment - show requirements_to_get_prize if available
-            title = translations.lootboxSegmentationErrorMessage || 'Requirements not met';
-            message = prize?.requirements_to_get_prize || translatedMessage || errMessage || 'You do not meet the requirements for this prize';
-            break;
-
-        case SAWSpinErrorCode.SAW_TEMPLATE_NOT_ACTIVE:
-            // Game template not active
-            message = translatedMessage || errMessage || 'This game is not currently active';
-            break;
-
-        case SAWSpinErrorCode.SAW_PRIZE_POOL_EMPTY:
-            // Prize pool is empty - use out_of_stock_message if available
-            message = prize?.out_of_stock_message || translatedMessage || translations.lootboxOutOfStockPrize || 'This prize is out of stock';
-            break;
-
-        case SAWSpinErrorCode.SAW_NO_SPINS:
-            // No spin attempts available
-            message = translatedMessage || errMessage || 'No spin attempts available';
-            break;
-
-        case SAWSpinErrorCode.SAW_NOT_ENOUGH_POINTS:
-            // Not enough points
-            message = translatedMessage || errMessage || 'Not enough points to play';
-            break;
-
-        case SAWSpinErrorCode.SAW_NO_BALANCE_GEMS:
-            // Not enough gems
-            message = translatedMessage || errMessage || 'Not enough gems to play';
-            break;
-
-        case SAWSpinErrorCode.SAW_NO_BALANCE_DIAMONDS:
-            // Not enough diamonds
-            message = translatedMessage || errMessage || 'Not enough diamonds to play';
-            break;
-
-        default:
-            // Generic error handling - try translation first, then fallback
-            message = translatedMessage || errMessage || translations.tryAgainLater || 'Please try again later';
-    }
-
-    renderErrorModal(title, message);
-};
-
-/**
- * Handles claiming a prize from the modal.
- */
-const handleClaimPrizeInModal = async () => {
-    handleClosePrizeModal();
-};
-
-// ============================================
-// MODAL FUNCTIONS
-// ============================================
-
-/**
- * Opens the rules modal.
- */
-const handleOpenRules = () => {
-    openRules = true;
-    renderModalRules();
-};
-
-/**
- * Closes the rules modal.
- */
-const handleCloseRules = () => {
-    openRules = false;
-    modalContainer.innerHTML = '';
-};
-
-/**
- * Renders the rules modal content.
- */
-const renderModalRules = () => {
-    if (!openRules || !modalContainer) {
-        if (modalContainer) modalContainer.innerHTML = '';
-        return;
-    }
-
-    let layoutClassName = '';
-
-    if (selectedGame.saw_template_ui_definition.game_layout === 1) {
-        layoutClassName = 'cards';
-    } else {
-        layoutClassName = 'map';
-    }
-
-    modalContainer.innerHTML = `
-        <div class="modal-wrapper ${openRules ? 'active' : ''} ${layoutClassName}">
-            <div class="modal-content">
-                <div class="modal-content-text">
-                    <div class="modal-content-title">${translations.rules || 'Rules'}</div>
-                    <div class="modal-content-rules">${selectedGame.description || ''}</div>
-                </div>
-                <div class="modal-content-button" onclick="handleCloseRules();">
-                    <div class="modal-content-button-text">${translations.backToGame || 'Back to Game'}</div>
-                </div>
-            </div>
-        </div>
-    `;
-};
-
-/**
- * Opens the prize won modal.
- * 
- * @param {Object} prize - The won prize object
- */
-const handleOpenPrizeModal = (prize) => {
-    cardClaimModal = true;
-    renderPrizeModal(prize);
-};
-
-/**
- * Closes the prize won modal and re-renders cards to reflect updated status.
- */
-const handleClosePrizeModal = () => {
-    cardClaimModal = false;
-    prizeModalContainer.innerHTML = '';
-    // Re-render cards to update claimed status
-    renderPrizeCards(currentLanguage);
-};
-
-/**
- * Renders the prize won modal.
- * 
- * @param {Object} prize - The won prize object
- */
-const renderPrizeModal = (prize) => {
-    if (!cardClaimModal || !prizeModalContainer) {
-        if (prizeModalContainer) prizeModalContainer.innerHTML = '';
-        return;
-    }
-
-    const acknowledgeWithClaim = prize?.acknowledge_type === 'explicity-acknowledge';
-    const acknowledgeMessage = prize?.aknowledge_message || 'Congratulations! You won a prize!';
-    const actionTitle = prize?.acknowledge_action_title || translations.doOk || 'OK';
-    const cancelTitle = prize?.acknowledge_action_title_additional || translations.doCancel || 'Cancel';
-
-    prizeModalContainer.innerHTML = `
-        <div class="modal-prize-wrapper active">
-            <div class="modal-prize-card">
-                <div class="modal-close-button" onclick="handleClosePrizeModal();">
-                    <div class="close-btn"></div>
-                </div>
-                <div class="modal-prize-content">
-                    <div class="modal-prize-text-content">
-                        <div class="modal-prize-title">${translations.claimPrizeSuccess || 'Prize Won!'}</div>
-                        <div class="modal-prize-message">${acknowledgeMessage}</div>
-                    </div>
-                    <div class="modal-prize-buttons ${acknowledgeWithClaim ? 'two-btns' : ''}">
-                        <div class="modal-prize-button" id="main-claim-btn">
-                            <div class="modal-prize-button-text">${actionTitle}</div>
-                        </div>
-                        ${acknowledgeWithClaim
-            ? `<div class="modal-prize-button cancel" onclick="handleClosePrizeModal();">
-                                    <div class="modal-prize-button-text cancel">${cancelTitle}</div>
-                                </div>`
-            : ''
-        }
-                    </div>
-                </div>
-            </div>
-        </div>
-    `;
-
-    const mainClaimButton = document.getElementById('main-claim-btn');
-    if (mainClaimButton) {
-        mainClaimButton.addEventListener('click', (event) => {
-            event.stopPropagation();
-            handleClaimPrizeInModal();
-        });
-    }
-};
-
-/**
- * Opens the error modal.
- * 
- * @param {string} errorMessage - The error message to display
- */
-const handleOpenErrorModal = (errorMessage) => {
-    errorModal = true;
-    renderErrorModal(translations.somethingWentWrong || 'Something went wrong', errorMessage);
-};
-
-/**
- * Closes the error modal.
- */
-const handleCloseErrorModal = () => {
-    errorModal = false;
-    errorModalContainer.innerHTML = '';
-};
-
-/**
- * Renders the error modal.
- * 
- * @param {string} title - The error title
- * @param {string} message - The error message
- */
-const renderErrorModal = (title, message) => {
-    errorModal = true;
-
-    if (!errorModalContainer) {
-        return;
-    }
-
-    errorModalContainer.innerHTML = `
-        <div class="modal-prize-wrapper active">
-            <div class="modal-prize-card">
-                <div class="modal-close-button" onclick="handleCloseErrorModal();">
-                    <div class="close-btn"></div>
-                </div>
-                <div class="modal-prize-content">
-                    <div class="modal-prize-text-content">
-                        <div class="modal-prize-title stock">${title}</div>
-                        <div class="modal-prize-message">${message}</div>
-                    </div>
-                    <div class="modal-prize-buttons">
-                        <div class="modal-prize-button stock" onclick="handleCloseErrorModal();">
-                            <div class="modal-prize-button-text">${translations.doOk || 'OK'}</div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
-    `;
-};
-
-// ============================================
-// MAP LAYOUT - RENDERING
-// ============================================
-
-/**
- * Random tooltip text arrays for locked and missed prizes
- */
-const missedPrizesText = [
-    () => translations.lootboxMissedPrizeText1 || "Time's up! The prize got away!",
-    () => translations.lootboxMissedPrizeText2 || "Missed it! Don't let the next one go!",
-    () => translations.lootboxMissedPrizeText3 || "Gone! Stay ready for the next prize!",
-    () => translations.lootboxMissedPrizeText4 || "Timeout! This treasure is gone!"
-];
-
-const lockedPrizesText = [
-    () => translations.lootboxLockedPrizeText1 || "Wait up - the prize isn't ready!",
-    () => translations.lootboxLockedPrizeText2 || "Patience! The treasure isn't ready just yet.",
-    () => translations.lootboxLockedPrizeText3 || "Still locked! Come back and crack it open!",
-    () => translations.lootboxLockedPrizeText4 || "Prize on pause - come back for the win!",
-    () => translations.lootboxLockedPrizeText5 || "Unlocking soon - return for your shiny reward!"
-];
-
-/**
- * Gets a random phrase from the tooltip text arrays
- * @param {Array} texts - Array of functions that return text
- * @returns {string} Random text
- */
-const getRandomPhrase = (texts) => {
-    const randomIndex = Math.floor(Math.random() * texts.length);
-    return texts[randomIndex]();
-};
-
-/**
- * Renders all prizes for the Map Layout
- * @param {string} lang - Language code for date formatting
- * @param {string} mapSize - Size of the map calculated from image dimensions ('small', 'medium', 'big')
- */
-const renderMapPrizes = (lang, mapSize = 'small') => {
-    if (!mapPrizes || groupedPrizes.length === 0) {
-        if (mapPrizes) mapPrizes.innerHTML = '';
-        return;
-    }
-
-    mapPrizes.innerHTML = '';
-
-    // Render each group as a map prize item
-    groupedPrizes.forEach(({ groupId, prizes: groupPrizes }, index) => {
-        const prizeItemHTML = renderMapPrizeItem(groupPrizes, groupId, index, lang, mapSize);
-        mapPrizes.innerHTML += prizeItemHTML;
-    });
-
-    // Attach event listeners to prize items
-    attachMapPrizeEventListeners();
-};
-
-/**
- * Renders a single prize item for the Map Layout
- * @param {Array} groupPrizes - All prizes in this group
- * @param {number} groupId - The group identifier (weekday or timestamp)
- * @param {number} index - Index of this prize in the list
- * @param {string} lang - Language code
- * @param {string} mapSize - Size of the map ('small', 'medium', 'big')
- * @returns {string} HTML string for the prize item
- */
-const renderMapPrizeItem = (groupPrizes, groupId, index, lang, mapSize = 'small') => {
-    // Find default prize to show
-    const isWeekdays = groupPrizes.every(p => p.weekdays && p.weekdays.length > 0);
-    const prizesToShow = isWeekdays
-        ? groupPrizes.find(p => p.weekdays?.[0] === groupId)
-        : groupPrizes.find(p => p.active_from_ts === groupId);
-
-    // Check if user won a prize from this group
-    const prizeWonResult = findPrizeWonFromHistory(groupPrizes, groupId);
-    const prizeWon = prizeWonResult?.prize;
-    const historyItem = prizeWonResult?.historyItem;
-
-    // Use prizeWon if available, otherwise use default prizesToShow
-    const prize = prizeWon || prizesToShow || groupPrizes[0];
-
-    // Calculate status
-    const status = getPrizeStatus(prize, groupId, historyItem);
-    const { isLocked, isMissed, isClaimed, isActive, isOutOfStock, isAcknowledged } = status;
-
-    // For date display
-    const monthDate = getPrizeDate(prizesToShow || prize, lang);
-    const prizeId = prize.id;
-
-    // Determine if this is the active prize
-    const prizeNow = getPrizeTimezoneNow(prize);
-    const prizeTimezoneWeekday = getISOWeekday(prizeNow);
-    const todayGroupId = prize.active_from_ts ? prize.active_from_ts : prizeTimezoneWeekday;
-    const isTodayActiveGroup = groupId === todayGroupId;
-
-    const isActivePrize = isTodayActiveGroup && isActive && !isClaimed && !isOutOfStock;
-    const isActivePrizeOutOfStock = isTodayActiveGroup && isActive && !isClaimed && isOutOfStock;
-
-    const explicitAcknowledge = prizeWon?.acknowledge_type === 'explicity-acknowledge';
-
-    // Build position class name based on mapSize and device
-    const isMobile = window.innerWidth <= 768;
-    const isWeekMap = mapSize === 'small' || mapSize === 'medium';
-    const devicePrefix = isMobile ? 'mobile' : 'desktop';
-    const mapTypePrefix = isWeekMap ? '-week' : '';
-    const prizePositionClass = `${devicePrefix}${mapTypePrefix}-prize-${index + 1}`;
-
-    // Build classes
-    const prizeClasses = [
-        'map-box-prize',
-        prizePositionClass,
-        isActive ? 'active-prize' : '',
-        isLocked ? 'locked' : '',
-        isMissed ? 'missed' : '',
-        isClaimed ? 'claimed' : ''
-    ].filter(Boolean).join(' ');
-
-    // Build inner content based on state
-    let boxContent = '';
-
-    if (isActivePrize || isActivePrizeOutOfStock) {
-        boxContent = `
-            <div class="giftWrap ${isActivePrizeOutOfStock ? 'out-of-stock' : ''}">
-                <div class="active-prize ${isActivePrizeOutOfStock ? 'out-of-stock' : ''}"></div>
-                ${!isActivePrizeOutOfStock ? '<div class="gift_glow_rotate"></div>' : ''}
-            </div>
-        `;
-    } else if (isClaimed) {
-        const prizeIcon = prizeWon?.icon || prize?.icon;
-        boxContent = `
-            <div class="prize-img-container">
-                ${prizeIcon
-                ? `<div class="prize-front-image" style="background-image: url('${prizeIcon}')"></div>`
-                : '<div class="prize-front-no-image"></div>'
-            }
-            </div>
-            <div class="glow"></div>
-        `;
-    } else if (isLocked) {
-        boxContent = `<div class="locked-overlay"></div>`;
-    } else if (isMissed) {
-        const prizeIcon = prize?.icon;
-        boxContent = `
-            <div class="prize-img-container missed">
-                ${prizeIcon
-                ? `<div class="prize-front-image" style="background-image: url('${prizeIcon}')"></div>`
-                : '<div class="prize-front-no-image"></div>'
+        refreshTimer = setInterval(() => {
+            if (!document.hidden) {
+                refreshGameData();
             }
-            </div>
-        `;
-    }
-
-    // Tooltip for explicit acknowledge (claimable)
-    let tooltipContent = '';
-    if (isActive && explicitAcknowledge && !isAcknowledged && isClaimed) {
-        tooltipContent = `
-            <div class="prize-tooltip-wrapper claimable visible">
-                <div class="header-tooltip">
-                    <div class="text">${translations.claimPrize || 'Claim now!'}</div>
-                </div>
-                <div class="header-tooltip-arrow"></div>
-            </div>
-        `;
-    }
-
-    return `
-        <div class="${prizeClasses}" 
-             data-prize-id="${prizeId}" 
-             data-group-id="${groupId}"
-             data-index="${index}">
-            <div class="box">
-                ${tooltipContent}
-                <div class="prize-tooltip-wrapper" data-tooltip-id="${prizeId}">
-                    <div class="header-tooltip">
-                        <div class="text"></div>
-                    </div>
-                    <div class="header-tooltip-arrow"></div>
-                </div>
-                ${boxContent}
-            </div>
-            <div class="prize-date ${isMissed || isActivePrizeOutOfStock ? 'missed' : ''}">${monthDate}</div>
-        </div>
-    `;
-};
-
-/**
- * Attaches event listeners to map prize items
- */
-const attachMapPrizeEventListeners = () => {
-    groupedPrizes.forEach(({ prizes: groupPrizes, groupId }, index) => {
-        // Find the actual prize being displayed
-        const isWeekdays = groupPrizes.every(p => p.weekdays && p.weekdays.length > 0);
-        const prizesToShow = isWeekdays
-            ? groupPrizes.find(p => p.weekdays?.[0] === groupId)
-            : groupPrizes.find(p => p.active_from_ts === groupId);
-
-        const prizeWonResult = findPrizeWonFromHistory(groupPrizes, groupId);
-        const prizeWon = prizeWonResult?.prize;
-        const prize = prizeWon || prizesToShow || groupPrizes[0];
-        const prizeId = prize.id;
-
-        const prizeElement = document.querySelector(`.map-box-prize[data-prize-id="${prizeId}"]`);
-        if (prizeElement) {
-            prizeElement.addEventListener('click', () => handleMapPrizeClick(prize, groupId, groupPrizes));
-
-            // Tooltip hide on mouse leave
-            prizeElement.addEventListener('mouseleave', () => {
-                setTimeout(() => hideMapTooltip(prizeId), 3000);
-            });
-        }
-    });
-};
-
-/**
- * Handles clicking on a map prize item
- * @param {Object} prize - The prize object
- * @param {number} groupId - The group identifier
- * @param {Array} groupPrizes - All prizes in this group
- */
-const handleMapPrizeClick = async (prize, groupId, groupPrizes) => {
-    const prizeId = prize.id;
-
-    // Check if already won
-    const prizeWonResult = findPrizeWonFromHistory(groupPrizes, groupId);
-    const historyItem = prizeWonResult?.historyItem;
-    const prizeWon = prizeWonResult?.prize;
-
-    const status = getPrizeStatus(prize, groupId, historyItem);
-    const { isLocked, isMissed, isClaimed, isOutOfStock, isActive, isAcknowledged } = status;
-
-    const prizeElement = document.querySelector(`.map-box-prize[data-prize-id="${prizeId}"]`);
-    const isBlockedState = isLocked || isMissed;
-
-    // Handle blocked states (locked/missed/out-of-stock) - show tooltip
-    if (isBlockedState || (isOutOfStock && isActive)) {
-        let tooltipText = '';
-
-        if (isOutOfStock) {
-            tooltipText = prize.out_of_stock_message || translations.lootboxOutOfStockPrize || 'Out of stock';
-        } else if (isBlockedState) {
-            const texts = isMissed ? missedPrizesText : lockedPrizesText;
-            tooltipText = getRandomPhrase(texts);
+        }, intervalSec * 1000);
+    };
+
+    /**
+     * Catches up on whatever changed while the tab was in the background.
+     */
+    const handleVisibilityChange = () => {
+        if (!document.hidden && refreshTimer) {
+            refreshGameData();
         }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    const stopReducedMotionListener = onReducedMotionChange(applyMotionMode);
+
+    // ============================================
+    // HOST EVENTS & TEARDOWN
+    // ============================================
+
+    /**
+     * Calls an event callback the host passed to mount. A throwing callback is logged and doesn't
+     * break the game.
+     * 
+     * @param {string} name - Callback name: onReady, onSpin, onSpinResult, onWin, onError, onClaim or onClose
+     * @param {Object} detail - Event details handed to the callback
+     */
+    const emitEvent = (name, detail) => {
+        const callback = options[name];
+        if (typeof callback !== 'function') return;
 
-        if (tooltipText && prizeElement) {
-            showMapTooltip(prizeId, tooltipText);
-            prizeElement.classList.add('shake-not-active');
-            setTimeout(() => prizeElement.classList.remove('shake-not-active'), 500);
+        try {
+            callback(detail);
+        } catch (error) {
+            console.error(`Error in ${name} callback:`, error);
         }
-        return;
-    }
-
-    // If already claimed - open prize won modal
-    if (isClaimed && prizeWon) {
-        openMapPrizeWonModal(prizeWon, historyItem);
-        return;
-    }
-
-    // If active and not claimed - open tap overlay to play
-    if (isActive && !isClaimed && !isOutOfStock) {
-        openMapTapOverlay(prize, groupId, groupPrizes);
+    };
+
+    /**
+     * Stops the game: unmounts the layout, stops the timers and listeners, closes the shared
+     * dialogs and removes the game markup from the host's element.
+     */
+    const destroy = () => {
+        if (destroyed) return;
+        destroyed = true;
+
+        unmountLayout();
+        clearInterval(scheduleTimer);
+        clearInterval(refreshTimer);
+        scheduleTimer = null;
+        refreshTimer = null;
+        stopClockListener();
+        stopReducedMotionListener();
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+
+        [releaseRulesDialog, releaseRewardsDialog, releasePrizeDialog, releaseErrorDialog, releaseConfirmDialog]
+            .forEach(release => release?.());
+        // A pending paid open confirmation counts as cancelled
+        resolveSpinConfirmation?.(false);
+        resolveSpinConfirmation = null;
+
+        gameContainerElement.remove();
+    };
+
+    // Enter and Space activate the div buttons of the layouts and the shared modals
+    gameWrapperElement.addEventListener('keydown', activateButtonOnKeydown);
+
+    if (typeof options.onClose === 'function') {
+        closeButtonElement.hidden = false;
+        gameWrapperElement.classList.add('has-close-button');
+        closeButtonElement.addEventListener('click', () => {
+            emitEvent('onClose', { templateId: selectedGame?.id ?? options.templateId });
+        });
     }
-};
-
-// ============================================
-// MAP LAYOUT - TOOLTIP SYSTEM
-// ============================================
 
-/**
- * Shows a tooltip for a map prize
- * @param {number} prizeId - The prize ID
- * @param {string} text - The tooltip text
- */
-const showMapTooltip = (prizeId, text) => {
-    const tooltipWrapper = document.querySelector(`.map-box-prize[data-prize-id="${prizeId}"] .prize-tooltip-wrapper[data-tooltip-id="${prizeId}"]`);
-    if (tooltipWrapper) {
-        const textEl = tooltipWrapper.querySelector('.text');
-        if (textEl) textEl.innerHTML = text;
-        tooltipWrapper.classList.add('visible');
-    }
-};
+    loadMiniGames(options.templateId, options.lang || 'en');
 
-/**
- * Hides a tooltip for a map prize
- * @param {number} prizeId - The prize ID
- */
-const hideMapTooltip = (prizeId) => {
-    const tooltipWrapper = document.querySelector(`.map-box-prize[data-prize-id="${prizeId}"] .prize-tooltip-wrapper[data-tooltip-id="${prizeId}"]`);
-    if (tooltipWrapper) {
-        tooltipWrapper.classList.remove('visible');
-    }
+    return {
+        destroy,
+        refresh: () => (destroyed ? Promise.resolve() : refreshGameData())
+    };
 };
 
 // ============================================
-// MAP LAYOUT - TAP OVERLAY (3-tap interaction)
+// EMBED API
 // ============================================
 
 /**
- * Opens the tap overlay modal for the 3-tap prize reveal
- * @param {Object} prize - The prize object
- * @param {number} groupId - The group identifier
- * @param {Array} groupPrizes - All prizes in this group
- */
-const openMapTapOverlay = (prize, groupId, groupPrizes) => {
-    if (!mapOverlay) return;
-
-    mapTapOverlayActive = true;
-    tapCount = 0;
-    currentTapPrize = prize;
-    currentTapGroupId = groupId;
-
-    // Hide the small gift on the map
-    const prizeElement = document.querySelector(`.map-box-prize[data-prize-id="${prize.id}"]`);
-    if (prizeElement) {
-        prizeElement.classList.add('hide-small-gift');
-    }
-
-    const tapText = translations.lootboxPrizeModalTap || 'Tap the gift 3 times!!!';
-
-    mapOverlay.innerHTML = `
-        <div class="overlay-close-button-wrapper" id="overlay-close-btn" style="opacity: 0;">
-            <div class="close-button"></div>
-        </div>
-        <div class="prize_title" id="map-prize-title"></div>
-        <div class="gift_fly_in">
-            <div class="gift_float">
-                <div class="gift_wrap_big" id="map-big-gift">
-                    <div class="gift_contain_big" id="map-gift-contain">
-                        <div class="gift_inner" id="map-gift-inner">
-                            <div class="gift_glow_rotate"></div>
-                            <div class="gift_opened" id="map-gift-opened"></div>
-                            <div class="gift" id="map-gift-closed"></div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
-        <div class="split_text" id="map-animated-text">${tapText}</div>
-        <div class="prize_wrap" id="map-prize-wrapper">
-            <div class="prize_image" id="map-prize-image"></div>
-        </div>
-        <div class="prize-acknowledge" id="map-prize-acknowledge">
-            <div class="prize_acknowledge_text" id="map-acknowledge-text"></div>
-            <div class="prize_button_container" id="map-button-container"></div>
-        </div>
-    `;
-
-    // Add show_overlay class with a small delay for smooth fade-in transition
-    requestAnimationFrame(() => {
-        mapOverlay.classList.add('show_overlay');
-    });
-
-    // Set up click handler on the closed gift
-    const giftClosed = document.getElementById('map-gift-closed');
-    if (giftClosed) {
-        giftClosed.addEventListener('click', handleMapTapClick);
-    }
-
-    // Set up close button handler
-    const closeBtn = document.getElementById('overlay-close-btn');
-    if (closeBtn) {
-        closeBtn.addEventListener('click', closeMapTapOverlay);
-    }
-
-    // Animate the tap text
-    setTimeout(() => animateTapText(), 100);
-};
-
-/**
- * Closes the tap overlay modal
- */
-const closeMapTapOverlay = () => {
-    if (!mapOverlay) return;
-
-    mapTapOverlayActive = false;
-    mapOverlay.classList.remove('show_overlay');
-
-    // Clear content after transition
-    setTimeout(() => {
-        mapOverlay.innerHTML = '';
-    }, 350);
-
-    // Show the small gift again
-    if (currentTapPrize) {
-        const prizeElement = document.querySelector(`.map-box-prize[data-prize-id="${currentTapPrize.id}"]`);
-        if (prizeElement) {
-            prizeElement.classList.remove('hide-small-gift');
-        }
-    }
-
-    // Re-render map prizes to update state
-    renderMapPrizes(currentLanguage, currentMapSize);
-
-    currentTapPrize = null;
-    currentTapGroupId = null;
-    tapCount = 0;
-};
-
-/**
- * Animates the "Tap 3 times" text with staggered letter appearance
- */
-const animateTapText = () => {
-    const animatedText = document.getElementById('map-animated-text');
-    if (!animatedText) return;
-
-    const text = animatedText.textContent;
-    animatedText.innerHTML = '';
-
-    text.split('').forEach(char => {
-        if (char === ' ') {
-            animatedText.appendChild(document.createTextNode(' '));
-        } else {
-            const span = document.createElement('span');
-            span.textContent = char;
-            span.classList.add('letter');
-            animatedText.appendChild(span);
-        }
-    });
-
-    const letters = document.querySelectorAll('#map-animated-text .letter');
-    letters.forEach((letter, index) => {
-        setTimeout(() => {
-            letter.classList.add('staggered');
-        }, 200 + index * 25);
-    });
-};
-
-/**
- * Removes the staggered class from animated text letters
- */
-const removeStaggeredClass = () => {
-    const letters = document.querySelectorAll('#map-animated-text .letter');
-    letters.forEach((letter, index) => {
-        setTimeout(() => {
-            letter.classList.remove('staggered');
-        }, index * 25);
-    });
-};
-
-/**
- * Handles a tap/click on the gift box in the overlay
- */
-const handleMapTapClick = async () => {
-    tapCount++;
-
-    const bigGift = document.getElementById('map-big-gift');
-    const giftInner = document.getElementById('map-gift-inner');
-    const giftContain = document.getElementById('map-gift-contain');
-    const giftClosed = document.getElementById('map-gift-closed');
-    const giftOpened = document.getElementById('map-gift-opened');
-    const prizeWrapper = document.getElementById('map-prize-wrapper');
-    const prizeImage = document.getElementById('map-prize-image');
-    const prizeTitle = document.getElementById('map-prize-title');
-    const prizeAcknowledge = document.getElementById('map-prize-acknowledge');
-    const closeButton = document.getElementById('overlay-close-btn');
-
-    // Scale up the gift on each tap
-    if (tapCount <= 3 && bigGift) {
-        bigGift.style.transition = "transform 0.5s cubic-bezier(0.850, -1.800, 0.240, 1.575)";
-        bigGift.style.transform = `scale(${2 + (tapCount * 0.25)})`;
-    }
-
-    // Third tap - trigger the spin and reveal
-    if (tapCount === 3) {
-        // Show close button
-        if (closeButton) closeButton.style.opacity = '1';
-
-        // Shake and bounce animations
-        if (giftInner) giftInner.classList.add('shake');
-        if (giftContain) giftContain.classList.add('move-down');
-
-        setTimeout(() => {
-            if (giftClosed) giftClosed.classList.add('down-up-bounce');
-            if (giftOpened) giftOpened.classList.add('down-up-bounce');
-        }, 200);
-
-        // Send the API request
-        try {
-            const response = await window._smartico.api.playMiniGame(selectedGame.id);
-            const { err_code, err_message, prize_id } = response;
-
-            if (err_code === SAWSpinErrorCode.SAW_OK) {
-                const winPrize = prizes.find(p => p.id === prize_id);
-
-                // Refresh history
-                const updatedHistory = await window._smartico.api.getMiniGamesHistory({
-                    limit: 1000,
-                    offset: 0,
-                    saw_template_id: selectedGame.id
-                });
-                miniGamesHistory = updatedHistory || [];
-
-                // Reveal animations
-                setTimeout(() => {
-                    if (giftClosed) giftClosed.style.opacity = '0';
-                    if (giftOpened) giftOpened.style.opacity = '1';
-                    if (prizeWrapper) prizeWrapper.classList.add('prize_open');
-
-                    if (winPrize && prizeImage) {
-                        prizeImage.style.backgroundImage = `url('${winPrize.icon || ''}')`;
-                    }
-                }, 1700);
-
-                // Show prize info
-                setTimeout(() => {
-                    if (winPrize) {
-                        if (prizeTitle) {
-                            prizeTitle.innerHTML = winPrize.name || 'Prize';
-                            prizeTitle.style.transform = 'scale(1)';
-                        }
-                        if (prizeAcknowledge) {
-                            renderMapPrizeAcknowledge(winPrize);
-                            prizeAcknowledge.style.transform = 'scale(1)';
-                        }
-                    }
-                }, 2000);
-
-                // Clean up animations
-                setTimeout(() => {
-                    if (giftInner) giftInner.classList.remove('shake');
-                    if (giftClosed) giftClosed.classList.remove('down-up-bounce');
-                    if (giftOpened) giftOpened.classList.remove('down-up-bounce');
-                }, 2000);
-
-                removeStaggeredClass();
-            } else {
-                // Handle error
-                handleSpinError(err_code, err_message, currentTapPrize);
-                closeMapTapOverlay();
-            }
-        } catch (error) {
-            console.error('Error playing mini game:', error);
-            handleSpinError(null, error.message, currentTapPrize);
-            closeMapTapOverlay();
-        }
-    }
-};
-
-/**
- * Renders the prize acknowledge section in the tap overlay
- * @param {Object} winPrize - The won prize object
+ * Mounts the game of a template into an element of the host page. The Smartico SDK has to be
+ * initialized by the host first (see index.html). Any number of games can be mounted, each in
+ * its own element; mounting into an element again replaces the game shown there.
+ * 
+ * @param {HTMLElement} element - Element the game is rendered in
+ * @param {Object} options - Game options
+ * @param {number|string} options.templateId - The game template ID
+ * @param {string} [options.lang] - Language code for translations (default 'en')
+ * @param {number} [options.layout] - Layout (SAWGameLayout or a registered custom layout) instead of the template's game_layout
+ * @param {string|Object} [options.theme] - Theme file URL instead of the template's theme_url, or theme values over its theme
+ * @param {Function} [options.onReady] - Called with {templateId, game} once the game is rendered
+ * @param {Function} [options.onSpin] - Called with {templateId, groupId} when the player opens a prize
+ * @param {Function} [options.onSpinResult] - Called with {templateId, groupId, prizeId, errCode} once the server answered an open (prizeId null if it failed)
+ * @param {Function} [options.onWin] - Called with {templateId, groupId, prize} when an open wins a prize
+ * @param {Function} [options.onError] - Called with {type: 'load'|'spin'|'claim', templateId, errCode, message}
+ * @param {Function} [options.onClaim] - Called with {templateId, prize, confirmed} when a prize is claimed or declined
+ * @param {Function} [options.onOpenUrl] - Called with {templateId, prize, url} when the browser blocked the tab of a prize URL, to open it from the host page
+ * @param {Object} [options.deepLinkHandlers] - Handlers of prize deep links by name, e.g. { deposit: ({link, params, prize}) => ... }, used instead of the SDK (see prizeActions.js)
+ * @param {Function} [options.onClose] - Shows a close button in the corner of the game, called with {templateId} when it is pressed
+ * @param {Array|string|Function} [options.analytics] - Analytics adapters: 'dataLayer', 'postMessage', 'console' and/or functions (see analytics.js)
+ * @param {Array<string>} [options.parentOrigins] - Origins of the pages allowed to embed the game in an iframe, the only ones the postMessage adapter posts to
+ * @returns {Object} { destroy(), refresh() }
  */
-const renderMapPrizeAcknowledge = (winPrize) => {
-    const acknowledgeText = document.getElementById('map-acknowledge-text');
-    const buttonContainer = document.getElementById('map-button-container');
-
-    if (!acknowledgeText || !buttonContainer) return;
-
-    const acknowledgeWithClaim = winPrize?.acknowledge_type === 'explicity-acknowledge';
-    const acknowledgeMessage = winPrize?.aknowledge_message || translations.congratulations || 'Congratulations!';
-    const actionTitle = winPrize?.acknowledge_action_title || translations.doOk || 'OK';
-    const cancelTitle = winPrize?.acknowledge_action_title_additional || translations.doCancel || 'Cancel';
-
-    acknowledgeText.innerHTML = acknowledgeMessage;
-
-    let buttonsHTML = `
-        <div class="prize_button" id="map-claim-btn">${actionTitle}</div>
-    `;
-
-    if (acknowledgeWithClaim) {
-        buttonsHTML += `
-            <div class="prize_button cancel" id="map-cancel-btn">${cancelTitle}</div>
-        `;
-    }
-
-    buttonContainer.innerHTML = buttonsHTML;
-
-    // Attach event listeners
-    const claimBtn = document.getElementById('map-claim-btn');
-    const cancelBtn = document.getElementById('map-cancel-btn');
-
-    if (claimBtn) {
-        claimBtn.addEventListener('click', () => handleMapPrizeClaim(winPrize));
+const mount = (element, options = {}) => {
+    if (!(element instanceof HTMLElement)) {
+        throw new TypeError('LootboxGame.mount: element must be an HTMLElement');
     }
-    if (cancelBtn) {
-        cancelBtn.addEventListener('click', () => closeMapTapOverlay());
+    if (options.templateId === undefined || options.templateId === null || options.templateId === '') {
+        throw new TypeError('LootboxGame.mount: templateId is required');
     }
-};
 
-/**
- * Handles claiming a prize from the tap overlay
- * @param {Object} winPrize - The won prize object
- */
-const handleMapPrizeClaim = (winPrize) => {
-    closeMapTapOverlay();
+    mountedGames.get(element)?.destroy();
+    const game = createGame(element, { ...options });
+    const handle = {
+        destroy: () => {
+            game.destroy();
+            if (mountedGames.get(element) === handle) mountedGames.delete(element);
+        },
+        refresh: game.refresh
+    };
+    mountedGames.set(element, handle);
+    return handle;
 };
 
 // ============================================
-// MAP LAYOUT - PRIZE WON MODAL (for reopening)
+// GAME INITIALIZATION
 // ============================================
 
-/**
- * Opens the prize won modal to view a claimed prize
- * @param {Object} prize - The prize object
- * @param {Object} historyItem - The history item for this prize
- */
-const openMapPrizeWonModal = (prize, historyItem) => {
-    if (!mapPrizeWonModal) return;
-
-    mapPrizeWonModalActive = true;
-    const isAcknowledged = !!historyItem?.acknowledge_date_ts;
-
-    const acknowledgeWithClaim = prize?.acknowledge_type === 'explicity-acknowledge';
-    const actionTitle = prize?.acknowledge_action_title || translations.doOk || 'OK';
-    const cancelTitle = prize?.acknowledge_action_title_additional || translations.doCancel || 'Cancel';
-    const acknowledgeMessage = prize?.aknowledge_message || '';
-
-    let actionsHTML = '';
-    if (!isAcknowledged) {
-        actionsHTML = `
-            <div class="won-prize-actions">
-                <div class="won-prize-btn" id="map-won-claim-btn">
-                    <div class="won-prize-btn-text">${actionTitle}</div>
-                </div>
-                ${acknowledgeWithClaim
-                ? `<div class="won-prize-btn cancel" id="map-won-cancel-btn">
-                            <div class="won-prize-btn-text">${cancelTitle}</div>
-                        </div>`
-                : ''
-            }
-            </div>
-        `;
-    }
-
-    mapPrizeWonModal.innerHTML = `
-        <div class="won-modal-wrapper">
-            <div class="won-modal-content">
-                <div class="modal-won-button-wrapper" id="won-modal-close-btn">
-                    <div class="modal-won-close-button"></div>
-                </div>
-                <div class="won-prize-image-container">
-                    ${prize?.icon
-            ? `<img src="${prize.icon}" alt="Prize" draggable="false">`
-            : '<div class="prize-front-no-image"></div>'
-        }
-                </div>
-                <div class="won-prize-name">${prize?.name || 'Prize'}</div>
-                ${acknowledgeMessage ? `<div class="won-prize-message">${acknowledgeMessage}</div>` : ''}
-                ${actionsHTML}
-            </div>
-        </div>
-    `;
-
-    mapPrizeWonModal.classList.add('active');
-
-    // Attach close button event listener
-    const closeModalBtn = document.getElementById('won-modal-close-btn');
-    if (closeModalBtn) {
-        closeModalBtn.addEventListener('click', closeMapPrizeWonModal);
-    }
-
-    // Attach event listeners
-    const claimBtn = document.getElementById('map-won-claim-btn');
-    const cancelBtn = document.getElementById('map-won-cancel-btn');
-
-    if (claimBtn) {
-        claimBtn.addEventListener('click', () => {
-            closeMapPrizeWonModal();
-        });
-    }
-    if (cancelBtn) {
-        cancelBtn.addEventListener('click', () => {
-            closeMapPrizeWonModal();
-        });
-    }
-};
+// Layouts queued by separate scripts register after the built-in ones, so they can override them
+connectLayoutQueue(window);
 
 /**
- * Closes the prize won modal
+ * Game clock controls for previewing other dates (time-travel mode), e.g. from the console:
+ * lootboxClock.set('2026-12-31T23:30:00Z'), lootboxClock.advance(3600000), lootboxClock.reset()
  */
-const closeMapPrizeWonModal = () => {
-    if (!mapPrizeWonModal) return;
-
-    mapPrizeWonModalActive = false;
-    mapPrizeWonModal.classList.remove('active');
-    mapPrizeWonModal.innerHTML = '';
+window.lootboxClock = {
+    now: getClockNow,
+    set: setClockNow,
+    advance: advanceClock,
+    reset: resetClock,
+    onChange: onClockChange
 };
 
-// ============================================
-// GAME INITIALIZATION
-// ============================================
-
 /**
- * Initializes the game with the specified template and language.
- * This is the main entry point called from index.html.
- * 
- * @param {number|string} saw_template_id - The game template ID
- * @param {string} lang - The language code
+ * The embed API, e.g. LootboxGame.mount(document.getElementById('lootbox-game'), { templateId: 1514 }),
+ * and the postMessage bridge for pages that embed the game in an iframe (see frameBridge.js).
+ * Also published on window for the inline scripts of the host page.
  */
-const initializeGame = (saw_template_id, lang) => {
-    loadMiniGames(saw_template_id, lang);
-};
\ No newline at end of file
+export const LootboxGame = { mount, createFrameBridge };
+window.LootboxGame = LootboxGame;
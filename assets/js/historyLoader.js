@@ -0,0 +1,132 @@
+/**
+ * Smartico Lootbox Game - History Loader
+ *
+ * Loads the player's history of a template from getMiniGamesHistory, page by page (newest first),
+ * until the pages reach back to the start of the schedule (see getHistoryRangeStart) or the
+ * history ends. A single page could miss the wins of a long-running template, which would show
+ * its claimed days as missed.
+ *
+ * The loaded history is cached per template and player. Later loads only page until they reach
+ * items already in the cache, and new items (a win, a live update) are merged into it by
+ * request_id instead of replacing it, so older wins are never dropped.
+ *
+ * No DOM is needed, so it runs in the node test suite as it is.
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+// Stops a runaway loop on servers that ignore the offset
+const MAX_PAGES = 50;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * @param {Object} item - History item (TSawHistory)
+ * @returns {string} Key identifying the item across pages and updates
+ */
+const getItemKey = (item) => item.request_id ?? `${item.saw_prize_id}:${item.create_date_ts}`;
+
+/**
+ * @param {number|string} templateId - The template ID
+ * @param {string} [userId] - The player
+ * @returns {string} Cache key
+ */
+const getCacheKey = (templateId, userId) => `${userId ?? ''}:${templateId}`;
+
+// ============================================
+// HISTORY LOADER
+// ============================================
+
+/**
+ * Creates a history loader.
+ *
+ * @param {Object} options - Loader options
+ * @param {Function} options.fetchPage - Fetches one page: ({limit, offset, saw_template_id, onUpdate}) => Promise<Array>
+ * @param {number} [options.pageSize] - Items per page (default 100)
+ * @returns {Object} { load(request), merge(request, items) }
+ */
+export const createHistoryLoader = ({ fetchPage, pageSize = DEFAULT_PAGE_SIZE }) => {
+    // By cache key: { items (newest first), coveredSince (oldest time the items are complete from) }
+    const cache = new Map();
+
+    /**
+     * Merges items into the cached history of a template, the incoming copy of an item winning.
+     *
+     * @param {string} key - Cache key
+     * @param {Array} items - History items
+     * @param {number} [coveredSince] - New oldest complete time, if the items extend it
+     * @returns {Array} The merged history, newest first
+     */
+    const mergeIntoCache = (key, items, coveredSince) => {
+        const entry = cache.get(key) || { items: [], coveredSince: Infinity };
+        const merged = new Map(entry.items.map(item => [getItemKey(item), item]));
+        items.forEach(item => merged.set(getItemKey(item), item));
+
+        const history = [...merged.values()].sort((a, b) => b.create_date_ts - a.create_date_ts);
+        cache.set(key, {
+            items: history,
+            coveredSince: Math.min(entry.coveredSince, coveredSince ?? Infinity)
+        });
+        return history;
+    };
+
+    return {
+        /**
+         * Loads the history of a template back to the given time. With a cached history that
+         * already covers it, paging stops at the first page holding known items.
+         *
+         * @param {Object} request - What to load
+         * @param {number|string} request.templateId - The template ID
+         * @param {string} [request.userId] - The player, keeps the caches of players apart
+         * @param {number} [request.since] - Oldest time needed (ms), e.g. from getHistoryRangeStart; 0 loads everything
+         * @param {Function} [request.onUpdate] - SDK update callback, registered with the first page
+         * @returns {Promise<Array>} The whole cached history of the template, newest first
+         */
+        async load({ templateId, userId, since = 0, onUpdate }) {
+            const key = getCacheKey(templateId, userId);
+            const entry = cache.get(key);
+            const knownKeys = entry && entry.coveredSince <= since
+                ? new Set(entry.items.map(getItemKey))
+                : null;
+
+            const loaded = [];
+            let coveredSince = null;
+
+            for (let page = 0; page < MAX_PAGES; page++) {
+                const items = await fetchPage({
+                    limit: pageSize,
+                    offset: page * pageSize,
+                    saw_template_id: templateId,
+                    ...(page === 0 && onUpdate ? { onUpdate } : {})
+                }) || [];
+                loaded.push(...items);
+
+                if (items.length < pageSize) {
+                    // The whole history is loaded
+                    coveredSince = -Infinity;
+                    break;
+                }
+                const oldest = items[items.length - 1].create_date_ts;
+                if (oldest < since) {
+                    coveredSince = oldest;
+                    break;
+                }
+                if (knownKeys && items.some(item => knownKeys.has(getItemKey(item)))) break;
+            }
+
+            return mergeIntoCache(key, loaded, coveredSince);
+        },
+
+        /**
+         * Merges items pushed by an SDK update into the cached history.
+         *
+         * @param {Object} request - {templateId, userId} of the history
+         * @param {Array} items - History items
+         * @returns {Array} The whole cached history of the template, newest first
+         */
+        merge({ templateId, userId }, items) {
+            return mergeIntoCache(getCacheKey(templateId, userId), items || []);
+        }
+    };
+};
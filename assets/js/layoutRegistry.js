@@ -0,0 +1,111 @@
+/**
+ * Smartico Lootbox Game - Layout Registry
+ *
+ * Every layout (the built-in Cards, Map and Grid Calendar layouts as well as custom ones)
+ * registers itself here under the game_layout id it handles. game.js looks the layout up
+ * by the template's saw_template_ui_definition.game_layout and drives it through its hooks.
+ *
+ * A layout is a plain object:
+ *
+ *   {
+ *       id: 4,                          // game_layout value the layout handles
+ *       name: 'Slot machine',           // Optional, used in console messages
+ *       modalTheme: 'cards',            // Optional, look of the shared modals: 'cards' (default) or 'map'
+ *       mount(ctx) {},                  // Builds the layout markup inside ctx.root. May be async and may return
+ *                                       // {streakElement, countdownElement, balanceElement} to get the streak,
+ *                                       // countdown and balance (paid games) rendered
+ *       render(groups, ctx) {},         // Draws the whole schedule (see getGroupedPrizesWithStatus)
+ *       update(groups, ctx) {},         // Optional, applies a live update in place (falls back to render)
+ *       onSpinResult(result, ctx) {},   // Called after ctx.spin() with {group, winPrize} or {group, errCode, errMessage}
+ *       unmount(ctx) {}                 // Removes listeners/timers, the core clears ctx.root afterwards
+ *   }
+ *
+ * Layouts shipped as a separate classic script register through the global queue,
+ * which works whether the script runs before or after the game:
+ *
+ *   (window.lootboxLayouts = window.lootboxLayouts || []).push({ id: 4, ... });
+ */
+
+/**
+ * SAWGameLayout - Determines the visual layout of the game
+ * @property {number} Horizontal - Card-based horizontal scrolling layout
+ * @property {number} VerticalMap - Vertical map layout with positioned prizes
+ * @property {number} GridCalendar - Calendar grid showing the whole schedule at once
+ */
+export const SAWGameLayout = {
+    Horizontal: 1,
+    VerticalMap: 2,
+    GridCalendar: 3
+};
+
+const REQUIRED_HOOKS = ['mount', 'render', 'onSpinResult', 'unmount'];
+
+const layouts = new Map();
+
+/**
+ * Registers a layout under its id. Registering an id again replaces the previous layout,
+ * so a brand can override one of the built-in layouts.
+ *
+ * @param {Object} layout - The layout object (see the module description)
+ * @returns {Object} The registered layout
+ */
+export const registerLayout = (layout) => {
+    if (!layout || !Number.isInteger(layout.id)) {
+        throw new TypeError('Layout must have an integer id (the game_layout value it handles)');
+    }
+
+    const missingHooks = REQUIRED_HOOKS.filter(hook => typeof layout[hook] !== 'function');
+    if (missingHooks.length > 0) {
+        throw new TypeError(`Layout ${layout.id} is missing the ${missingHooks.join(', ')} hook(s)`);
+    }
+
+    if (layouts.has(layout.id)) {
+        console.warn(`Layout ${layout.id} is registered again, replacing "${layouts.get(layout.id).name || layout.id}"`);
+    }
+
+    layouts.set(layout.id, layout);
+    return layout;
+};
+
+/**
+ * Looks up the layout registered for a game_layout id.
+ *
+ * @param {number} id - The game_layout value
+ * @returns {Object|undefined} The layout, if any
+ */
+export const getLayout = (id) => {
+    return layouts.get(id);
+};
+
+/**
+ * Returns the ids of all registered layouts.
+ *
+ * @returns {Array<number>} Registered game_layout values
+ */
+export const getLayoutIds = () => {
+    return [...layouts.keys()];
+};
+
+/**
+ * Registers the layouts queued on window.lootboxLayouts, then replaces the queue with an object
+ * whose push registers directly. game.js calls it once the built-in layouts are registered,
+ * so a queued layout with a built-in id overrides the built-in one.
+ *
+ * @param {Object} [target] - Object holding the lootboxLayouts queue (default window)
+ */
+export const connectLayoutQueue = (target = globalThis) => {
+    const queuedLayouts = Array.isArray(target.lootboxLayouts) ? target.lootboxLayouts : [];
+    target.lootboxLayouts = {
+        push: (...newLayouts) => {
+            newLayouts.forEach((layout) => {
+                try {
+                    registerLayout(layout);
+                } catch (error) {
+                    console.error('Error registering layout:', error);
+                }
+            });
+            return getLayoutIds().length;
+        }
+    };
+    target.lootboxLayouts.push(...queuedLayouts);
+};
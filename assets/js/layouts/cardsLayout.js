@@ -0,0 +1,481 @@
+/**
+ * Smartico Lootbox Game - Cards Layout (game_layout === 1)
+ *
+ * Horizontal scrollable cards, one per day of the schedule. Today's card flips over
+ * to reveal the prize while the spin request runs.
+ */
+
+import { getPrizeDate, getActivePrizeId } from '../prizeSchedule.js';
+import { registerLayout, SAWGameLayout } from '../layoutRegistry.js';
+import {
+    patchGroupElements,
+    renderMilestoneBadge,
+    renderRewardsButton,
+    attachRewardsButton,
+    renderSpinCostBadge,
+    getGroupLabel,
+    getTabStopGroupId,
+    attachGroupKeyboardNavigation,
+    trackBoxClick
+} from './layoutHelpers.js';
+import { AnalyticsEvent } from '../analytics.js';
+import { escapeHTML, sanitizeUrl, sanitizeRichText } from '../sanitize.js';
+
+const SCROLL_MOVE = 200;
+// Time the card flip plays before the prize modal opens (none with reduced motion)
+const PRIZE_MODAL_DELAY_MS = 1500;
+
+const cardsLayoutHTML = `
+    <div class="cards-wrapper" style="display: flex;">
+        <div class="cards-background">
+            <div class="game-content">
+                <div class="game-header-container">
+                    <div class="game-header-title">
+                        <div class="game-title"></div>
+                    </div>
+                    <div class="game-header-description"></div>
+                    <div class="game-streak"></div>
+                    <div class="game-countdown hidden"></div>
+                    <div class="game-balance hidden"></div>
+                </div>
+                <div class="game-center">
+                    <div class="prize-card-container">
+                        <div class="game-cards"></div>
+                    </div>
+                </div>
+                <div class="game-footer">
+                    <div class="game-footer-container">
+                        <div class="game-nav-buttons">
+                            <div class="game-nav-btn left" role="button" tabindex="0">
+                                <div class="game-nav-arrow left"></div>
+                            </div>
+                            <div class="game-nav-btn right" role="button" tabindex="0">
+                                <div class="game-nav-arrow right"></div>
+                            </div>
+                        </div>
+                        <div class="game-footer-rules">
+                            <div class="game-rules-btn" role="button" tabindex="0">
+                                <div class="rules-button-text"></div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    </div>
+`;
+
+// ============================================
+// MOUNT - Markup & drag scrolling
+// ============================================
+
+/**
+ * Builds the cards markup and sets up drag scrolling and the navigation buttons.
+ *
+ * @param {Object} ctx - Layout context
+ * @returns {Object} {streakElement, countdownElement, balanceElement}
+ */
+const mount = (ctx) => {
+    const { root, state } = ctx;
+    root.innerHTML = cardsLayoutHTML;
+
+    const elements = {
+        title: root.querySelector('.game-title'),
+        description: root.querySelector('.game-header-description'),
+        streak: root.querySelector('.game-streak'),
+        countdown: root.querySelector('.game-countdown'),
+        balance: root.querySelector('.game-balance'),
+        cards: root.querySelector('.game-cards'),
+        container: root.querySelector('.prize-card-container'),
+        rulesText: root.querySelector('.rules-button-text')
+    };
+    state.elements = elements;
+    state.flippedCardsState = {};
+    state.renderedPrizeHTML = {};
+    state.listeners = new AbortController();
+
+    const { signal } = state.listeners;
+    const { container } = elements;
+    const drag = { isDragging: false, startX: 0, scrollLeft: 0 };
+
+    container.addEventListener('mousedown', (e) => {
+        drag.isDragging = true;
+        drag.startX = e.pageX - container.offsetLeft;
+        drag.scrollLeft = container.scrollLeft;
+    }, { signal });
+    container.addEventListener('mousemove', (e) => {
+        if (!drag.isDragging) return;
+        e.preventDefault();
+        const x = e.pageX - container.offsetLeft;
+        container.scrollLeft = drag.scrollLeft - (x - drag.startX);
+    }, { signal });
+    ['mouseup', 'mouseleave'].forEach((eventName) => {
+        container.addEventListener(eventName, () => {
+            if (drag.isDragging && container.scrollLeft !== drag.scrollLeft) {
+                ctx.track(AnalyticsEvent.DragScroll, { distance: container.scrollLeft - drag.scrollLeft });
+            }
+            drag.isDragging = false;
+        }, { signal });
+    });
+
+    ['left', 'right'].forEach((direction) => {
+        const navButton = root.querySelector(`.game-nav-btn.${direction}`);
+        navButton.setAttribute('aria-label', direction === 'left'
+            ? ctx.translations.lootboxPreviousDays || 'Previous days'
+            : ctx.translations.lootboxNextDays || 'Next days');
+        // Pressing a button must not start a drag of the cards
+        navButton.addEventListener('mousedown', (e) => e.stopPropagation(), { signal });
+        navButton.addEventListener('click', () => {
+            const scrollAmount = direction === 'left' ? -SCROLL_MOVE : SCROLL_MOVE;
+            container.scrollBy({ top: 0, left: scrollAmount, behavior: ctx.reducedMotion ? 'auto' : 'smooth' });
+        }, { signal });
+    });
+
+    root.querySelector('.game-rules-btn').addEventListener('click', () => ctx.openRules(), { signal });
+
+    attachGroupKeyboardNavigation(elements.cards, state, { signal });
+
+    return { streakElement: elements.streak, countdownElement: elements.countdown, balanceElement: elements.balance };
+};
+
+/**
+ * Removes the listeners and timers of the layout.
+ *
+ * @param {Object} ctx - Layout context
+ */
+const unmount = (ctx) => {
+    ctx.state.listeners?.abort();
+    clearTimeout(ctx.state.scrollTimer);
+};
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Renders the header texts (the operator may edit them while the game is open).
+ *
+ * @param {Object} ctx - Layout context
+ */
+const renderHeader = (ctx) => {
+    const { title, description, rulesText } = ctx.state.elements;
+    title.textContent = ctx.game.name || '';
+    description.innerHTML = sanitizeRichText(ctx.game.promo_text);
+    rulesText.textContent = ctx.translations.rules || 'Rules';
+};
+
+/**
+ * Renders all prize cards, one card per group (date/weekday), and scrolls to today's card.
+ *
+ * @param {Array} groups - Groups from getGroupedPrizesWithStatus
+ * @param {Object} ctx - Layout context
+ */
+const render = (groups, ctx) => {
+    const { state } = ctx;
+    const { cards, container } = state.elements;
+
+    renderHeader(ctx);
+
+    state.flippedCardsState = {};
+    state.renderedPrizeHTML = {};
+    state.tabStopGroupId = getTabStopGroupId(groups, state.focusedGroupId);
+    cards.innerHTML = groups.map((group) => {
+        const html = buildCard(group, ctx);
+        state.renderedPrizeHTML[group.groupId] = html;
+        return html;
+    }).join('');
+
+    groups.forEach((group) => attachCardEventListeners(group.groupId, ctx));
+
+    // Scroll to active prize card
+    const activePrizeId = getActivePrizeId(groups);
+    if (activePrizeId) {
+        clearTimeout(state.scrollTimer);
+        state.scrollTimer = setTimeout(() => {
+            const activePrizeCard = container.querySelector(`.prize-card[data-index="${activePrizeId}"]`);
+            if (activePrizeCard) {
+                activePrizeCard.scrollIntoView({
+                    behavior: ctx.reducedMotion ? 'auto' : 'smooth',
+                    inline: 'center',
+                    block: 'center'
+                });
+            }
+        }, 300);
+    }
+};
+
+/**
+ * Re-renders only the cards whose state changed, keeping the scroll position.
+ *
+ * @param {Array} groups - Groups from getGroupedPrizesWithStatus
+ * @param {Object} ctx - Layout context
+ */
+const update = (groups, ctx) => {
+    renderHeader(ctx);
+    ctx.state.tabStopGroupId = getTabStopGroupId(groups, ctx.state.focusedGroupId);
+    patchGroupElements(
+        ctx.state.elements.cards,
+        groups,
+        ctx.state.renderedPrizeHTML,
+        (group) => buildCard(group, ctx),
+        (group) => attachCardEventListeners(group.groupId, ctx)
+    );
+};
+
+/**
+ * Builds the HTML of a single prize card. Claimed cards are recorded as flipped.
+ *
+ * @param {Object} group - Group from getGroupedPrizesWithStatus
+ * @param {Object} ctx - Layout context
+ * @returns {string} HTML string for the card
+ */
+const buildCard = (group, ctx) => {
+    const { groupId, displayPrize, prize, prizeWon, status, isToday } = group;
+    const { isLocked, isMissed, isClaimed, isActive, isOutOfStock, isAcknowledged } = status;
+    const translations = ctx.translations;
+
+    // For date display, always use the scheduled prize (not prizeWon)
+    const monthDate = getPrizeDate(displayPrize, ctx.lang);
+    const prizeId = prize.id;
+
+    const isActivePrize = isToday && isActive && !isOutOfStock;
+    const isActivePrizeOutOfStock = isToday && isActive && isOutOfStock;
+    const isTabStop = String(groupId) === ctx.state.tabStopGroupId;
+    const isRenderedActive = isActivePrize || isActivePrizeOutOfStock;
+
+    const explicitAcknowledge = prizeWon?.acknowledge_type === 'explicity-acknowledge';
+    const prizeWonIcon = sanitizeUrl(prizeWon?.icon);
+    const prizeIcon = sanitizeUrl(prize.icon);
+
+    if (isClaimed) {
+        ctx.state.flippedCardsState[prizeId] = true;
+    }
+
+    const cardClasses = [
+        'prize-card',
+        isLocked ? 'locked' : '',
+        isMissed ? 'missed' : '',
+        isRenderedActive ? 'active-prize' : '',
+        isClaimed ? 'claimed flip' : '',
+        group.isMilestone ? 'milestone' : ''
+    ].filter(Boolean).join(' ');
+
+    const contentClasses = [
+        'prize-card-content',
+        isMissed ? 'missed' : '',
+        isRenderedActive ? 'active-prize' : '',
+        isClaimed ? 'claimed flip' : ''
+    ].filter(Boolean).join(' ');
+
+    return `
+        <div class="${cardClasses}" data-index="${prizeId}" data-group-id="${groupId}"
+             role="button" tabindex="${isTabStop ? 0 : -1}"
+             aria-label="${getGroupLabel(group, monthDate, translations)}">
+            ${renderMilestoneBadge(group, translations)}
+            ${renderRewardsButton(group, translations, isTabStop)}
+            ${renderSpinCostBadge(group, ctx)}
+            <div class="${contentClasses}">
+                <div class="front-side">
+                    ${isLocked ? '<div class="locked-overlay"></div>' : ''}
+                    <div class="prize-number top">${monthDate}</div>
+                    <div class="prize-number bottom">${monthDate}</div>
+                </div>
+                <div class="back-side ${isMissed ? 'missed' : ''} ${isActivePrizeOutOfStock && !isClaimed ? 'out-of-stock' : ''}">
+                    ${isMissed ? '<div class="missed-overlay"></div>' : ''}
+                    <div class="prize-number top">${monthDate}</div>
+                    <div class="prize-content">
+                        ${prizeWon
+            ? `<div class="prize-front-prize-name">${escapeHTML(prizeWon.name)}</div>`
+            : ''}
+                        ${isActivePrizeOutOfStock && !isClaimed
+            ? `<div class="prize-out-of-stock-text">${escapeHTML(prize.out_of_stock_message || translations.lootboxOutOfStockPrize || 'Out of stock')}</div>`
+            : ''}
+                        ${isClaimed && prizeWon
+            ? (prizeWonIcon
+                ? `<img class="prize-front-image" src="${escapeHTML(prizeWonIcon)}" alt="" draggable="false">`
+                : '<div class="prize-front-no-image"></div>')
+            : ''}
+                        ${isMissed
+            ? (prizeIcon
+                ? `<img class="prize-front-image" src="${escapeHTML(prizeIcon)}" alt="" draggable="false">`
+                : '<div class="prize-front-no-image"></div>')
+            : ''}
+                        ${isActivePrize && explicitAcknowledge && !isAcknowledged
+            ? `<div class="prize-claim-btn" role="button" tabindex="0">
+                                    <div class="prize-claim-btn-text">${escapeHTML(prizeWon?.acknowledge_action_title || translations.claimPrize || 'Claim')}</div>
+                                </div>`
+            : ''}
+                    </div>
+                    <div class="prize-number bottom">${monthDate}</div>
+                </div>
+                <div class="prize-card-bottom-glow ${isRenderedActive ? 'active-prize' : ''} ${isClaimed ? 'claimed' : ''}"></div>
+            </div>
+        </div>
+    `;
+};
+
+/**
+ * Gets the card element of a group.
+ *
+ * @param {Object} ctx - Layout context
+ * @param {number} groupId - The group identifier
+ * @returns {HTMLElement|null} The card element
+ */
+const getCardElement = (ctx, groupId) => {
+    return ctx.state.elements.cards.querySelector(`.prize-card[data-group-id="${groupId}"]`);
+};
+
+/**
+ * Attaches the click event listeners of the card of one group.
+ *
+ * @param {number} groupId - The group identifier
+ * @param {Object} ctx - Layout context
+ */
+const attachCardEventListeners = (groupId, ctx) => {
+    const cardElement = getCardElement(ctx, groupId);
+    if (!cardElement) return;
+
+    cardElement.addEventListener('click', () => handlePrizeFlip(groupId, ctx));
+    attachRewardsButton(cardElement, groupId, ctx);
+
+    const claimButtonElement = cardElement.querySelector('.prize-claim-btn');
+    if (claimButtonElement) {
+        claimButtonElement.addEventListener('click', (event) => {
+            event.stopPropagation();
+            const group = ctx.getGroup(groupId);
+            if (group) ctx.openPrizeModal(group.prizeWon || group.prize, group.historyItem);
+        });
+    }
+};
+
+// ============================================
+// EVENT HANDLERS
+// ============================================
+
+/**
+ * Handles clicking on a prize card to flip it and attempt to win.
+ * The status is looked up again on click, so a card rendered before a live update acts on fresh data.
+ *
+ * @param {number} groupId - The group identifier
+ * @param {Object} ctx - Layout context
+ */
+const handlePrizeFlip = async (groupId, ctx) => {
+    const group = ctx.getGroup(groupId);
+    if (!group) return;
+    trackBoxClick(group, ctx);
+
+    const { prize, prizeWon, status } = group;
+    const { isLocked, isMissed, isClaimed, isOutOfStock, isActive, isAcknowledged } = status;
+    const { flippedCardsState } = ctx.state;
+
+    // Don't allow flip for locked or missed cards
+    if (isLocked || isMissed) {
+        return;
+    }
+
+    // If already claimed/acknowledged - allow reopening the prize modal
+    if ((isClaimed || isAcknowledged) && prizeWon) {
+        ctx.openPrizeModal(prizeWon, group.historyItem);
+        return;
+    }
+
+    // If card is already flipped (during animation), prevent double-click
+    if (flippedCardsState[prize.id]) {
+        return;
+    }
+
+    const cardElement = getCardElement(ctx, groupId);
+
+    // Flip briefly to show the out of stock state
+    if (isOutOfStock) {
+        if (cardElement) {
+            cardElement.classList.add('flip');
+            setTimeout(() => {
+                if (!ctx.getGroup(groupId)?.historyItem?.create_date_ts) {
+                    cardElement.classList.remove('flip');
+                }
+            }, 2500);
+        }
+        return;
+    }
+
+    // Only spin for active, unclaimed prizes
+    if (!isActive || isClaimed || !cardElement || ctx.spinning) {
+        return;
+    }
+
+    cardElement.classList.add('flip');
+    flippedCardsState[prize.id] = true;
+    await ctx.spin(group);
+};
+
+/**
+ * Shows the won prize on the flipped card, or flips it back if the spin failed.
+ *
+ * @param {Object} result - {group, winPrize} or {group, errCode, errMessage}
+ * @param {Object} ctx - Layout context
+ */
+const onSpinResult = ({ group, winPrize }, ctx) => {
+    const cardElement = getCardElement(ctx, group.groupId);
+    const { flippedCardsState } = ctx.state;
+
+    if (!winPrize) {
+        cardElement?.classList.remove('flip');
+        flippedCardsState[group.prize.id] = false;
+        return;
+    }
+
+    flippedCardsState[winPrize.id] = true;
+    updateCardWithWonPrize(cardElement, winPrize);
+
+    // Show prize modal after the flip animation
+    if (winPrize.acknowledge_type !== 'explicity-acknowledge') {
+        setTimeout(() => ctx.openPrizeModal(winPrize), ctx.reducedMotion ? 0 : PRIZE_MODAL_DELAY_MS);
+    }
+};
+
+/**
+ * Updates a card element with the won prize information.
+ * Called immediately after winning to show prize details on the card.
+ *
+ * @param {HTMLElement} cardElement - The card DOM element
+ * @param {Object} winPrize - The won prize object
+ */
+const updateCardWithWonPrize = (cardElement, winPrize) => {
+    if (!cardElement || !winPrize) return;
+
+    cardElement.classList.add('claimed');
+    cardElement.querySelector('.prize-card-content')?.classList.add('claimed');
+
+    // Update the prize content on the back side
+    const prizeContent = cardElement.querySelector('.back-side .prize-content');
+    if (prizeContent) {
+        let prizeHTML = '';
+
+        if (winPrize.name) {
+            prizeHTML += `<div class="prize-front-prize-name">${escapeHTML(winPrize.name)}</div>`;
+        }
+
+        const icon = sanitizeUrl(winPrize.icon);
+        if (icon) {
+            prizeHTML += `<img class="prize-front-image" src="${escapeHTML(icon)}" alt="" draggable="false">`;
+        } else {
+            prizeHTML += '<div class="prize-front-no-image"></div>';
+        }
+
+        prizeContent.innerHTML = prizeHTML;
+    }
+
+    cardElement.querySelector('.prize-card-bottom-glow')?.classList.add('claimed');
+};
+
+registerLayout({
+    id: SAWGameLayout.Horizontal,
+    name: 'Cards',
+    modalTheme: 'cards',
+    mount,
+    render,
+    update,
+    onSpinResult,
+    unmount
+});
@@ -0,0 +1,358 @@
+/**
+ * Smartico Lootbox Game - Grid Calendar Layout (game_layout === 3)
+ *
+ * The whole schedule as a calendar, Monday to Sunday with one row per week.
+ * Today's box opens in place: the cell plays the opening animation while the spin
+ * request runs and is then re-rendered with the won prize.
+ */
+
+import { getPrizeDate, getCalendarCells } from '../prizeSchedule.js';
+import { registerLayout, SAWGameLayout } from '../layoutRegistry.js';
+import {
+    patchGroupElements,
+    renderMilestoneBadge,
+    renderRewardsButton,
+    attachRewardsButton,
+    renderSpinCostBadge,
+    getGroupLabel,
+    getTabStopGroupId,
+    attachGroupKeyboardNavigation,
+    trackBoxClick
+} from './layoutHelpers.js';
+import { escapeHTML, sanitizeUrl, sanitizeRichText } from '../sanitize.js';
+
+// Time the reveal animation plays before the prize modal opens (none with reduced motion)
+const PRIZE_MODAL_DELAY_MS = 1500;
+
+const gridLayoutHTML = `
+    <div class="grid-wrapper" style="display: flex;">
+        <div class="grid-content">
+            <div class="grid-header-container">
+                <div class="grid-title"></div>
+                <div class="grid-description"></div>
+                <div class="game-streak grid-streak"></div>
+                <div class="grid-countdown hidden"></div>
+                <div class="grid-balance hidden"></div>
+            </div>
+            <div class="grid-calendar">
+                <div class="grid-month"></div>
+                <div class="grid-weekdays"></div>
+                <div class="grid-prizes"></div>
+            </div>
+            <div class="grid-footer">
+                <div class="game-rules-btn" role="button" tabindex="0">
+                    <div class="rules-button-text"></div>
+                </div>
+            </div>
+        </div>
+    </div>
+`;
+
+// ============================================
+// MOUNT
+// ============================================
+
+/**
+ * Builds the calendar markup with the Monday-first weekday names.
+ *
+ * @param {Object} ctx - Layout context
+ * @returns {Object} {streakElement, countdownElement, balanceElement}
+ */
+const mount = (ctx) => {
+    const { root, state } = ctx;
+    root.innerHTML = gridLayoutHTML;
+
+    const elements = {
+        title: root.querySelector('.grid-title'),
+        description: root.querySelector('.grid-description'),
+        streak: root.querySelector('.grid-streak'),
+        countdown: root.querySelector('.grid-countdown'),
+        balance: root.querySelector('.grid-balance'),
+        month: root.querySelector('.grid-month'),
+        weekdays: root.querySelector('.grid-weekdays'),
+        prizes: root.querySelector('.grid-prizes'),
+        rulesText: root.querySelector('.rules-button-text')
+    };
+    state.elements = elements;
+    state.renderedPrizeHTML = {};
+    state.listeners = new AbortController();
+
+    // Monday-first weekday names (1 Jan 2024 was a Monday)
+    elements.weekdays.innerHTML = [0, 1, 2, 3, 4, 5, 6]
+        .map(day => `<div class="grid-weekday">${new Date(2024, 0, 1 + day).toLocaleDateString(ctx.lang || 'en', { weekday: 'short' })}</div>`)
+        .join('');
+
+    root.querySelector('.game-rules-btn').addEventListener('click', () => ctx.openRules(), { signal: state.listeners.signal });
+
+    // Left/right move a day, up/down a week
+    attachGroupKeyboardNavigation(elements.prizes, state, { itemSelector: '.grid-cell', columns: 7, signal: state.listeners.signal });
+
+    return { streakElement: elements.streak, countdownElement: elements.countdown, balanceElement: elements.balance };
+};
+
+/**
+ * Removes the listeners and timers of the layout.
+ *
+ * @param {Object} ctx - Layout context
+ */
+const unmount = (ctx) => {
+    ctx.state.listeners?.abort();
+};
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Renders the header texts (the operator may edit them while the game is open).
+ *
+ * @param {Object} ctx - Layout context
+ */
+const renderHeader = (ctx) => {
+    const { title, description, rulesText } = ctx.state.elements;
+    title.textContent = ctx.game.name || '';
+    description.innerHTML = sanitizeRichText(ctx.game.promo_text);
+    rulesText.textContent = ctx.translations.rules || 'Rules';
+};
+
+/**
+ * Renders the whole schedule as a calendar grid, one row per week.
+ * Days without a box (week padding, gaps in a date schedule) are rendered as empty cells.
+ *
+ * @param {Array} groups - Groups from getGroupedPrizesWithStatus
+ * @param {Object} ctx - Layout context
+ */
+const render = (groups, ctx) => {
+    const { state } = ctx;
+    const { prizes, month } = state.elements;
+
+    renderHeader(ctx);
+
+    state.renderedPrizeHTML = {};
+    state.tabStopGroupId = getTabStopGroupId(groups, state.focusedGroupId);
+    if (groups.length === 0) {
+        prizes.innerHTML = '';
+        month.innerHTML = '';
+        return;
+    }
+
+    const cells = getCalendarCells(groups);
+    prizes.innerHTML = cells.map(({ date, groupId, index }) => {
+        if (groupId === null) {
+            return `<div class="grid-cell empty"><div class="grid-cell-day">${date.getDate()}</div></div>`;
+        }
+
+        const cellHTML = buildGridCell(groups[index], ctx);
+        state.renderedPrizeHTML[groupId] = cellHTML;
+        return cellHTML;
+    }).join('');
+
+    renderGridMonth(cells, ctx);
+    groups.forEach((group) => attachGridCellEventListeners(group.groupId, ctx));
+};
+
+/**
+ * Re-renders only the cells whose state changed.
+ *
+ * @param {Array} groups - Groups from getGroupedPrizesWithStatus
+ * @param {Object} ctx - Layout context
+ */
+const update = (groups, ctx) => {
+    renderHeader(ctx);
+    ctx.state.tabStopGroupId = getTabStopGroupId(groups, ctx.state.focusedGroupId);
+    patchGroupElements(
+        ctx.state.elements.prizes,
+        groups,
+        ctx.state.renderedPrizeHTML,
+        (group) => buildGridCell(group, ctx),
+        (group) => attachGridCellEventListeners(group.groupId, ctx)
+    );
+};
+
+/**
+ * Renders the month caption of the grid, e.g. "March 2026" or "March – April 2026".
+ *
+ * @param {Array} cells - Calendar cells from getCalendarCells
+ * @param {Object} ctx - Layout context
+ */
+const renderGridMonth = (cells, ctx) => {
+    const lang = ctx.lang || 'en';
+    const boxCells = cells.filter(cell => cell.groupId !== null);
+    const firstDate = boxCells[0].date;
+    const lastDate = boxCells[boxCells.length - 1].date;
+    const sameMonth = firstDate.getMonth() === lastDate.getMonth() && firstDate.getFullYear() === lastDate.getFullYear();
+
+    ctx.state.elements.month.innerHTML = sameMonth
+        ? firstDate.toLocaleDateString(lang, { month: 'long', year: 'numeric' })
+        : `${firstDate.toLocaleDateString(lang, { month: 'long' })} – ${lastDate.toLocaleDateString(lang, { month: 'long', year: 'numeric' })}`;
+};
+
+/**
+ * Builds the HTML of a single calendar cell for one group (date/weekday).
+ *
+ * @param {Object} group - Group from getGroupedPrizesWithStatus
+ * @param {Object} ctx - Layout context
+ * @returns {string} HTML string for the cell
+ */
+const buildGridCell = (group, ctx) => {
+    const { groupId, displayPrize, prize, prizeWon, status, isToday } = group;
+    const { isLocked, isMissed, isClaimed, isActive, isOutOfStock, isAcknowledged } = status;
+    const translations = ctx.translations;
+    const dateText = getPrizeDate(displayPrize, ctx.lang);
+
+    const isActivePrize = isToday && isActive && !isOutOfStock;
+    const isActivePrizeOutOfStock = isToday && isActive && isOutOfStock;
+    const explicitAcknowledge = prizeWon?.acknowledge_type === 'explicity-acknowledge';
+    const isTabStop = String(groupId) === ctx.state.tabStopGroupId;
+
+    const cellClasses = [
+        'grid-cell',
+        isLocked ? 'locked' : '',
+        isMissed ? 'missed' : '',
+        isActivePrize || isActivePrizeOutOfStock ? 'active-prize' : '',
+        isActivePrizeOutOfStock && !isClaimed ? 'out-of-stock' : '',
+        isClaimed ? 'claimed' : '',
+        group.isMilestone ? 'milestone' : ''
+    ].filter(Boolean).join(' ');
+
+    let cellContent = '';
+    if (isClaimed && prizeWon) {
+        const prizeWonIcon = sanitizeUrl(prizeWon.icon);
+        cellContent = `
+            ${prizeWonIcon
+            ? `<img class="grid-cell-prize-image" src="${escapeHTML(prizeWonIcon)}" alt="" draggable="false">`
+            : '<div class="grid-cell-no-image"></div>'}
+            <div class="grid-cell-prize-name">${escapeHTML(prizeWon.name)}</div>
+        `;
+    } else if (isActivePrizeOutOfStock) {
+        cellContent = `<div class="grid-cell-status">${escapeHTML(prize.out_of_stock_message || translations.lootboxOutOfStockPrize || 'Out of stock')}</div>`;
+    } else if (isActivePrize) {
+        cellContent = '<div class="grid-cell-box"></div>';
+    } else if (isMissed) {
+        cellContent = '<div class="grid-cell-missed"></div>';
+    } else if (isLocked) {
+        cellContent = '<div class="grid-cell-locked"></div>';
+    }
+
+    return `
+        <div class="${cellClasses}" data-index="${prize.id}" data-group-id="${groupId}" title="${dateText}"
+             role="button" tabindex="${isTabStop ? 0 : -1}"
+             aria-label="${getGroupLabel(group, dateText, translations)}">
+            <div class="grid-cell-day">${group.date.getDate()}</div>
+            ${renderMilestoneBadge(group, translations)}
+            ${renderRewardsButton(group, translations, isTabStop)}
+            ${renderSpinCostBadge(group, ctx)}
+            <div class="grid-cell-content">${cellContent}</div>
+            ${isToday && explicitAcknowledge && !isAcknowledged
+            ? `<div class="grid-cell-claim-btn" role="button" tabindex="0">${escapeHTML(prizeWon?.acknowledge_action_title || translations.claimPrize || 'Claim')}</div>`
+            : ''}
+        </div>
+    `;
+};
+
+/**
+ * Gets the calendar cell of a group.
+ *
+ * @param {Object} ctx - Layout context
+ * @param {number} groupId - The group identifier
+ * @returns {HTMLElement|null} The cell element
+ */
+const getCellElement = (ctx, groupId) => {
+    return ctx.state.elements.prizes.querySelector(`.grid-cell[data-group-id="${groupId}"]`);
+};
+
+/**
+ * Attaches the click event listeners of the calendar cell of one group.
+ *
+ * @param {number} groupId - The group identifier
+ * @param {Object} ctx - Layout context
+ */
+const attachGridCellEventListeners = (groupId, ctx) => {
+    const cellElement = getCellElement(ctx, groupId);
+    if (!cellElement) return;
+
+    cellElement.addEventListener('click', () => handleGridCellClick(groupId, ctx));
+    attachRewardsButton(cellElement, groupId, ctx);
+
+    const claimButtonElement = cellElement.querySelector('.grid-cell-claim-btn');
+    if (claimButtonElement) {
+        claimButtonElement.addEventListener('click', (event) => {
+            event.stopPropagation();
+            const group = ctx.getGroup(groupId);
+            if (group) ctx.openPrizeModal(group.prizeWon || group.prize, group.historyItem);
+        });
+    }
+};
+
+// ============================================
+// EVENT HANDLERS
+// ============================================
+
+/**
+ * Handles clicking on a calendar cell: shakes days that can't be opened, reopens the
+ * prize modal of claimed days and opens today's box in place.
+ *
+ * @param {number} groupId - The group identifier
+ * @param {Object} ctx - Layout context
+ */
+const handleGridCellClick = async (groupId, ctx) => {
+    const group = ctx.getGroup(groupId);
+    const cellElement = getCellElement(ctx, groupId);
+    if (!group || !cellElement) return;
+    trackBoxClick(group, ctx);
+
+    const { prizeWon, status } = group;
+    const { isLocked, isMissed, isClaimed, isOutOfStock, isActive } = status;
+
+    // Locked/missed days and out-of-stock boxes can't be opened
+    if (isLocked || isMissed || (isOutOfStock && !isClaimed)) {
+        cellElement.classList.add('shake-not-active');
+        setTimeout(() => cellElement.classList.remove('shake-not-active'), 500);
+        return;
+    }
+
+    // If already claimed - reopen the prize modal
+    if (isClaimed && prizeWon) {
+        ctx.openPrizeModal(prizeWon, group.historyItem);
+        return;
+    }
+
+    // Only spin for active prizes, one request at a time
+    if (!isActive || ctx.spinning) {
+        return;
+    }
+
+    cellElement.classList.add('opening');
+    await ctx.spin(group);
+};
+
+/**
+ * Re-renders the opened cell with the won prize, or stops the opening animation if the spin failed.
+ *
+ * @param {Object} result - {group, winPrize} or {group, errCode, errMessage}
+ * @param {Object} ctx - Layout context
+ */
+const onSpinResult = ({ group, winPrize }, ctx) => {
+    if (!winPrize) {
+        getCellElement(ctx, group.groupId)?.classList.remove('opening');
+        return;
+    }
+
+    ctx.refresh();
+    getCellElement(ctx, group.groupId)?.classList.add('opened');
+
+    if (winPrize.acknowledge_type !== 'explicity-acknowledge') {
+        setTimeout(() => ctx.openPrizeModal(winPrize), ctx.reducedMotion ? 0 : PRIZE_MODAL_DELAY_MS);
+    }
+};
+
+registerLayout({
+    id: SAWGameLayout.GridCalendar,
+    name: 'Grid Calendar',
+    modalTheme: 'cards',
+    mount,
+    render,
+    update,
+    onSpinResult,
+    unmount
+});
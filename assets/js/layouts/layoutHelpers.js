@@ -0,0 +1,249 @@
+/**
+ * Smartico Lootbox Game - Layout Helpers
+ *
+ * Small building blocks shared by the built-in layouts. Custom layouts can import them too.
+ */
+
+import { escapeHTML } from '../sanitize.js';
+import { formatCurrencyAmount } from '../spinCost.js';
+import { AnalyticsEvent } from '../analytics.js';
+
+/**
+ * Replaces the elements of the groups whose markup changed since the last render, e.g. after
+ * a stock change or a claim on another device. Untouched elements stay in the DOM, so the
+ * scroll position and running animations are kept, and a focused element is focused again.
+ *
+ * @param {HTMLElement} container - Element holding one [data-group-id] element per group
+ * @param {Array} groups - Groups from getGroupedPrizesWithStatus
+ * @param {Object} renderedHTML - Markup of the last render by groupId, updated in place
+ * @param {Function} buildHTML - Builds the markup of one group: (group) => string
+ * @param {Function} [onReplaced] - Called with (group, element) for every replaced element, e.g. to attach listeners
+ */
+export const patchGroupElements = (container, groups, renderedHTML, buildHTML, onReplaced) => {
+    if (!container) return;
+
+    groups.forEach((group) => {
+        const html = buildHTML(group);
+        if (html === renderedHTML[group.groupId]) return;
+
+        const element = container.querySelector(`[data-group-id="${group.groupId}"]`);
+        if (!element) return;
+
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        const newElement = template.content.firstElementChild;
+        const hadFocus = element.contains(document.activeElement);
+        element.replaceWith(newElement);
+        renderedHTML[group.groupId] = html;
+
+        // Keyboard users stay on the box they were on
+        if (hadFocus) newElement.focus();
+
+        if (onReplaced) onReplaced(group, newElement);
+    });
+};
+
+/**
+ * Builds the badge of a streak milestone box (empty for other boxes).
+ *
+ * @param {Object} group - Group from getGroupedPrizesWithStatus
+ * @param {Object} translations - Game translations
+ * @returns {string} HTML string of the badge
+ */
+export const renderMilestoneBadge = (group, translations) => {
+    if (!group.isMilestone) return '';
+    return `<div class="prize-milestone-badge">${escapeHTML(group.milestoneLabel || translations.lootboxBonusBox || 'Bonus box')}</div>`;
+};
+
+/**
+ * Builds the button that opens the possible rewards of a group (empty when the group has a
+ * single prize). It's in the tab order together with its box, see attachGroupKeyboardNavigation.
+ *
+ * @param {Object} group - Group from getGroupedPrizesWithStatus
+ * @param {Object} translations - Game translations
+ * @param {boolean} isTabStop - Whether the box is the tab stop of the layout
+ * @returns {string} HTML string of the button
+ */
+export const renderRewardsButton = (group, translations, isTabStop) => {
+    if (group.prizes.length < 2) return '';
+
+    const label = `${translations.lootboxPossibleRewards || 'Possible rewards'}: ${group.prizes.length}`;
+    return `
+        <div class="group-rewards-btn" role="button" tabindex="${isTabStop ? 0 : -1}"
+             aria-label="${escapeHTML(label)}" title="${escapeHTML(label)}">${group.prizes.length}</div>
+    `;
+};
+
+/**
+ * Opens the possible rewards modal from the rewards button of a box, without opening the box.
+ *
+ * @param {HTMLElement} element - The box element
+ * @param {number} groupId - The group identifier
+ * @param {Object} ctx - Layout context
+ */
+export const attachRewardsButton = (element, groupId, ctx) => {
+    element.querySelector('.group-rewards-btn')?.addEventListener('click', (event) => {
+        event.stopPropagation();
+        ctx.openRewards(groupId);
+    });
+};
+
+/**
+ * Builds the cost badge of the box that can be opened today in a paid game (empty otherwise).
+ * It's marked insufficient when the balance doesn't cover the cost.
+ *
+ * @param {Object} group - Group from getGroupedPrizesWithStatus
+ * @param {Object} ctx - Layout context
+ * @returns {string} HTML string of the badge
+ */
+export const renderSpinCostBadge = (group, ctx) => {
+    const cost = ctx.spinCost;
+    const { isActive, isClaimed, isOutOfStock } = group.status;
+    if (!cost || !group.isToday || !isActive || isClaimed || isOutOfStock) return '';
+
+    return `<div class="spin-cost-badge ${ctx.canAffordSpin ? '' : 'insufficient'}">${escapeHTML(formatCurrencyAmount(cost.amount, cost.type, ctx.translations))}</div>`;
+};
+
+// ============================================
+// ANALYTICS - Box clicks
+// ============================================
+
+/**
+ * Names the status of a box for analytics events.
+ *
+ * @param {Object} status - Status of a group from getGroupedPrizesWithStatus
+ * @returns {string} 'claimed', 'missed', 'locked', 'out_of_stock', 'active' or 'inactive'
+ */
+export const getGroupStatusName = (status) => {
+    if (status.isClaimed || status.isAcknowledged) return 'claimed';
+    if (status.isMissed) return 'missed';
+    if (status.isLocked) return 'locked';
+    if (status.isActive && status.isOutOfStock) return 'out_of_stock';
+    if (status.isActive) return 'active';
+    return 'inactive';
+};
+
+/**
+ * Tracks a click on a box, with the status it had (e.g. taps on locked boxes).
+ *
+ * @param {Object} group - Group from getGroupedPrizesWithStatus
+ * @param {Object} ctx - Layout context
+ */
+export const trackBoxClick = (group, ctx) => {
+    ctx.track(AnalyticsEvent.BoxClick, {
+        groupId: group.groupId,
+        prizeId: group.prize?.id,
+        status: getGroupStatusName(group.status)
+    });
+};
+
+// ============================================
+// ACCESSIBILITY - Box labels & keyboard navigation
+// ============================================
+
+/**
+ * Builds the accessible name of a box: its date and status, e.g. "Mon, 3: Claimed, 50 Free Spins".
+ *
+ * @param {Object} group - Group from getGroupedPrizesWithStatus
+ * @param {string} dateText - The date as shown on the box
+ * @param {Object} translations - Game translations
+ * @returns {string} The label, escaped for an HTML attribute
+ */
+export const getGroupLabel = (group, dateText, translations) => {
+    const { prize, prizeWon, status } = group;
+    const parts = [];
+
+    if (status.isClaimed) {
+        parts.push(translations.lootboxStatusClaimed || 'Claimed');
+        if (prizeWon?.name) parts.push(prizeWon.name);
+        if (prizeWon?.acknowledge_type === 'explicity-acknowledge' && !status.isAcknowledged) {
+            parts.push(translations.lootboxStatusClaimPending || 'Waiting for your claim');
+        }
+    } else if (status.isMissed) {
+        parts.push(translations.lootboxStatusMissed || 'Missed');
+    } else if (status.isLocked) {
+        parts.push(translations.lootboxStatusLocked || 'Locked');
+    } else if (status.isActive && status.isOutOfStock) {
+        parts.push(prize.out_of_stock_message || translations.lootboxOutOfStockPrize || 'Out of stock');
+    } else if (status.isActive) {
+        parts.push(translations.lootboxStatusActive || 'Ready to open');
+    }
+
+    if (group.isMilestone) {
+        parts.push(group.milestoneLabel || translations.lootboxBonusBox || 'Bonus box');
+    }
+
+    return escapeHTML(`${dateText}: ${parts.join(', ')}`);
+};
+
+/**
+ * Gets the box that is in the tab order (roving tab stop): the one the player was last on,
+ * otherwise the box that can be opened today, otherwise today's box, otherwise the first one.
+ * The other boxes are reached with the arrow keys.
+ *
+ * @param {Array} groups - Groups from getGroupedPrizesWithStatus
+ * @param {string} [focusedGroupId] - data-group-id of the box the player was last on
+ * @returns {string|undefined} data-group-id of the tab stop
+ */
+export const getTabStopGroupId = (groups, focusedGroupId) => {
+    const groupIds = groups.map(group => String(group.groupId));
+    if (focusedGroupId !== undefined && groupIds.includes(focusedGroupId)) return focusedGroupId;
+
+    // Date schedules mark every box as today's, so the box that is active wins
+    const todayGroup = groups.find(group => group.isToday && group.status.isActive)
+        || groups.find(group => group.isToday);
+    return todayGroup ? String(todayGroup.groupId) : groupIds[0];
+};
+
+/**
+ * Lets the player move between the boxes of a layout with the arrow keys, Home and End, keeping
+ * a single tab stop (see getTabStopGroupId). The box the player is on is kept in
+ * state.focusedGroupId, so re-renders keep the tab stop there. Enter/Space open a box through
+ * its role="button" (see accessibility.js). The rewards button of a box moves with its tab stop.
+ *
+ * @param {HTMLElement} container - Element holding the boxes
+ * @param {Object} state - Layout state
+ * @param {Object} [options] - Navigation options
+ * @param {string} [options.itemSelector] - Elements navigated over, cells without data-group-id are skipped
+ * @param {number} [options.columns] - Boxes per row, ArrowUp/ArrowDown move by a row (default 1)
+ * @param {AbortSignal} [options.signal] - Removes the listeners when aborted
+ */
+export const attachGroupKeyboardNavigation = (container, state, { itemSelector = '[data-group-id]', columns = 1, signal } = {}) => {
+    container.addEventListener('focusin', (event) => {
+        const element = event.target.closest('[data-group-id]');
+        if (element) state.focusedGroupId = element.dataset.groupId;
+    }, { signal });
+
+    container.addEventListener('keydown', (event) => {
+        const element = event.target.closest('[data-group-id]');
+        if (!element || element !== event.target) return;
+
+        const items = [...container.querySelectorAll(itemSelector)];
+        const steps = { ArrowRight: 1, ArrowLeft: -1, ArrowDown: columns, ArrowUp: -columns };
+        let target;
+
+        if (event.key in steps) {
+            const step = steps[event.key];
+            let index = items.indexOf(element) + step;
+            while (items[index] && !items[index].dataset.groupId) index += step;
+            target = items[index];
+        } else if (event.key === 'Home') {
+            target = items.find(item => item.dataset.groupId);
+        } else if (event.key === 'End') {
+            target = items.filter(item => item.dataset.groupId).pop();
+        } else {
+            return;
+        }
+
+        event.preventDefault();
+        if (!target) return;
+
+        items.forEach(item => {
+            if (!item.dataset.groupId) return;
+            const tabindex = item === target ? '0' : '-1';
+            item.setAttribute('tabindex', tabindex);
+            item.querySelector('.group-rewards-btn')?.setAttribute('tabindex', tabindex);
+        });
+        target.focus();
+    }, { signal });
+};
@@ -0,0 +1,202 @@
+/**
+ * Smartico Lootbox Game - Map Position Editor (?map_editor)
+ *
+ * Operator tool on top of the Map layout: the boxes are dragged over the real background,
+ * the desktop/mobile background and the small/medium/big map sizes can be previewed, and the
+ * resulting coordinate set is exported as JSON (positions.json or the template's map_positions)
+ * or as CSS. Boxes can't be opened while the editor is on.
+ */
+
+import { formatMapPositionsJSON, formatMapPositionsCSS } from '../mapPositions.js';
+
+const mapEditorHTML = `
+    <div class="map-editor-panel">
+        <div class="map-editor-title">Map editor</div>
+        <label class="map-editor-field">
+            <span>Device</span>
+            <select class="map-editor-device">
+                <option value="desktop">Desktop</option>
+                <option value="mobile">Mobile</option>
+            </select>
+        </label>
+        <label class="map-editor-field">
+            <span>Map size</span>
+            <select class="map-editor-size">
+                <option value="">All sizes</option>
+                <option value="small">Small</option>
+                <option value="medium">Medium</option>
+                <option value="big">Big</option>
+            </select>
+        </label>
+        <div class="map-editor-status"></div>
+        <div class="map-editor-actions">
+            <button type="button" class="map-editor-btn" data-export="json">Export JSON</button>
+            <button type="button" class="map-editor-btn" data-export="css">Export CSS</button>
+            <button type="button" class="map-editor-btn reset">Reset</button>
+        </div>
+        <textarea class="map-editor-output" readonly placeholder="Drag the boxes, then export the positions"></textarea>
+    </div>
+`;
+
+/**
+ * Checks if the map editor was requested with ?map_editor in the URL.
+ *
+ * @returns {boolean} True if the editor should be shown
+ */
+export const isMapEditorEnabled = () => {
+    return new URLSearchParams(window.location.search).has('map_editor');
+};
+
+/**
+ * Gets the key of the coordinate list being edited: the device list, or the
+ * "<device>-<mapSize>" list when a single map size is previewed.
+ *
+ * @param {Object} editor - Editor state
+ * @returns {string} Key in the coordinate set
+ */
+const getEditedKey = ({ device, mapSize }) => {
+    return mapSize ? `${device}-${mapSize}` : device;
+};
+
+/**
+ * Rounds a pointer position to a percentage of the map with one decimal.
+ *
+ * @param {number} offset - Pointer offset from the map edge in px
+ * @param {number} size - Size of the map in px
+ * @returns {number} Percentage between 0 and 100
+ */
+const toPercent = (offset, size) => {
+    const percent = Math.min(100, Math.max(0, (offset / size) * 100));
+    return Math.round(percent * 10) / 10;
+};
+
+/**
+ * Adds the editor panel to the map and makes the boxes draggable. The editor state lives in
+ * ctx.state.editor, which the layout reads to position the boxes.
+ *
+ * @param {Object} ctx - Layout context of the Map layout
+ * @param {Object} options - Editor options
+ * @param {string} options.device - Device the map is shown on
+ * @param {Object} options.positions - Coordinate set to start from (file and template merged)
+ * @param {Function} options.previewDevice - Shows the background of a device: (device) => Promise<mapSize>
+ */
+export const mountMapEditor = (ctx, { device, positions, previewDevice }) => {
+    const { root, state } = ctx;
+    const { mainBackground, prizes } = state.elements;
+    const { signal } = state.listeners;
+
+    const editor = {
+        device,
+        mapSize: null,
+        detectedMapSize: state.mapSize,
+        initialPositions: JSON.parse(JSON.stringify(positions)),
+        positions: JSON.parse(JSON.stringify(positions)),
+        drag: null
+    };
+    state.editor = editor;
+
+    const wrapper = root.querySelector('.map-wrapper');
+    wrapper.classList.add('map-editor');
+    wrapper.insertAdjacentHTML('beforeend', mapEditorHTML);
+
+    const panel = wrapper.querySelector('.map-editor-panel');
+    const deviceSelect = panel.querySelector('.map-editor-device');
+    const sizeSelect = panel.querySelector('.map-editor-size');
+    const status = panel.querySelector('.map-editor-status');
+    const output = panel.querySelector('.map-editor-output');
+
+    // Shows the list being edited, or the given message (e.g. the coordinates of the dragged box)
+    const renderStatus = (message) => {
+        status.textContent = message
+            || `Editing "${getEditedKey(editor)}" (detected map size: ${editor.detectedMapSize})`;
+    };
+
+    deviceSelect.value = editor.device;
+    renderStatus();
+
+    // Previewing a device or map size re-renders the boxes with its coordinates
+    deviceSelect.addEventListener('change', async () => {
+        editor.device = deviceSelect.value;
+        wrapper.classList.toggle('map-editor-mobile', editor.device === 'mobile');
+        editor.detectedMapSize = await previewDevice(editor.device);
+        mainBackground.dataset.mapSize = editor.mapSize || editor.detectedMapSize;
+        renderStatus();
+        ctx.render();
+    }, { signal });
+
+    sizeSelect.addEventListener('change', () => {
+        editor.mapSize = sizeSelect.value || null;
+        mainBackground.dataset.mapSize = editor.mapSize || editor.detectedMapSize;
+        renderStatus();
+        ctx.render();
+    }, { signal });
+
+    panel.querySelectorAll('[data-export]').forEach((button) => {
+        button.addEventListener('click', () => {
+            output.value = button.dataset.export === 'css'
+                ? formatMapPositionsCSS(editor.positions)
+                : formatMapPositionsJSON(editor.positions);
+            output.select();
+            navigator.clipboard?.writeText(output.value).catch(() => {});
+        }, { signal });
+    });
+
+    panel.querySelector('.map-editor-btn.reset').addEventListener('click', () => {
+        editor.positions = JSON.parse(JSON.stringify(editor.initialPositions));
+        output.value = '';
+        renderStatus();
+        ctx.render();
+    }, { signal });
+
+    // Boxes are moved, not opened, and dragging a box doesn't scroll the map
+    prizes.addEventListener('click', (event) => event.stopPropagation(), { capture: true, signal });
+    ['mousedown', 'touchstart'].forEach((type) => {
+        prizes.addEventListener(type, (event) => {
+            if (event.target.closest('.map-box-prize')) event.stopPropagation();
+        }, { passive: true, signal });
+    });
+
+    prizes.addEventListener('pointerdown', (event) => {
+        const prizeElement = event.target.closest('.map-box-prize');
+        if (!prizeElement) return;
+
+        event.preventDefault();
+        editor.drag = { prizeElement, index: Number(prizeElement.dataset.index), position: null };
+        prizeElement.classList.add('map-editor-dragging');
+        ctx.setInteracting(true);
+    }, { signal });
+
+    window.addEventListener('pointermove', (event) => {
+        const { drag } = editor;
+        if (!drag) return;
+
+        const rect = mainBackground.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
+
+        drag.position = {
+            top: toPercent(event.clientY - rect.top, rect.height),
+            left: toPercent(event.clientX - rect.left, rect.width)
+        };
+        drag.prizeElement.style.top = `${drag.position.top}%`;
+        drag.prizeElement.style.left = `${drag.position.left}%`;
+        renderStatus(`Box ${drag.index + 1}: top ${drag.position.top}%, left ${drag.position.left}%`);
+    }, { signal });
+
+    window.addEventListener('pointerup', () => {
+        const { drag } = editor;
+        if (!drag) return;
+
+        editor.drag = null;
+        drag.prizeElement.classList.remove('map-editor-dragging');
+
+        if (drag.position) {
+            const key = getEditedKey(editor);
+            const list = [...(editor.positions[key] || [])];
+            list[drag.index] = drag.position;
+            editor.positions[key] = list;
+        }
+
+        // Applies refreshes that came in during the drag, which re-render the boxes from editor.positions
+        ctx.setInteracting(false);
+    }, { signal });
+};
@@ -0,0 +1,1088 @@
+/**
+ * Smartico Lootbox Game - Map Layout (game_layout === 2)
+ *
+ * Vertical scrollable map with the boxes positioned along a path. Today's box opens
+ * in a full-screen overlay once the player unwraps the gift: N taps, a hold, a swipe or
+ * shakes, as the template's map_reveal sets it (see mapReveal.js).
+ * With ?map_editor in the URL the boxes can be dragged to new positions (see mapEditor.js).
+ */
+
+import { getPrizeDate, findPendingHistoryItem } from '../prizeSchedule.js';
+import { mergeMapPositions, getMapPrizePosition } from '../mapPositions.js';
+import { registerLayout, SAWGameLayout } from '../layoutRegistry.js';
+import {
+    patchGroupElements,
+    renderMilestoneBadge,
+    renderRewardsButton,
+    attachRewardsButton,
+    renderSpinCostBadge,
+    getGroupLabel,
+    getTabStopGroupId,
+    attachGroupKeyboardNavigation,
+    trackBoxClick
+} from './layoutHelpers.js';
+import { openDialog } from '../accessibility.js';
+import { AnalyticsEvent } from '../analytics.js';
+import { escapeHTML, sanitizeUrl, cssUrl } from '../sanitize.js';
+import { isMapEditorEnabled, mountMapEditor } from './mapEditor.js';
+import { getMapRevealConfig, getMapRevealPrompt, attachMapReveal } from './mapReveal.js';
+
+// Background images and the box coordinates that belong to them
+const MAP_ASSETS_PATH = './assets/img/map/';
+const MAP_POSITIONS_FILE = 'positions.json';
+
+// Timings of the box opening in the tap overlay; with reduced motion the prize is revealed at once
+const REVEAL_TIMINGS_MS = { bounce: 200, open: 1700, info: 2000 };
+
+const mapLayoutHTML = `
+    <div class="map-wrapper" style="display: flex;">
+        <div class="map-container">
+            <div class="map-main-background">
+                <div class="map-header-container">
+                    <div class="map-header-title">
+                        <div class="map-title" data-text=""></div>
+                    </div>
+                    <div class="map-streak"></div>
+                </div>
+                <div class="map-center">
+                    <div class="map-prizes-container">
+                        <div class="map-prizes"></div>
+                    </div>
+                </div>
+            </div>
+        </div>
+        <div class="map-countdown hidden"></div>
+        <div class="map-balance hidden"></div>
+        <div class="game-footer-map-hint">
+            <div class="hint-container">
+                <div class="hint-icon"></div>
+                <div class="hint-message"></div>
+            </div>
+        </div>
+        <div class="game-footer-rules">
+            <div class="game-rules-btn" role="button" tabindex="0">
+                <div class="rules-button-text"></div>
+            </div>
+        </div>
+        <!-- Overlay for the reveal interaction (taps, hold, swipe or shakes) -->
+        <div class="overlay"></div>
+        <!-- Prize Won Modal -->
+        <div class="won-modal-overlay"></div>
+    </div>
+`;
+
+/**
+ * Random tooltip text arrays for locked and missed prizes
+ */
+const missedPrizesText = [
+    (translations) => translations.lootboxMissedPrizeText1 || "Time's up! The prize got away!",
+    (translations) => translations.lootboxMissedPrizeText2 || "Missed it! Don't let the next one go!",
+    (translations) => translations.lootboxMissedPrizeText3 || "Gone! Stay ready for the next prize!",
+    (translations) => translations.lootboxMissedPrizeText4 || "Timeout! This treasure is gone!"
+];
+
+const lockedPrizesText = [
+    (translations) => translations.lootboxLockedPrizeText1 || "Wait up - the prize isn't ready!",
+    (translations) => translations.lootboxLockedPrizeText2 || "Patience! The treasure isn't ready just yet.",
+    (translations) => translations.lootboxLockedPrizeText3 || "Still locked! Come back and crack it open!",
+    (translations) => translations.lootboxLockedPrizeText4 || "Prize on pause - come back for the win!",
+    (translations) => translations.lootboxLockedPrizeText5 || "Unlocking soon - return for your shiny reward!"
+];
+
+/**
+ * Gets a random phrase from the tooltip text arrays
+ * @param {Array} texts - Array of functions that return text
+ * @param {Object} translations - Game translations
+ * @returns {string} Random text
+ */
+const getRandomPhrase = (texts, translations) => {
+    const randomIndex = Math.floor(Math.random() * texts.length);
+    return texts[randomIndex](translations);
+};
+
+// ============================================
+// MOUNT - Markup, map size & drag scrolling
+// ============================================
+
+/**
+ * Gets the natural dimensions of an image
+ * @param {string} imageUrl - URL of the image
+ * @returns {Promise<{width: number, height: number}>} Promise resolving to dimensions
+ */
+const getImageDimensions = (imageUrl) => {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => {
+            resolve({
+                width: img.naturalWidth,
+                height: img.naturalHeight
+            });
+        };
+        img.onerror = (err) => reject(err);
+        img.src = imageUrl;
+    });
+};
+
+/**
+ * Gets the device the map is shown on, matching the mobile breakpoint of the map styles
+ * @returns {string} 'desktop' or 'mobile'
+ */
+const getMapDevice = () => {
+    return window.innerWidth <= 768 ? 'mobile' : 'desktop';
+};
+
+/**
+ * Gets the URL of the map background image of a device: the theme's background if it has one,
+ * the bundled image otherwise
+ * @param {string} device - 'desktop' or 'mobile'
+ * @param {Object} theme - Theme of the game (see theme.js)
+ * @returns {string} URL of the image
+ */
+const getMapBackgroundUrl = (device, theme) => {
+    const themeBackground = device === 'mobile' ? theme?.background_image_mobile : theme?.background_image;
+    if (themeBackground && themeBackground !== 'none') return themeBackground;
+    return `${MAP_ASSETS_PATH}${device === 'mobile' ? 'game-bg-mobile.jpeg' : 'game-bg.jpeg'}`;
+};
+
+/**
+ * Calculates and sets the aspect ratio for map background based on image dimensions
+ * @param {Object} elements - The layout elements
+ * @param {Object} theme - Theme of the game (see theme.js)
+ * @param {string} [device] - Device whose background is measured, the current one by default
+ * @returns {Promise<string>} Promise resolving to mapSize ('small', 'medium', 'big')
+ */
+const calculateMapAspectRatio = async ({ mainBackground, container }, theme, device = getMapDevice()) => {
+    const isMobile = device === 'mobile';
+    const imageUrl = getMapBackgroundUrl(device, theme);
+
+    try {
+        const dims = await getImageDimensions(imageUrl);
+        const containerDims = container.getBoundingClientRect();
+        const threshold = isMobile ? 500 : 1000;
+        const calculatedDimsWithThreshold = dims.height - threshold;
+
+        // Set aspect ratio on map-main-background
+        mainBackground.style.aspectRatio = `${dims.width} / ${dims.height}`;
+
+        // Determine map size based on image height
+        let mapSize = 'small';
+        if (calculatedDimsWithThreshold > 1500 && calculatedDimsWithThreshold > containerDims.height) {
+            mapSize = 'big';
+        } else if (calculatedDimsWithThreshold > 1000 && calculatedDimsWithThreshold < 1500 && calculatedDimsWithThreshold > containerDims.height) {
+            mapSize = 'medium';
+        }
+
+        return mapSize;
+    } catch (error) {
+        console.error('Error loading map background image:', error);
+        return 'small';
+    }
+};
+
+/**
+ * Loads the box coordinates shipped next to the background images (next to the theme's
+ * background when the theme replaces it). A missing or broken file isn't an error: the boxes
+ * then follow the fallback path.
+ *
+ * @param {Object} theme - Theme of the game (see theme.js)
+ * @returns {Promise<Object>} Coordinate set (see mapPositions.js), empty if unavailable
+ */
+const loadMapPositionsFile = async (theme) => {
+    try {
+        const backgroundUrl = new URL(getMapBackgroundUrl('desktop', theme), document.baseURI);
+        const response = await fetch(new URL(MAP_POSITIONS_FILE, backgroundUrl).href);
+        if (!response.ok) return {};
+        return await response.json();
+    } catch (error) {
+        console.warn('Map positions could not be loaded, using the path layout:', error);
+        return {};
+    }
+};
+
+/**
+ * Builds the map markup, sets up drag scrolling, calculates the map size
+ * from the background image and loads the box coordinates.
+ *
+ * @param {Object} ctx - Layout context
+ * @returns {Promise<Object>} {streakElement, countdownElement, balanceElement}
+ */
+const mount = async (ctx) => {
+    const { root, state } = ctx;
+    root.innerHTML = mapLayoutHTML;
+
+    const elements = {
+        title: root.querySelector('.map-title'),
+        container: root.querySelector('.map-container'),
+        mainBackground: root.querySelector('.map-main-background'),
+        prizes: root.querySelector('.map-prizes'),
+        streak: root.querySelector('.map-streak'),
+        countdown: root.querySelector('.map-countdown'),
+        balance: root.querySelector('.map-balance'),
+        hintIcon: root.querySelector('.game-footer-map-hint'),
+        hintMessage: root.querySelector('.hint-message'),
+        rulesText: root.querySelector('.rules-button-text'),
+        overlay: root.querySelector('.overlay'),
+        wonModal: root.querySelector('.won-modal-overlay')
+    };
+    state.elements = elements;
+    state.renderedPrizeHTML = {};
+    state.tapOverlayActive = false;
+    state.wonModalActive = false;
+    state.showMapHint = true;
+    state.listeners = new AbortController();
+
+    const { signal } = state.listeners;
+    const { container, hintIcon } = elements;
+    const drag = { isDragging: false, startY: 0, scrollTop: 0 };
+
+    const onDragStart = (clientY) => {
+        if (state.tapOverlayActive || state.wonModalActive) return;
+        drag.isDragging = true;
+        drag.startY = clientY;
+        drag.scrollTop = container.scrollTop;
+    };
+    const onDragEnd = () => {
+        if (drag.isDragging && container.scrollTop !== drag.scrollTop) {
+            ctx.track(AnalyticsEvent.DragScroll, { distance: container.scrollTop - drag.scrollTop });
+        }
+        drag.isDragging = false;
+        container.classList.remove('dragging');
+    };
+
+    // Mouse events
+    container.addEventListener('mousedown', (e) => {
+        onDragStart(e.clientY);
+        if (drag.isDragging) container.classList.add('dragging');
+    }, { signal });
+    container.addEventListener('mousemove', (e) => {
+        if (!drag.isDragging) return;
+        e.preventDefault();
+        container.scrollTop = drag.scrollTop - (e.clientY - drag.startY);
+    }, { signal });
+    container.addEventListener('mouseup', onDragEnd, { signal });
+    container.addEventListener('mouseleave', onDragEnd, { signal });
+
+    // Touch events for mobile
+    container.addEventListener('touchstart', (e) => onDragStart(e.touches[0].clientY), { passive: true, signal });
+    container.addEventListener('touchmove', (e) => {
+        if (!drag.isDragging) return;
+        container.scrollTop = drag.scrollTop - (e.touches[0].clientY - drag.startY);
+    }, { passive: true, signal });
+    container.addEventListener('touchend', onDragEnd, { signal });
+
+    // The hint is only shown while the map is scrolled to the top
+    container.addEventListener('scroll', () => {
+        const shouldShowHint = container.scrollTop < 20;
+        if (state.showMapHint !== shouldShowHint) {
+            state.showMapHint = shouldShowHint;
+            hintIcon.classList.toggle('hidden', !shouldShowHint);
+        }
+    }, { signal });
+
+    root.querySelector('.game-rules-btn').addEventListener('click', () => ctx.openRules(), { signal });
+
+    attachGroupKeyboardNavigation(elements.prizes, state, { signal });
+
+    elements.hintMessage.textContent = ctx.translations.lootboxMapHintMessage || 'Drag up and down to navigate';
+
+    state.mapSize = await calculateMapAspectRatio(elements, ctx.theme);
+    state.filePositions = await loadMapPositionsFile(ctx.theme);
+    elements.mainBackground.dataset.mapSize = state.mapSize;
+
+    if (isMapEditorEnabled()) {
+        mountMapEditor(ctx, {
+            device: getMapDevice(),
+            positions: mergeMapPositions(state.filePositions, ctx.game.saw_template_ui_definition?.map_positions),
+            previewDevice: (device) => {
+                elements.mainBackground.style.backgroundImage = cssUrl(getMapBackgroundUrl(device, ctx.theme));
+                return calculateMapAspectRatio(elements, ctx.theme, device);
+            }
+        });
+    }
+
+    return { streakElement: elements.streak, countdownElement: elements.countdown, balanceElement: elements.balance };
+};
+
+/**
+ * Removes the listeners and timers of the layout.
+ *
+ * @param {Object} ctx - Layout context
+ */
+const unmount = (ctx) => {
+    ctx.state.listeners?.abort();
+};
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Renders the header texts, with the title in data-text for the ::before and ::after effects.
+ *
+ * @param {Object} ctx - Layout context
+ */
+const renderHeader = (ctx) => {
+    const { title, rulesText } = ctx.state.elements;
+    const gameName = ctx.game.name || '';
+    if (title.getAttribute('data-text') !== gameName) {
+        title.textContent = gameName;
+        title.setAttribute('data-text', gameName);
+    }
+    rulesText.textContent = ctx.translations.rules || 'Rules';
+};
+
+/**
+ * Renders all prizes of the map
+ *
+ * @param {Array} groups - Groups from getGroupedPrizesWithStatus
+ * @param {Object} ctx - Layout context
+ */
+const render = (groups, ctx) => {
+    const { state } = ctx;
+
+    renderHeader(ctx);
+
+    state.renderedPrizeHTML = {};
+    state.tabStopGroupId = getTabStopGroupId(groups, state.focusedGroupId);
+    state.elements.prizes.innerHTML = groups.map((group) => {
+        const html = renderMapPrizeItem(group, groups.length, ctx);
+        state.renderedPrizeHTML[group.groupId] = html;
+        return html;
+    }).join('');
+
+    groups.forEach((group) => attachMapPrizeEventListeners(group.groupId, ctx));
+};
+
+/**
+ * Re-renders only the boxes whose state changed, keeping the scroll position.
+ *
+ * @param {Array} groups - Groups from getGroupedPrizesWithStatus
+ * @param {Object} ctx - Layout context
+ */
+const update = (groups, ctx) => {
+    renderHeader(ctx);
+    ctx.state.tabStopGroupId = getTabStopGroupId(groups, ctx.state.focusedGroupId);
+    patchGroupElements(
+        ctx.state.elements.prizes,
+        groups,
+        ctx.state.renderedPrizeHTML,
+        (group) => renderMapPrizeItem(group, groups.length, ctx),
+        (group) => attachMapPrizeEventListeners(group.groupId, ctx)
+    );
+};
+
+/**
+ * Gets the position of a box on the map. Coordinates from the template's UI definition
+ * (map_positions) take precedence over the ones shipped next to the background image.
+ * In editor mode the coordinates being edited are shown, for the previewed device and map size.
+ *
+ * @param {number} index - Index of the box in the schedule
+ * @param {number} count - Number of boxes on the map
+ * @param {Object} ctx - Layout context
+ * @returns {Object} {top, left} in percent
+ */
+const getBoxPosition = (index, count, ctx) => {
+    const { editor } = ctx.state;
+    if (editor) {
+        return getMapPrizePosition(editor.positions, index, count, editor.device, editor.mapSize);
+    }
+
+    const device = getMapDevice();
+    const positionSet = mergeMapPositions(ctx.state.filePositions, ctx.game.saw_template_ui_definition?.map_positions);
+    return getMapPrizePosition(positionSet, index, count, device, ctx.state.mapSize);
+};
+
+/**
+ * Renders a single prize item of the map
+ *
+ * @param {Object} group - Group from getGroupedPrizesWithStatus
+ * @param {number} count - Number of boxes on the map
+ * @param {Object} ctx - Layout context
+ * @returns {string} HTML string for the prize item
+ */
+const renderMapPrizeItem = (group, count, ctx) => {
+    const { groupId, index, displayPrize, prize, prizeWon, status, isToday } = group;
+    const { isLocked, isMissed, isClaimed, isActive, isOutOfStock, isAcknowledged } = status;
+    const translations = ctx.translations;
+
+    const monthDate = getPrizeDate(displayPrize, ctx.lang);
+    const prizeId = prize.id;
+
+    const isActivePrize = isToday && isActive && !isClaimed && !isOutOfStock;
+    const isActivePrizeOutOfStock = isToday && isActive && !isClaimed && isOutOfStock;
+
+    const explicitAcknowledge = prizeWon?.acknowledge_type === 'explicity-acknowledge';
+
+    const position = getBoxPosition(index, count, ctx);
+    const isTabStop = String(groupId) === ctx.state.tabStopGroupId;
+
+    // Build classes
+    const prizeClasses = [
+        'map-box-prize',
+        isActive ? 'active-prize' : '',
+        isLocked ? 'locked' : '',
+        isMissed ? 'missed' : '',
+        isClaimed ? 'claimed' : '',
+        group.isMilestone ? 'milestone' : ''
+    ].filter(Boolean).join(' ');
+
+    // Build inner content based on state
+    let boxContent = '';
+
+    if (isActivePrize || isActivePrizeOutOfStock) {
+        boxContent = `
+            <div class="giftWrap ${isActivePrizeOutOfStock ? 'out-of-stock' : ''}">
+                <div class="active-prize ${isActivePrizeOutOfStock ? 'out-of-stock' : ''}"></div>
+                ${!isActivePrizeOutOfStock ? '<div class="gift_glow_rotate"></div>' : ''}
+            </div>
+        `;
+    } else if (isClaimed) {
+        const prizeIcon = sanitizeUrl(prizeWon?.icon || prize?.icon);
+        boxContent = `
+            <div class="prize-img-container">
+                ${prizeIcon
+                ? `<div class="prize-front-image" style="background-image: ${escapeHTML(cssUrl(prizeIcon))}"></div>`
+                : '<div class="prize-front-no-image"></div>'
+            }
+            </div>
+            <div class="glow"></div>
+        `;
+    } else if (isLocked) {
+        boxContent = `<div class="locked-overlay"></div>`;
+    } else if (isMissed) {
+        const prizeIcon = sanitizeUrl(prize?.icon);
+        boxContent = `
+            <div class="prize-img-container missed">
+                ${prizeIcon
+                ? `<div class="prize-front-image" style="background-image: ${escapeHTML(cssUrl(prizeIcon))}"></div>`
+                : '<div class="prize-front-no-image"></div>'
+            }
+            </div>
+        `;
+    }
+
+    // Tooltip for explicit acknowledge (claimable)
+    let tooltipContent = '';
+    if (isActive && explicitAcknowledge && !isAcknowledged && isClaimed) {
+        tooltipContent = `
+            <div class="prize-tooltip-wrapper claimable visible">
+                <div class="header-tooltip">
+                    <div class="text">${escapeHTML(translations.claimPrize || 'Claim now!')}</div>
+                </div>
+                <div class="header-tooltip-arrow"></div>
+            </div>
+        `;
+    }
+
+    return `
+        <div class="${prizeClasses}"
+             style="top: ${position.top}%; left: ${position.left}%;"
+             data-prize-id="${prizeId}"
+             data-group-id="${groupId}"
+             data-index="${index}"
+             role="button"
+             tabindex="${isTabStop ? 0 : -1}"
+             aria-label="${getGroupLabel(group, monthDate, translations)}">
+            <div class="box">
+                ${tooltipContent}
+                <div class="prize-tooltip-wrapper" data-tooltip-id="${prizeId}">
+                    <div class="header-tooltip">
+                        <div class="text"></div>
+                    </div>
+                    <div class="header-tooltip-arrow"></div>
+                </div>
+                ${boxContent}
+                ${renderRewardsButton(group, translations, isTabStop)}
+            </div>
+            <div class="prize-date ${isMissed || isActivePrizeOutOfStock ? 'missed' : ''}">${monthDate}</div>
+            ${renderSpinCostBadge(group, ctx)}
+            ${renderMilestoneBadge(group, translations)}
+        </div>
+    `;
+};
+
+/**
+ * Gets the map prize item of a group.
+ *
+ * @param {Object} ctx - Layout context
+ * @param {number} groupId - The group identifier
+ * @returns {HTMLElement|null} The prize item element
+ */
+const getPrizeElement = (ctx, groupId) => {
+    return ctx.state.elements.prizes.querySelector(`.map-box-prize[data-group-id="${groupId}"]`);
+};
+
+/**
+ * Attaches the event listeners of the map prize item of one group
+ *
+ * @param {number} groupId - The group identifier
+ * @param {Object} ctx - Layout context
+ */
+const attachMapPrizeEventListeners = (groupId, ctx) => {
+    const prizeElement = getPrizeElement(ctx, groupId);
+    if (!prizeElement) return;
+
+    prizeElement.addEventListener('click', () => handleMapPrizeClick(groupId, ctx));
+    attachRewardsButton(prizeElement, groupId, ctx);
+
+    // Tooltip hide on mouse leave
+    prizeElement.addEventListener('mouseleave', () => {
+        setTimeout(() => hideMapTooltip(prizeElement), 3000);
+    });
+};
+
+/**
+ * Handles clicking on a map prize item
+ *
+ * @param {number} groupId - The group identifier
+ * @param {Object} ctx - Layout context
+ */
+const handleMapPrizeClick = (groupId, ctx) => {
+    const group = ctx.getGroup(groupId);
+    if (!group) return;
+    trackBoxClick(group, ctx);
+
+    const { prize, prizeWon, historyItem, status } = group;
+    const { isLocked, isMissed, isClaimed, isOutOfStock, isActive } = status;
+
+    const prizeElement = getPrizeElement(ctx, groupId);
+    const isBlockedState = isLocked || isMissed;
+
+    // Handle blocked states (locked/missed/out-of-stock) - show tooltip
+    if (isBlockedState || (isOutOfStock && isActive)) {
+        let tooltipText = '';
+
+        if (isOutOfStock) {
+            tooltipText = prize.out_of_stock_message || ctx.translations.lootboxOutOfStockPrize || 'Out of stock';
+        } else if (isBlockedState) {
+            const texts = isMissed ? missedPrizesText : lockedPrizesText;
+            tooltipText = getRandomPhrase(texts, ctx.translations);
+        }
+
+        if (tooltipText && prizeElement) {
+            showMapTooltip(prizeElement, tooltipText);
+            ctx.announce(tooltipText);
+            prizeElement.classList.add('shake-not-active');
+            setTimeout(() => prizeElement.classList.remove('shake-not-active'), 500);
+        }
+        return;
+    }
+
+    // If already claimed - open prize won modal
+    if (isClaimed && prizeWon) {
+        openMapPrizeWonModal(prizeWon, historyItem, ctx);
+        return;
+    }
+
+    // If active and not claimed - open tap overlay to play
+    if (isActive && !isClaimed && !isOutOfStock) {
+        openMapTapOverlay(group, ctx);
+    }
+};
+
+// ============================================
+// TOOLTIP SYSTEM
+// ============================================
+
+/**
+ * Shows the tooltip of a map prize
+ * @param {HTMLElement} prizeElement - The map prize item
+ * @param {string} text - The tooltip text
+ */
+const showMapTooltip = (prizeElement, text) => {
+    const tooltipWrapper = prizeElement.querySelector('.prize-tooltip-wrapper[data-tooltip-id]');
+    if (tooltipWrapper) {
+        const textEl = tooltipWrapper.querySelector('.text');
+        if (textEl) textEl.textContent = text;
+        tooltipWrapper.classList.add('visible');
+    }
+};
+
+/**
+ * Hides the tooltip of a map prize
+ * @param {HTMLElement} prizeElement - The map prize item
+ */
+const hideMapTooltip = (prizeElement) => {
+    prizeElement.querySelector('.prize-tooltip-wrapper[data-tooltip-id]')?.classList.remove('visible');
+};
+
+// ============================================
+// TAP OVERLAY (reveal interaction)
+// ============================================
+
+/**
+ * Opens the tap overlay modal in which the player opens the gift (see mapReveal.js)
+ *
+ * @param {Object} group - Group from getGroupedPrizesWithStatus
+ * @param {Object} ctx - Layout context
+ */
+const openMapTapOverlay = (group, ctx) => {
+    const { state } = ctx;
+    const { overlay } = state.elements;
+
+    state.tapOverlayActive = true;
+    state.tapGroup = group;
+    state.revealConfig = getMapRevealConfig(ctx.game.saw_template_ui_definition);
+    state.revealProgress = 0;
+    ctx.setInteracting(true);
+    ctx.track(AnalyticsEvent.RevealOpen, { groupId: group.groupId, reveal: state.revealConfig.type });
+
+    // Hide the small gift on the map
+    getPrizeElement(ctx, group.groupId)?.classList.add('hide-small-gift');
+
+    const tapText = getMapRevealPrompt(state.revealConfig, ctx.translations);
+
+    overlay.innerHTML = `
+        <div class="overlay-close-button-wrapper" style="opacity: 0;" role="button" tabindex="0" aria-label="${escapeHTML(ctx.translations.close || 'Close')}">
+            <div class="close-button"></div>
+        </div>
+        <div class="prize_title"></div>
+        <div class="gift_fly_in">
+            <div class="gift_float">
+                <div class="gift_wrap_big">
+                    <div class="gift_contain_big">
+                        <div class="gift_inner">
+                            <div class="gift_glow_rotate"></div>
+                            <div class="gift_opened"></div>
+                            <div class="gift" role="button" tabindex="0" aria-label="${escapeHTML(tapText)}"></div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+        <div class="split_text">${escapeHTML(tapText)}</div>
+        <div class="reveal-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0" aria-label="${escapeHTML(tapText)}">
+            <div class="reveal-progress-fill"></div>
+        </div>
+        <div class="prize_wrap">
+            <div class="prize_image"></div>
+        </div>
+        <div class="prize-acknowledge">
+            <div class="prize_acknowledge_text"></div>
+            <div class="prize_button_container"></div>
+        </div>
+    `;
+
+    // Add show_overlay class with a small delay for smooth fade-in transition
+    requestAnimationFrame(() => {
+        overlay.classList.add('show_overlay');
+    });
+
+    // The configured interaction on the closed gift sends the spin request once it's done
+    state.revealListeners = new AbortController();
+    attachMapReveal(overlay.querySelector('.gift'), state.revealConfig, {
+        onProgress: (progress) => renderMapRevealProgress(ctx, progress),
+        onComplete: () => openMapGift(ctx),
+        signal: state.revealListeners.signal
+    });
+
+    // Set up close button handler
+    overlay.querySelector('.overlay-close-button-wrapper').addEventListener('click', () => closeMapTapOverlay(ctx));
+
+    // Escape closes the overlay, but not while the box is being opened
+    state.releaseTapDialog = openDialog(overlay, {
+        label: tapText,
+        initialFocus: overlay.querySelector('.gift'),
+        onClose: () => {
+            if (!ctx.spinning) closeMapTapOverlay(ctx);
+        }
+    });
+
+    // Animate the tap text
+    if (!ctx.reducedMotion) {
+        setTimeout(() => animateTapText(overlay), 100);
+    }
+};
+
+/**
+ * Closes the tap overlay modal and re-renders the map to show the new state
+ *
+ * @param {Object} ctx - Layout context
+ */
+const closeMapTapOverlay = (ctx) => {
+    const { state } = ctx;
+    const { overlay } = state.elements;
+    if (!state.tapOverlayActive) return;
+
+    // Left before the gift was open, e.g. halfway through the taps or the hold
+    if (state.revealProgress < 1) {
+        ctx.track(AnalyticsEvent.RevealAbandon, {
+            groupId: state.tapGroup?.groupId,
+            reveal: state.revealConfig.type,
+            progress: state.revealProgress
+        });
+    }
+
+    state.tapOverlayActive = false;
+    overlay.classList.remove('show_overlay');
+
+    // Clear content after transition
+    setTimeout(() => {
+        if (!state.tapOverlayActive) overlay.innerHTML = '';
+    }, 350);
+
+    state.tapGroup = null;
+    state.revealListeners?.abort();
+    state.revealListeners = null;
+
+    ctx.setInteracting(false);
+    ctx.render();
+
+    state.releaseTapDialog?.();
+    state.releaseTapDialog = null;
+};
+
+/**
+ * Animates the reveal prompt (e.g. "Tap the gift 5 times!!!" or "Press and hold the gift to open it!")
+ * with staggered letter appearance
+ *
+ * @param {HTMLElement} overlay - The tap overlay
+ */
+const animateTapText = (overlay) => {
+    const animatedText = overlay.querySelector('.split_text');
+    if (!animatedText) return;
+
+    const text = animatedText.textContent;
+    animatedText.innerHTML = '';
+
+    text.split('').forEach(char => {
+        if (char === ' ') {
+            animatedText.appendChild(document.createTextNode(' '));
+        } else {
+            const span = document.createElement('span');
+            span.textContent = char;
+            span.classList.add('letter');
+            animatedText.appendChild(span);
+        }
+    });
+
+    animatedText.querySelectorAll('.letter').forEach((letter, index) => {
+        setTimeout(() => {
+            letter.classList.add('staggered');
+        }, 200 + index * 25);
+    });
+};
+
+/**
+ * Removes the staggered class from animated text letters
+ *
+ * @param {HTMLElement} overlay - The tap overlay
+ */
+const removeStaggeredClass = (overlay) => {
+    overlay.querySelectorAll('.split_text .letter').forEach((letter, index) => {
+        setTimeout(() => {
+            letter.classList.remove('staggered');
+        }, index * 25);
+    });
+};
+
+/**
+ * Shows the progress of the reveal interaction: fills the progress bar and grows the gift.
+ *
+ * @param {Object} ctx - Layout context
+ * @param {number} progress - Progress from 0 to 1
+ */
+const renderMapRevealProgress = (ctx, progress) => {
+    const { overlay } = ctx.state.elements;
+    const percent = Math.round(progress * 100);
+    ctx.state.revealProgress = progress;
+
+    const progressBar = overlay.querySelector('.reveal-progress');
+    if (progressBar) {
+        progressBar.setAttribute('aria-valuenow', String(percent));
+        progressBar.querySelector('.reveal-progress-fill').style.width = `${percent}%`;
+    }
+
+    const bigGift = overlay.querySelector('.gift_wrap_big');
+    if (bigGift && !ctx.reducedMotion) {
+        // Taps and shakes bounce the gift up step by step, holds and swipes follow the finger
+        const isContinuous = ['hold', 'swipe'].includes(ctx.state.revealConfig.type);
+        bigGift.style.transition = isContinuous
+            ? 'transform 0.1s linear'
+            : 'transform 0.5s cubic-bezier(0.850, -1.800, 0.240, 1.575)';
+        bigGift.style.transform = `scale(${2 + progress * 0.75})`;
+    }
+};
+
+/**
+ * Opens the gift once the reveal interaction is done: plays the opening animation and sends
+ * the spin request.
+ *
+ * @param {Object} ctx - Layout context
+ */
+const openMapGift = async (ctx) => {
+    const { state } = ctx;
+    const { overlay } = state.elements;
+    if (!state.tapGroup) return;
+
+    overlay.querySelector('.reveal-progress')?.classList.add('complete');
+
+    const giftClosed = overlay.querySelector('.gift');
+    const giftOpened = overlay.querySelector('.gift_opened');
+
+    // Show close button
+    overlay.querySelector('.overlay-close-button-wrapper').style.opacity = '1';
+
+    // Shake and bounce animations
+    if (!ctx.reducedMotion) {
+        overlay.querySelector('.gift_inner')?.classList.add('shake');
+        overlay.querySelector('.gift_contain_big')?.classList.add('move-down');
+
+        setTimeout(() => {
+            giftClosed?.classList.add('down-up-bounce');
+            giftOpened?.classList.add('down-up-bounce');
+        }, REVEAL_TIMINGS_MS.bounce);
+    }
+
+    await ctx.spin(state.tapGroup);
+};
+
+/**
+ * Reveals the won prize in the tap overlay, or closes the overlay if the spin failed.
+ *
+ * @param {Object} result - {group, winPrize} or {group, errCode, errMessage}
+ * @param {Object} ctx - Layout context
+ */
+const onSpinResult = ({ winPrize }, ctx) => {
+    const { overlay } = ctx.state.elements;
+
+    if (!winPrize) {
+        closeMapTapOverlay(ctx);
+        return;
+    }
+
+    const giftInner = overlay.querySelector('.gift_inner');
+    const giftClosed = overlay.querySelector('.gift');
+    const giftOpened = overlay.querySelector('.gift_opened');
+    const prizeTitle = overlay.querySelector('.prize_title');
+    const prizeAcknowledge = overlay.querySelector('.prize-acknowledge');
+    const openDelay = ctx.reducedMotion ? 0 : REVEAL_TIMINGS_MS.open;
+    const infoDelay = ctx.reducedMotion ? 0 : REVEAL_TIMINGS_MS.info;
+
+    // Reveal animations
+    setTimeout(() => {
+        if (giftClosed) giftClosed.style.opacity = '0';
+        if (giftOpened) giftOpened.style.opacity = '1';
+        overlay.querySelector('.prize_wrap')?.classList.add('prize_open');
+
+        const prizeImage = overlay.querySelector('.prize_image');
+        if (prizeImage) {
+            prizeImage.style.backgroundImage = cssUrl(winPrize.icon);
+        }
+    }, openDelay);
+
+    // Show prize info
+    setTimeout(() => {
+        if (prizeTitle) {
+            prizeTitle.textContent = winPrize.name || 'Prize';
+            prizeTitle.style.transform = 'scale(1)';
+        }
+        if (prizeAcknowledge) {
+            renderMapPrizeAcknowledge(winPrize, ctx);
+            prizeAcknowledge.style.transform = 'scale(1)';
+        }
+    }, infoDelay);
+
+    // Clean up animations
+    setTimeout(() => {
+        giftInner?.classList.remove('shake');
+        giftClosed?.classList.remove('down-up-bounce');
+        giftOpened?.classList.remove('down-up-bounce');
+    }, infoDelay);
+
+    removeStaggeredClass(overlay);
+};
+
+/**
+ * Renders the prize acknowledge section in the tap overlay
+ *
+ * @param {Object} winPrize - The won prize object
+ * @param {Object} ctx - Layout context
+ */
+const renderMapPrizeAcknowledge = (winPrize, ctx) => {
+    const { overlay } = ctx.state.elements;
+    const translations = ctx.translations;
+    const acknowledgeText = overlay.querySelector('.prize_acknowledge_text');
+    const buttonContainer = overlay.querySelector('.prize_button_container');
+
+    if (!acknowledgeText || !buttonContainer) return;
+
+    // Same check as the prize modal: only a win that still waits for the claim gets Claim/Decline
+    const pendingItem = findPendingHistoryItem(winPrize, ctx.history);
+    const acknowledgeWithClaim = !!pendingItem;
+    const acknowledgeMessage = winPrize?.aknowledge_message || translations.congratulations || 'Congratulations!';
+    const actionTitle = winPrize?.acknowledge_action_title || translations.doOk || 'OK';
+    const cancelTitle = winPrize?.acknowledge_action_title_additional || translations.doCancel || 'Cancel';
+
+    acknowledgeText.textContent = acknowledgeMessage;
+
+    let buttonsHTML = `
+        <div class="prize_button claim" role="button" tabindex="0">${escapeHTML(actionTitle)}</div>
+    `;
+
+    if (acknowledgeWithClaim) {
+        buttonsHTML += `
+            <div class="prize_button cancel" role="button" tabindex="0">${escapeHTML(cancelTitle)}</div>
+        `;
+    }
+
+    buttonContainer.innerHTML = buttonsHTML;
+
+    // Attach event listeners
+    const claimBtn = buttonContainer.querySelector('.prize_button.claim');
+    const cancelBtn = buttonContainer.querySelector('.prize_button.cancel');
+    claimBtn.focus();
+
+    claimBtn.addEventListener('click', async () => {
+        const prizeAction = ctx.startPrizeAction(winPrize, false, claimBtn);
+        if (acknowledgeWithClaim) {
+            const acknowledged = await ctx.acknowledge(winPrize, true, claimBtn, pendingItem);
+            if (!acknowledged) {
+                prizeAction.cancel();
+                return;
+            }
+        }
+        closeMapTapOverlay(ctx);
+        prizeAction.run();
+    });
+    cancelBtn?.addEventListener('click', async () => {
+        const prizeAction = ctx.startPrizeAction(winPrize, true, cancelBtn);
+        const declined = await ctx.acknowledge(winPrize, false, cancelBtn, pendingItem);
+        if (declined) {
+            closeMapTapOverlay(ctx);
+            prizeAction.run();
+        } else {
+            prizeAction.cancel();
+        }
+    });
+};
+
+// ============================================
+// PRIZE WON MODAL (for reopening)
+// ============================================
+
+/**
+ * Opens the prize won modal to view a claimed prize
+ *
+ * @param {Object} prize - The prize object
+ * @param {Object} historyItem - The history item for this prize
+ * @param {Object} ctx - Layout context
+ */
+const openMapPrizeWonModal = (prize, historyItem, ctx) => {
+    const { state } = ctx;
+    const { wonModal } = state.elements;
+    const translations = ctx.translations;
+
+    state.wonModalActive = true;
+    ctx.setInteracting(true);
+    const isAcknowledged = !!historyItem?.acknowledge_date_ts;
+
+    const pendingItem = findPendingHistoryItem(prize, historyItem ? [historyItem] : []);
+    const acknowledgeWithClaim = !!pendingItem;
+    const actionTitle = prize?.acknowledge_action_title || translations.doOk || 'OK';
+    const cancelTitle = prize?.acknowledge_action_title_additional || translations.doCancel || 'Cancel';
+    const acknowledgeMessage = prize?.aknowledge_message || '';
+    const prizeIcon = sanitizeUrl(prize?.icon);
+
+    let actionsHTML = '';
+    if (!isAcknowledged) {
+        actionsHTML = `
+            <div class="won-prize-actions">
+                <div class="won-prize-btn claim" role="button" tabindex="0">
+                    <div class="won-prize-btn-text">${escapeHTML(actionTitle)}</div>
+                </div>
+                ${acknowledgeWithClaim
+                ? `<div class="won-prize-btn cancel" role="button" tabindex="0">
+                            <div class="won-prize-btn-text">${escapeHTML(cancelTitle)}</div>
+                        </div>`
+                : ''
+            }
+            </div>
+        `;
+    }
+
+    wonModal.innerHTML = `
+        <div class="won-modal-wrapper">
+            <div class="won-modal-content">
+                <div class="modal-won-button-wrapper" role="button" tabindex="0" aria-label="${escapeHTML(translations.close || 'Close')}">
+                    <div class="modal-won-close-button"></div>
+                </div>
+                <div class="won-prize-image-container">
+                    ${prizeIcon
+            ? `<img src="${escapeHTML(prizeIcon)}" alt="" draggable="false">`
+            : '<div class="prize-front-no-image"></div>'
+        }
+                </div>
+                <div class="won-prize-name">${escapeHTML(prize?.name || 'Prize')}</div>
+                ${acknowledgeMessage ? `<div class="won-prize-message">${escapeHTML(acknowledgeMessage)}</div>` : ''}
+                ${actionsHTML}
+            </div>
+        </div>
+    `;
+
+    wonModal.classList.add('active');
+    ctx.track(AnalyticsEvent.ModalOpen, { modal: 'map_won' });
+
+    wonModal.querySelector('.modal-won-button-wrapper').addEventListener('click', () => closeMapPrizeWonModal(ctx));
+    state.releaseWonDialog = openDialog(wonModal.querySelector('.won-modal-content'), {
+        label: prize?.name || 'Prize',
+        onClose: () => closeMapPrizeWonModal(ctx)
+    });
+
+    const claimBtn = wonModal.querySelector('.won-prize-btn.claim');
+    const cancelBtn = wonModal.querySelector('.won-prize-btn.cancel');
+
+    claimBtn?.addEventListener('click', async () => {
+        const prizeAction = ctx.startPrizeAction(prize, false, claimBtn);
+        if (acknowledgeWithClaim) {
+            const acknowledged = await ctx.acknowledge(prize, true, claimBtn, pendingItem);
+            if (!acknowledged) {
+                prizeAction.cancel();
+                return;
+            }
+        }
+        closeMapPrizeWonModal(ctx);
+        prizeAction.run();
+    });
+    cancelBtn?.addEventListener('click', async () => {
+        const prizeAction = ctx.startPrizeAction(prize, true, cancelBtn);
+        const declined = await ctx.acknowledge(prize, false, cancelBtn, pendingItem);
+        if (declined) {
+            closeMapPrizeWonModal(ctx);
+            prizeAction.run();
+        } else {
+            prizeAction.cancel();
+        }
+    });
+};
+
+/**
+ * Closes the prize won modal
+ *
+ * @param {Object} ctx - Layout context
+ */
+const closeMapPrizeWonModal = (ctx) => {
+    const { state } = ctx;
+    const { wonModal } = state.elements;
+    if (state.wonModalActive) ctx.track(AnalyticsEvent.ModalClose, { modal: 'map_won' });
+
+    state.wonModalActive = false;
+    wonModal.classList.remove('active');
+    wonModal.innerHTML = '';
+
+    ctx.setInteracting(false);
+
+    state.releaseWonDialog?.();
+    state.releaseWonDialog = null;
+};
+
+registerLayout({
+    id: SAWGameLayout.VerticalMap,
+    name: 'Map',
+    modalTheme: 'map',
+    mount,
+    render,
+    update,
+    onSpinResult,
+    unmount
+});
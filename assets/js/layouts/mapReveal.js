@@ -0,0 +1,245 @@
+/**
+ * Smartico Lootbox Game - Map Reveal Interaction
+ *
+ * How the player opens the gift in the Map layout's overlay, set with map_reveal in the
+ * template's UI definition:
+ *
+ *   { "map_reveal": { "type": "tap", "count": 5 } }
+ *
+ *   - tap:   tap the gift `count` times (default, 3 taps)
+ *   - hold:  press and hold the gift for `hold_ms` milliseconds
+ *   - swipe: drag the gift sideways to unwrap it
+ *   - shake: shake the phone `count` times (DeviceMotion); taps count as shakes where
+ *            motion isn't available, e.g. on desktop
+ *
+ * Keyboard players can't hold or swipe, so for those types Enter/Space on the gift opens it
+ * at once; for taps and shakes each key press counts as a tap. The layout gets the progress
+ * (0 to 1) as it changes and a single completion call, which sends the spin request.
+ */
+
+const REVEAL_TYPES = ['tap', 'hold', 'swipe', 'shake'];
+const DEFAULT_COUNT = 3;
+const MAX_COUNT = 20;
+const DEFAULT_HOLD_MS = 1500;
+const SWIPE_DISTANCE_PX = 160;
+// Acceleration (m/s², gravity excluded) above which a device movement counts as a shake
+const SHAKE_THRESHOLD = 15;
+const SHAKE_INTERVAL_MS = 300;
+
+// ============================================
+// CONFIG & PROMPT
+// ============================================
+
+/**
+ * Reads the reveal interaction from the UI definition, falling back to 3 taps for
+ * missing or invalid values.
+ *
+ * @param {Object} uiDefinition - The game's saw_template_ui_definition
+ * @returns {Object} {type, count, holdMs}
+ */
+export const getMapRevealConfig = (uiDefinition) => {
+    const reveal = uiDefinition?.map_reveal || {};
+    const type = REVEAL_TYPES.includes(reveal.type) ? reveal.type : 'tap';
+    const count = Number.isInteger(reveal.count) && reveal.count >= 1
+        ? Math.min(reveal.count, MAX_COUNT)
+        : DEFAULT_COUNT;
+    const holdMs = Number.isFinite(reveal.hold_ms) && reveal.hold_ms > 0 ? reveal.hold_ms : DEFAULT_HOLD_MS;
+
+    return { type, count, holdMs };
+};
+
+/**
+ * Gets the prompt shown under the gift. Translations may use {count} for the number of taps or
+ * shakes; older tap translations with a written number ("Tap the gift 3 times") get the
+ * configured count in its place.
+ *
+ * @param {Object} config - Reveal config from getMapRevealConfig
+ * @param {Object} translations - Game translations
+ * @returns {string} The prompt text
+ */
+export const getMapRevealPrompt = ({ type, count }, translations) => {
+    let prompt;
+    if (type === 'hold') {
+        prompt = translations.lootboxPrizeModalHold || 'Press and hold the gift to open it!';
+    } else if (type === 'swipe') {
+        prompt = translations.lootboxPrizeModalSwipe || 'Swipe the gift to unwrap it!';
+    } else if (type === 'shake') {
+        prompt = count === 1
+            ? translations.lootboxPrizeModalShakeOnce || 'Shake your phone to open the gift!'
+            : translations.lootboxPrizeModalShake || 'Shake your phone {count} times!';
+    } else {
+        prompt = count === 1
+            ? translations.lootboxPrizeModalTapOnce || 'Tap the gift to open it!'
+            : translations.lootboxPrizeModalTap || 'Tap the gift {count} times!!!';
+    }
+
+    if (prompt.includes('{count}')) {
+        return prompt.replace(/\{count\}/g, String(count));
+    }
+    return count > 1 ? prompt.replace(/\d+/, String(count)) : prompt;
+};
+
+// ============================================
+// INTERACTIONS
+// ============================================
+
+/**
+ * Counts taps on the gift (also used for shakes without DeviceMotion).
+ *
+ * @param {HTMLElement} gift - The gift element
+ * @param {number} count - Taps needed
+ * @param {Function} setProgress - Reports the progress
+ * @param {AbortSignal} signal - Removes the listeners when aborted
+ */
+const attachTapReveal = (gift, count, setProgress, signal) => {
+    let taps = 0;
+    gift.addEventListener('click', () => {
+        taps++;
+        setProgress(taps / count);
+    }, { signal });
+};
+
+/**
+ * Fills the progress while the gift is pressed; letting go early empties it again.
+ *
+ * @param {HTMLElement} gift - The gift element
+ * @param {number} holdMs - Time to hold
+ * @param {Function} setProgress - Reports the progress
+ * @param {AbortSignal} signal - Removes the listeners when aborted
+ */
+const attachHoldReveal = (gift, holdMs, setProgress, signal) => {
+    let startTime = null;
+    let frame = null;
+
+    const tick = () => {
+        if (startTime === null) return;
+        setProgress((Date.now() - startTime) / holdMs);
+        frame = requestAnimationFrame(tick);
+    };
+    const release = () => {
+        if (startTime === null) return;
+        startTime = null;
+        cancelAnimationFrame(frame);
+        setProgress(0);
+    };
+
+    gift.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        startTime = Date.now();
+        tick();
+    }, { signal });
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach((type) => {
+        gift.addEventListener(type, release, { signal });
+    });
+    // A long press must not open the context menu on touch devices
+    gift.addEventListener('contextmenu', (event) => event.preventDefault(), { signal });
+    signal.addEventListener('abort', () => cancelAnimationFrame(frame));
+};
+
+/**
+ * Follows a sideways drag that starts on the gift; letting go before the end empties it again.
+ *
+ * @param {HTMLElement} gift - The gift element
+ * @param {Function} setProgress - Reports the progress
+ * @param {AbortSignal} signal - Removes the listeners when aborted
+ */
+const attachSwipeReveal = (gift, setProgress, signal) => {
+    let startX = null;
+
+    gift.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        startX = event.clientX;
+    }, { signal });
+    window.addEventListener('pointermove', (event) => {
+        if (startX === null) return;
+        setProgress(Math.abs(event.clientX - startX) / SWIPE_DISTANCE_PX);
+    }, { signal });
+    ['pointerup', 'pointercancel'].forEach((type) => {
+        window.addEventListener(type, () => {
+            if (startX === null) return;
+            startX = null;
+            setProgress(0);
+        }, { signal });
+    });
+};
+
+/**
+ * Counts shakes of the device. iOS only sends motion events after the player allowed them,
+ * which can only be asked on a tap, so the first tap on the gift asks (and counts as a shake).
+ *
+ * @param {HTMLElement} gift - The gift element
+ * @param {number} count - Shakes needed
+ * @param {Function} setProgress - Reports the progress
+ * @param {AbortSignal} signal - Removes the listeners when aborted
+ */
+const attachShakeReveal = (gift, count, setProgress, signal) => {
+    let shakes = 0;
+    let lastShake = 0;
+    let permissionAsked = false;
+
+    const addShake = () => {
+        shakes++;
+        setProgress(shakes / count);
+    };
+
+    window.addEventListener('devicemotion', (event) => {
+        const { x, y, z } = event.acceleration || {};
+        if (x == null) return;
+
+        const now = Date.now();
+        if (Math.hypot(x, y, z) < SHAKE_THRESHOLD || now - lastShake < SHAKE_INTERVAL_MS) return;
+        lastShake = now;
+        addShake();
+    }, { signal });
+
+    gift.addEventListener('click', () => {
+        if (!permissionAsked && typeof window.DeviceMotionEvent?.requestPermission === 'function') {
+            permissionAsked = true;
+            window.DeviceMotionEvent.requestPermission().catch(() => {});
+        }
+        addShake();
+    }, { signal });
+};
+
+/**
+ * Wires the reveal interaction to the gift of the overlay.
+ *
+ * @param {HTMLElement} gift - The gift element
+ * @param {Object} config - Reveal config from getMapRevealConfig
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onProgress - Called with the progress, 0 to 1, while it changes
+ * @param {Function} handlers.onComplete - Called once, when the gift is opened
+ * @param {AbortSignal} handlers.signal - Removes the listeners when aborted
+ */
+export const attachMapReveal = (gift, config, { onProgress, onComplete, signal }) => {
+    let completed = false;
+
+    const setProgress = (progress) => {
+        if (completed) return;
+        const value = Math.min(1, Math.max(0, progress));
+        onProgress(value);
+        if (value === 1) {
+            completed = true;
+            onComplete();
+        }
+    };
+
+    gift.dataset.reveal = config.type;
+
+    // A keyboard activation (a click without pointer, see accessibility.js) can't hold or swipe
+    if (config.type === 'hold' || config.type === 'swipe') {
+        gift.addEventListener('click', (event) => {
+            if (event.detail === 0) setProgress(1);
+        }, { signal });
+    }
+
+    if (config.type === 'hold') {
+        attachHoldReveal(gift, config.holdMs, setProgress, signal);
+    } else if (config.type === 'swipe') {
+        attachSwipeReveal(gift, setProgress, signal);
+    } else if (config.type === 'shake') {
+        attachShakeReveal(gift, config.count, setProgress, signal);
+    } else {
+        attachTapReveal(gift, config.count, setProgress, signal);
+    }
+};
@@ -0,0 +1,174 @@
+/**
+ * Smartico Lootbox Game - Map Prize Positions
+ *
+ * Resolves where each box sits on the map background. Positions are percentages of the map
+ * ({top, left}, 0-100) and come from a coordinate set keyed by device, optionally refined per map size:
+ *
+ *   {
+ *       "desktop": [{ "top": 17, "left": 46 }, ...],
+ *       "mobile": [...],
+ *       "desktop-big": [...]          // Used instead of "desktop" when the map size is 'big'
+ *   }
+ *
+ * Boxes without coordinates (longer campaigns, missing devices) are laid out on a serpentine path.
+ *
+ * The module has no DOM dependencies, so it can be used from Node as well.
+ */
+
+// ============================================
+// POSITIONS
+// ============================================
+
+// Boxes per row of the serpentine fallback path
+const SERPENTINE_COLUMNS = {
+    desktop: 4,
+    mobile: 3
+};
+
+// Area of the map the fallback path is laid out in, in percent (keeps clear of the header and edges)
+const SERPENTINE_AREA = { top: 15, bottom: 90, left: 15, right: 85 };
+
+/**
+ * Checks that a coordinate is a usable {top, left} pair of percentages.
+ *
+ * @param {*} position - The coordinate to check
+ * @returns {boolean} True if both values are numbers between 0 and 100
+ */
+export const isValidMapPosition = (position) => {
+    return ['top', 'left'].every((key) => {
+        const value = position?.[key];
+        return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+    });
+};
+
+/**
+ * Merges coordinate sets box by box: a valid coordinate in a later set replaces the one of an
+ * earlier set, anything else (null, out of range) keeps it. So a template can move single boxes
+ * with e.g. {"desktop": [null, null, {"top": 45, "left": 72}]}. Entries that aren't arrays are ignored.
+ *
+ * @param {...Object} positionSets - Coordinate sets, lowest priority first (undefined is skipped)
+ * @returns {Object} The merged coordinate set
+ */
+export const mergeMapPositions = (...positionSets) => {
+    return positionSets.reduce((merged, positionSet) => {
+        Object.entries(positionSet || {}).forEach(([key, list]) => {
+            if (!Array.isArray(list)) return;
+
+            const mergedList = [...(merged[key] || [])];
+            list.forEach((position, index) => {
+                if (isValidMapPosition(position)) {
+                    mergedList[index] = position;
+                }
+            });
+            merged[key] = mergedList;
+        });
+        return merged;
+    }, {});
+};
+
+/**
+ * Calculates the position of a box on the serpentine fallback path: rows of boxes from the top
+ * of the map down, every other row running right to left, so the boxes read as one winding path.
+ *
+ * @param {number} index - Index of the box in the schedule
+ * @param {number} count - Number of boxes on the map
+ * @param {string} device - 'desktop' or 'mobile'
+ * @returns {Object} {top, left} in percent
+ */
+export const getSerpentinePosition = (index, count, device = 'desktop') => {
+    const columns = SERPENTINE_COLUMNS[device] || SERPENTINE_COLUMNS.desktop;
+    const rows = Math.max(1, Math.ceil(count / columns));
+    const row = Math.floor(index / columns);
+    const column = row % 2 === 0 ? index % columns : columns - 1 - (index % columns);
+
+    const columnStep = (SERPENTINE_AREA.right - SERPENTINE_AREA.left) / (columns - 1);
+    const rowStep = rows > 1 ? (SERPENTINE_AREA.bottom - SERPENTINE_AREA.top) / (rows - 1) : 0;
+
+    // Bend each row slightly so the path curves into the turn at either end
+    const bend = Math.sin((column / (columns - 1)) * Math.PI) * rowStep * 0.2;
+    const top = rows > 1 ? SERPENTINE_AREA.top + row * rowStep - bend : 50;
+
+    return {
+        top: Math.round(top * 10) / 10,
+        left: Math.round((SERPENTINE_AREA.left + column * columnStep) * 10) / 10
+    };
+};
+
+/**
+ * Gets the position of box N: the coordinate for the device and map size if there is one,
+ * the device's coordinate otherwise, and the serpentine path as the last resort.
+ *
+ * @param {Object} positionSet - Coordinate set (see the module description)
+ * @param {number} index - Index of the box in the schedule
+ * @param {number} count - Number of boxes on the map
+ * @param {string} device - 'desktop' or 'mobile'
+ * @param {string} [mapSize] - 'small', 'medium' or 'big'
+ * @returns {Object} {top, left} in percent
+ */
+export const getMapPrizePosition = (positionSet, index, count, device, mapSize) => {
+    const candidates = [
+        positionSet?.[`${device}-${mapSize}`]?.[index],
+        positionSet?.[device]?.[index]
+    ];
+
+    const position = candidates.find(isValidMapPosition);
+    return position
+        ? { top: position.top, left: position.left }
+        : getSerpentinePosition(index, count, device);
+};
+
+// ============================================
+// EXPORT
+// ============================================
+
+// Media queries the device lists apply to, matching the mobile breakpoint of the map styles
+const DEVICE_MEDIA_QUERIES = {
+    desktop: '(min-width: 769px)',
+    mobile: '(max-width: 768px)'
+};
+
+/**
+ * Formats a coordinate set as JSON for positions.json or the template's map_positions,
+ * one box per line. Boxes without a coordinate are written as null.
+ *
+ * @param {Object} positionSet - Coordinate set (see the module description)
+ * @returns {string} The JSON text
+ */
+export const formatMapPositionsJSON = (positionSet) => {
+    const lists = Object.entries(positionSet || {})
+        .filter(([, list]) => Array.isArray(list) && list.length > 0)
+        .map(([key, list]) => {
+            const boxes = Array.from(list, position => isValidMapPosition(position)
+                ? `        { "top": ${position.top}, "left": ${position.left} }`
+                : '        null');
+            return `    ${JSON.stringify(key)}: [\n${boxes.join(',\n')}\n    ]`;
+        });
+
+    return `{\n${lists.join(',\n')}\n}\n`;
+};
+
+/**
+ * Formats a coordinate set as a stylesheet: one rule per box, inside the media query of its device
+ * and scoped to the map size for "<device>-<mapSize>" lists. The rules are !important, as the
+ * layout positions the boxes with inline styles.
+ *
+ * @param {Object} positionSet - Coordinate set (see the module description)
+ * @returns {string} The CSS text
+ */
+export const formatMapPositionsCSS = (positionSet) => {
+    const blocks = Object.entries(positionSet || {}).map(([key, list]) => {
+        const [device, mapSize] = key.split('-');
+        if (!DEVICE_MEDIA_QUERIES[device] || !Array.isArray(list)) return '';
+
+        const scope = mapSize ? `.map-main-background[data-map-size="${mapSize}"] ` : '';
+        const rules = Array.from(list, (position, index) => isValidMapPosition(position)
+            ? `    ${scope}.map-box-prize[data-index="${index}"] { top: ${position.top}% !important; left: ${position.left}% !important; }`
+            : '').filter(Boolean);
+
+        return rules.length > 0
+            ? `/* ${key} */\n@media ${DEVICE_MEDIA_QUERIES[device]} {\n${rules.join('\n')}\n}\n`
+            : '';
+    });
+
+    return blocks.filter(Boolean).join('\n');
+};
@@ -0,0 +1,170 @@
+/**
+ * Smartico Lootbox Game - Prize Actions
+ *
+ * The acknowledge buttons of a won prize can take the player somewhere: acknowledge_dp is the
+ * target of the main button (acknowledge_action_title), acknowledge_dp_additional the target of
+ * the additional one (acknowledge_action_title_additional). A target is either
+ *
+ *   - an http(s) URL, opened in a new tab, or
+ *   - a deep link of the platform, e.g. "dp:deposit" or one that opens a game, with optional
+ *     parameters after "&" ("dp:gf_saw&id=1515"). The host page can handle a deep link itself
+ *     by registering a handler under its name (mount option deepLinkHandlers), otherwise the
+ *     Smartico SDK opens it.
+ *
+ * Anything else (javascript:, relative URLs, unknown schemes) is ignored and the button only
+ * closes the modal, as it does without a target.
+ *
+ * The runner gets the game window as an option, so it runs in the node test suite with a fake one.
+ */
+
+import { AnalyticsEvent } from './analytics.js';
+
+/**
+ * PrizeActionType - What an acknowledge button does besides closing the modal
+ */
+export const PrizeActionType = {
+    Url: 'url',
+    DeepLink: 'deep-link'
+};
+
+const DEEP_LINK_PATTERN = /^dp:([a-z0-9_-]+)((?:&[^&=\s]+=[^&\s]*)*)$/i;
+const URL_PATTERN = /^https?:\/\/[^\s/]+/i;
+
+/**
+ * Reads the target of an acknowledge button.
+ *
+ * @param {*} target - acknowledge_dp or acknowledge_dp_additional of the prize
+ * @returns {Object|null} {type: 'url', url} or {type: 'deep-link', link, name, params}; null if there is no valid target
+ */
+export const parsePrizeAction = (target) => {
+    if (typeof target !== 'string') return null;
+
+    const value = target.trim();
+    if (value === '' || /[\u0000-\u001F\u007F]/.test(value)) return null;
+
+    if (URL_PATTERN.test(value)) {
+        return { type: PrizeActionType.Url, url: value };
+    }
+
+    const deepLink = value.match(DEEP_LINK_PATTERN);
+    if (deepLink) {
+        const [, name, query] = deepLink;
+        const params = Object.fromEntries(new URLSearchParams(query.slice(1)));
+        return { type: PrizeActionType.DeepLink, link: value, name, params };
+    }
+
+    return null;
+};
+
+/**
+ * Reads the action of one of the acknowledge buttons of a prize.
+ *
+ * @param {Object} prize - The won prize object
+ * @param {boolean} [additional] - True for the additional button (acknowledge_dp_additional)
+ * @returns {Object|null} Action from parsePrizeAction, null if the button only closes the modal
+ */
+export const getPrizeAction = (prize, additional = false) => {
+    return parsePrizeAction(additional ? prize?.acknowledge_dp_additional : prize?.acknowledge_dp);
+};
+
+// ============================================
+// RUNNER
+// ============================================
+
+/**
+ * Creates the runner of the acknowledge button actions of a game.
+ *
+ * @param {Object} [options] - Runner options
+ * @param {Window} [options.window] - The game window (default window)
+ * @param {Object} [options.deepLinkHandlers] - Host handlers of deep links by name
+ * @param {Function} [options.onBlockedUrl] - Called with {prize, url} when the browser blocked the tab of a URL
+ * @param {Function} [options.track] - Sends an analytics event, track(name, details)
+ * @param {Function} [options.getTemplateId] - Template ID handed to the deep link handlers
+ * @param {Function} [options.isActive] - False once the game is destroyed, actions are dropped then
+ * @returns {Object} { start(prize, additional, button) }
+ */
+export const createPrizeActionRunner = ({
+    window: gameWindow = globalThis.window,
+    deepLinkHandlers = {},
+    onBlockedUrl,
+    track = () => {},
+    getTemplateId = () => null,
+    isActive = () => true
+} = {}) => {
+    /**
+     * Runs a started action (see start).
+     *
+     * @param {Object|null} action - Action from getPrizeAction
+     * @param {Object} prize - The won prize object
+     * @param {Window|null} tab - Tab opened for a URL, null if the browser blocked it
+     */
+    const run = (action, prize, tab) => {
+        if (!action || !isActive()) {
+            tab?.close();
+            return;
+        }
+
+        track(AnalyticsEvent.PrizeAction, {
+            prizeId: prize.id,
+            action: action.type,
+            target: action.url ?? action.link
+        });
+
+        if (action.type === PrizeActionType.Url) {
+            // The game page may be an iframe, it never navigates away itself
+            if (tab) {
+                tab.location.href = action.url;
+            } else if (typeof onBlockedUrl === 'function') {
+                onBlockedUrl({ prize, url: action.url });
+            } else {
+                console.warn(`The browser blocked the tab of ${action.url}`);
+            }
+            return;
+        }
+
+        const handler = deepLinkHandlers?.[action.name];
+        if (typeof handler === 'function') {
+            try {
+                handler({ templateId: getTemplateId(), prize, link: action.link, name: action.name, params: action.params });
+            } catch (error) {
+                console.error(`Error in the ${action.name} deep link handler:`, error);
+            }
+        } else if (typeof gameWindow?._smartico?.dp === 'function') {
+            gameWindow._smartico.dp(action.link);
+        } else {
+            console.warn(`No handler for the deep link ${action.link}`);
+        }
+    };
+
+    /**
+     * Starts the action configured for an acknowledge button. Called right in the button's click
+     * handler: a URL gets its tab opened while the click still allows popups, and the tab is only
+     * navigated by run(), once the claim/decline went through. Buttons without an action, and
+     * buttons whose claim is still pending (a second click), do nothing.
+     *
+     * @param {Object} prize - The won prize object
+     * @param {boolean} [additional] - True for the additional button (acknowledge_dp_additional)
+     * @param {HTMLElement} [button] - The clicked button, inside the button group of the acknowledge request
+     * @returns {Object} { run(), cancel() } - cancel() closes the tab if the claim failed
+     */
+    const start = (prize, additional = false, button = null) => {
+        if (button?.parentElement?.classList.contains('pending')) {
+            return { run: () => {}, cancel: () => {} };
+        }
+
+        const action = getPrizeAction(prize, additional);
+        let tab = null;
+        if (action?.type === PrizeActionType.Url) {
+            tab = gameWindow.open('about:blank', '_blank');
+            // Like noopener, which can't be passed here as it makes window.open return null
+            if (tab) tab.opener = null;
+        }
+
+        return {
+            run: () => run(action, prize, tab),
+            cancel: () => tab?.close()
+        };
+    };
+
+    return { start };
+};
@@ -0,0 +1,815 @@
+/**
+ * Smartico Lootbox Game - Prize Schedule Engine
+ *
+ * Pure prize calendar logic shared by all layouts: timezone handling, prize sorting and grouping,
+ * active prize detection, prize status calculation and history matching.
+ *
+ * The module has no DOM dependencies, so it can be imported both by the browser (game.js)
+ * and by the Node test suite (test/prizeSchedule.test.js). "Now" always comes from the game clock.
+ */
+
+import { getClockNow } from './clock.js';
+
+// ============================================
+// CONSTANTS & ENUMS
+// ============================================
+
+/**
+ * AttemptPeriodType - Determines how prize availability windows are calculated
+ * @property {number} FromLastAttempt - Time-based from last attempt
+ * @property {number} CalendarDaysUTC - Calendar days in UTC timezone (uses relative_period_timezone offset)
+ * @property {number} CalendarDaysUserTimeZone - Calendar days in user's local timezone
+ * @property {number} Lifetime - One-time lifetime prize
+ */
+export const AttemptPeriodType = {
+    FromLastAttempt: 1,
+    CalendarDaysUTC: 2,
+    CalendarDaysUserTimeZone: 3,
+    Lifetime: 4
+};
+
+// ============================================
+// TIMEZONE UTILITIES
+// ============================================
+
+/**
+ * Determines if the prize uses UTC-based calendar days for availability calculation.
+ * When true, the prize availability is calculated using UTC time with an optional offset.
+ * 
+ * @param {Object} prize - The prize object
+ * @param {number} [prize.max_give_period_type_id] - The period type (2 = UTC, 3 = user timezone)
+ * @param {number} [prize.relative_period_timezone] - Minutes offset from UTC (e.g., 120 for UTC+2)
+ * @returns {boolean} True if prize uses UTC timezone
+ */
+export const isUTCTimezone = (prize) => {
+    if (prize?.max_give_period_type_id !== undefined) {
+        return prize.max_give_period_type_id === AttemptPeriodType.CalendarDaysUTC;
+    }
+    // Legacy fallback: if relative_period_timezone is defined, treat as UTC
+    return prize?.relative_period_timezone !== undefined;
+};
+
+/**
+ * Gets the current time adjusted for the prize's timezone context.
+ * For UTC prizes, returns current time adjusted by the relative_period_timezone offset.
+ * For user timezone prizes, returns the local time.
+ * 
+ * @param {Object} prize - The prize object
+ * @returns {Date} Current date/time in the prize's timezone context
+ */
+export const getPrizeTimezoneNow = (prize) => {
+    const now = getClockNow();
+    if (isUTCTimezone(prize)) {
+        // Convert to UTC milliseconds
+        const utcMs = now.getTime() + (now.getTimezoneOffset() * 60000);
+        // Apply the prize's timezone offset (relative_period_timezone is in minutes)
+        const offsetMs = (prize?.relative_period_timezone || 0) * 60000;
+        return new Date(utcMs + offsetMs);
+    }
+    return now;
+};
+
+/**
+ * Adjusts a timestamp for the prize's timezone.
+ * For UTC prizes, adds the relative_period_timezone offset to the timestamp.
+ * 
+ * @param {number} ts - Timestamp in milliseconds
+ * @param {Object} prize - The prize object
+ * @returns {number|null} Adjusted timestamp or null if ts is falsy
+ */
+export const adjustTimestampForPrize = (ts, prize) => {
+    if (!ts) return null;
+    if (isUTCTimezone(prize)) {
+        return ts + ((prize?.relative_period_timezone || 0) * 60000);
+    }
+    return ts;
+};
+
+/**
+ * Converts a history timestamp to a Date in the prize's timezone context.
+ * Used for comparing history entries against prize availability windows.
+ * 
+ * @param {number} historyTs - History timestamp in milliseconds
+ * @param {Object} prize - The prize object
+ * @returns {Date} Date object representing the history time in prize's timezone
+ */
+export const getHistoryDateForPrize = (historyTs, prize) => {
+    if (isUTCTimezone(prize)) {
+        const date = new Date(historyTs);
+        const utcMs = date.getTime() + (date.getTimezoneOffset() * 60000);
+        const offsetMs = (prize?.relative_period_timezone || 0) * 60000;
+        return new Date(utcMs + offsetMs);
+    }
+    return new Date(historyTs);
+};
+
+/**
+ * Gets the ISO week number from a Date object.
+ * ISO weeks start on Monday and the first week contains January 4th.
+ * 
+ * @param {Date} date - The date to get week number from
+ * @returns {number} ISO week number (1-53)
+ */
+export const getISOWeekNumber = (date) => {
+    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    // Set to nearest Thursday: current date + 4 - current day number (make Sunday=7)
+    const dayNum = d.getUTCDay() || 7;
+    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+    // Get first day of year
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    // Calculate full weeks to nearest Thursday
+    const weekNo = Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+    return weekNo;
+};
+
+/**
+ * Gets the ISO week year from a Date object.
+ * The ISO week year may differ from the calendar year at year boundaries.
+ * 
+ * @param {Date} date - The date to get ISO week year from
+ * @returns {number} ISO week year
+ */
+export const getISOWeekYear = (date) => {
+    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    const dayNum = d.getUTCDay() || 7;
+    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+    return d.getUTCFullYear();
+};
+
+/**
+ * Gets the ISO weekday (1=Monday, 7=Sunday) from a Date object.
+ * JavaScript's getDay() returns 0=Sunday, so we convert to ISO format.
+ * 
+ * @param {Date} date - The date to get weekday from
+ * @returns {number} ISO weekday (1-7, where 1=Monday, 7=Sunday)
+ */
+export const getISOWeekday = (date) => {
+    const day = date.getDay();
+    return day === 0 ? 7 : day;
+};
+
+// ============================================
+// PRIZE GROUPING & SORTING
+// ============================================
+
+/**
+ * Sorts prizes by multiple criteria to ensure consistent ordering.
+ * Sort order: prize ID → surcharge status → active_from_ts → first weekday
+ * 
+ * @param {Array} prizes - Array of prize objects
+ * @returns {Array} Sorted array of prizes (mutates original)
+ */
+export const sortPrizes = (prizes) => {
+    return prizes.sort((a, b) => {
+        // 1. Sort by prize ID (TMiniGamePrize uses 'id')
+        const prizeIdA = a.id || 0;
+        const prizeIdB = b.id || 0;
+        if (prizeIdA !== prizeIdB) {
+            return prizeIdA - prizeIdB;
+        }
+
+        // 2. Sort by surcharge status (non-surcharge first)
+        const surchargeA = a.is_surcharge ? 1 : 0;
+        const surchargeB = b.is_surcharge ? 1 : 0;
+        if (surchargeA !== surchargeB) {
+            return surchargeB - surchargeA;
+        }
+
+        // 3. Sort by active_from_ts
+        const activeFromA = a.active_from_ts || 0;
+        const activeFromB = b.active_from_ts || 0;
+        if (activeFromA !== activeFromB) {
+            return activeFromA - activeFromB;
+        }
+
+        // 4. Sort by first weekday
+        const firstWeekdayA = a.weekdays && a.weekdays.length > 0 ? Math.min(...a.weekdays) : 0;
+        const firstWeekdayB = b.weekdays && b.weekdays.length > 0 ? Math.min(...b.weekdays) : 0;
+        return firstWeekdayA - firstWeekdayB;
+    });
+};
+
+/**
+ * Groups prizes by their availability date or weekday.
+ * This allows multiple prizes to be shown on the same day/card.
+ * 
+ * For weekday-based prizes: groupId is the ISO weekday (1-7)
+ * For date-based prizes: groupId is the active_from_ts timestamp
+ * 
+ * @param {Array} prizes - Array of prize objects
+ * @returns {Array} Array of {groupId, prizes} objects sorted by groupId
+ */
+export const groupPrizesByDate = (prizes) => {
+    // Sort prizes first for consistent ordering
+    const sortedPrizes = sortPrizes([...prizes]);
+
+    // Filter to valid prizes (must have either date range or weekdays)
+    const filteredPrizes = sortedPrizes.filter(prize =>
+        (prize.active_from_ts && prize.active_till_ts) ||
+        (prize.weekdays && prize.weekdays.length > 0)
+    );
+
+    if (filteredPrizes.length === 0) {
+        return [];
+    }
+
+    // Determine if all prizes use weekdays (vs calendar dates)
+    const isWeekdays = filteredPrizes.every(prize => prize.weekdays && prize.weekdays.length > 0);
+
+    // Collect unique group keys
+    const groupKeys = new Set();
+    filteredPrizes.forEach(prize => {
+        if (isWeekdays) {
+            // For weekday prizes, each weekday in the array is a potential group
+            prize.weekdays.forEach(day => groupKeys.add(day));
+        } else {
+            // For date prizes, use active_from_ts as the group key
+            groupKeys.add(prize.active_from_ts);
+        }
+    });
+
+    // Build groups: each group contains all prizes that belong to that date/weekday
+    const groups = Array.from(groupKeys).map(groupId => ({
+        groupId,
+        prizes: filteredPrizes.filter(prize =>
+            isWeekdays
+                ? prize.weekdays.includes(groupId)
+                : prize.active_from_ts === groupId
+        )
+    }));
+
+    // Sort groups by groupId ascending
+    return groups.sort((a, b) => a.groupId - b.groupId);
+};
+
+/**
+ * Finds the currently active prize ID from grouped prizes.
+ * Returns the first prize that is currently within its active window.
+ * 
+ * @param {Array} groupedPrizes - Array of {groupId, prizes} objects
+ * @returns {number|null} The ID of the active prize, or null if none active
+ */
+export const getActivePrizeId = (groupedPrizes) => {
+    for (const { prizes } of groupedPrizes) {
+        for (const prize of prizes) {
+            const prizeNow = getPrizeTimezoneNow(prize);
+            const today = prizeNow.getTime();
+            const todayWeekday = getISOWeekday(prizeNow);
+
+            // Check weekday-based activation
+            if (prize.weekdays && prize.weekdays.length > 0) {
+                const sortedWeekdays = [...prize.weekdays].sort((a, b) => a - b);
+                const activeWeekday = sortedWeekdays.find(day => day >= todayWeekday);
+                if (activeWeekday === todayWeekday) {
+                    return prize.id;
+                }
+            }
+
+            // Check timestamp-based activation
+            const adjustedFrom = adjustTimestampForPrize(prize.active_from_ts, prize);
+            const adjustedTill = adjustTimestampForPrize(prize.active_till_ts, prize);
+            if (adjustedFrom && adjustedTill && today >= adjustedFrom && today <= adjustedTill) {
+                return prize.id;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Gets the prize a group is displayed with when nothing has been won from it yet:
+ * the first prize whose first weekday (or active_from_ts) matches the groupId.
+ *
+ * @param {Array} groupPrizes - All prizes in the group
+ * @param {number} groupId - The group identifier (weekday or active_from_ts)
+ * @returns {Object} The prize to display for the group
+ */
+export const getGroupDisplayPrize = (groupPrizes, groupId) => {
+    const isWeekdays = groupPrizes.every(p => p.weekdays && p.weekdays.length > 0);
+    const prizesToShow = isWeekdays
+        ? groupPrizes.find(p => p.weekdays?.[0] === groupId)
+        : groupPrizes.find(p => p.active_from_ts === groupId);
+    return prizesToShow || groupPrizes[0];
+};
+
+// ============================================
+// NEXT UNLOCK
+// ============================================
+
+/**
+ * Finds the next group that unlocks after the current moment and how long until it does.
+ * The window start is calculated in the prize's timezone, so for UTC prizes the
+ * relative_period_timezone boundary is used instead of the user's midnight.
+ *
+ * Weekday schedules repeat every week, so there is always a next unlock for them;
+ * date schedules have none after their last group has opened.
+ *
+ * @param {Array} groupedPrizes - Array of {groupId, prizes} objects
+ * @returns {Object|null} {groupId, remainingMs} of the next unlock, or null if nothing unlocks anymore
+ */
+export const getNextUnlock = (groupedPrizes) => {
+    let nextUnlock = null;
+
+    groupedPrizes.forEach(({ groupId, prizes }) => {
+        const prize = getGroupDisplayPrize(prizes, groupId);
+        if (!prize) return;
+
+        const prizeNow = getPrizeTimezoneNow(prize);
+        let remainingMs = null;
+
+        if (prize.weekdays && prize.weekdays.length > 0) {
+            // Start of the group's weekday, this week if still ahead, otherwise next week
+            const daysAhead = (groupId - getISOWeekday(prizeNow) + 7) % 7 || 7;
+            const unlockDate = new Date(prizeNow);
+            unlockDate.setHours(0, 0, 0, 0);
+            unlockDate.setDate(unlockDate.getDate() + daysAhead);
+            remainingMs = unlockDate.getTime() - prizeNow.getTime();
+        } else {
+            const adjustedFrom = adjustTimestampForPrize(prize.active_from_ts, prize);
+            if (adjustedFrom && adjustedFrom > prizeNow.getTime()) {
+                remainingMs = adjustedFrom - prizeNow.getTime();
+            }
+        }
+
+        if (remainingMs !== null && (!nextUnlock || remainingMs < nextUnlock.remainingMs)) {
+            nextUnlock = { groupId, remainingMs };
+        }
+    });
+
+    return nextUnlock;
+};
+
+/**
+ * Formats a duration as a countdown, e.g. "03:12:45" or "2d 03:12:45" for more than a day.
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted countdown
+ */
+export const formatCountdown = (ms) => {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const time = [hours, minutes, seconds].map(value => String(value).padStart(2, '0')).join(':');
+
+    return days > 0 ? `${days}d ${time}` : time;
+};
+
+// ============================================
+// PRIZE STATUS CALCULATION
+// ============================================
+
+/**
+ * Calculates the complete status of a prize for a specific group.
+ * This includes claimed/acknowledged state, locked/missed state, active state, and stock status.
+ * 
+ * @param {Object} prize - The prize object (either prizeWon from history or default prizesToShow)
+ * @param {number} groupId - The group identifier (weekday or timestamp)
+ * @param {Object|null} historyItem - The history item if prize was won, null otherwise
+ * @returns {Object} Status object with isLocked, isMissed, isClaimed, isActive, isOutOfStock, isAcknowledged
+ */
+export const getPrizeStatus = (prize, groupId, historyItem = null) => {
+    if (!prize || groupId === undefined) {
+        return {
+            isLocked: false,
+            isMissed: false,
+            isClaimed: false,
+            isActive: false,
+            isOutOfStock: false,
+            isAcknowledged: false
+        };
+    }
+
+    const prizeNow = getPrizeTimezoneNow(prize);
+    const today = prizeNow.getTime();
+    const todayWeekday = getISOWeekday(prizeNow);
+
+    // Adjust timestamps for timezone
+    const adjustedFrom = adjustTimestampForPrize(prize.active_from_ts, prize);
+    const adjustedTill = adjustTimestampForPrize(prize.active_till_ts, prize);
+    const activeFrom = prize.active_from_ts ? adjustedFrom : null;
+    const activeTill = prize.active_till_ts ? adjustedTill : null;
+
+    // Claimed/acknowledged status from history item
+    const isClaimed = !!historyItem?.create_date_ts;
+    const isAcknowledged = !!historyItem?.acknowledge_date_ts;
+
+    // Determine if prize is active today
+    const isWeekdayBased = prize.weekdays && prize.weekdays.length > 0;
+    const firstAvailableDay = prize.weekdays?.find(day => day === groupId);
+    const isWeekdayTodaysPrize = firstAvailableDay === todayWeekday;
+    const isTimestampTodaysPrize = activeFrom && activeTill && today >= activeFrom && today <= activeTill;
+    const isActive = isTimestampTodaysPrize || isWeekdayTodaysPrize;
+
+    // Calculate locked/missed status
+    let isLocked = false;
+    let isMissed = false;
+
+    // Date-based prizes
+    if (activeFrom || activeTill) {
+        isLocked = !!(activeFrom && today < activeFrom);
+        if (!isClaimed && activeFrom && today > activeTill) {
+            isMissed = true;
+            isLocked = false;
+        }
+    }
+
+    // Weekday-based prizes (may override date-based logic)
+    if (isWeekdayBased) {
+        if (isWeekdayTodaysPrize) {
+            isLocked = false;
+            isMissed = false;
+        } else {
+            isLocked = !isClaimed;
+            const firstWeekday = prize.weekdays[0];
+
+            if (firstWeekday && firstWeekday < todayWeekday && !isClaimed) {
+                isMissed = true;
+                isLocked = false;
+            }
+
+            if (firstWeekday && firstWeekday > todayWeekday && !isClaimed) {
+                isLocked = true;
+                isMissed = false;
+            }
+        }
+    }
+
+    // Out of stock check: pool is 0, not claimed, and not a surcharge prize
+    const isOutOfStock = !isClaimed && prize.pool === 0 && !prize.is_surcharge;
+
+    return { isLocked, isMissed, isClaimed, isActive, isOutOfStock, isAcknowledged };
+};
+
+// ============================================
+// HISTORY MATCHING
+// ============================================
+
+/**
+ * Finds a prize from history that matches the current group.
+ * Similar to the React useEffect that finds prizeWon from history.
+ * 
+ * For weekday-based prizes: only matches history items from the CURRENT week.
+ * For calendar day prizes: only matches history items within the prize's active period.
+ * 
+ * @param {Array} groupPrizes - All prizes in this group
+ * @param {number} groupId - The group identifier (weekday or active_from_ts)
+ * @param {Array} history - The player's mini-game history (TSawHistory items)
+ * @returns {Object|null} {prize, historyItem} from history if found, null otherwise
+ */
+export const findPrizeWonFromHistory = (groupPrizes, groupId, history) => {
+    const isWeekdays = groupPrizes.every(prize => prize.weekdays && prize.weekdays.length > 0);
+
+    for (const prize of groupPrizes) {
+        const historyItem = history.find(item => {
+            // item.saw_prize_id matches prize.id (from TMiniGamePrize)
+            if (item.saw_prize_id !== prize.id) {
+                return false;
+            }
+
+            const historyDate = getHistoryDateForPrize(item.create_date_ts, prize);
+            const historyWeekday = getISOWeekday(historyDate);
+            const useUtc = isUTCTimezone(prize);
+
+            // Get current time in prize's timezone
+            const timezoneNow = getPrizeTimezoneNow(prize);
+            const currentWeek = getISOWeekNumber(timezoneNow);
+            const currentYear = getISOWeekYear(timezoneNow);
+
+            const adjustedFrom = adjustTimestampForPrize(prize.active_from_ts, prize);
+            const adjustedTill = adjustTimestampForPrize(prize.active_till_ts, prize);
+            const activeFrom = prize.active_from_ts ? adjustedFrom : null;
+            const activeTill = prize.active_till_ts ? adjustedTill : null;
+
+            if (isWeekdays) {
+                // For weekday-based prizes: check if history is from current week AND matches groupId
+                const historyWeek = getISOWeekNumber(historyDate);
+                const historyYear = getISOWeekYear(historyDate);
+
+                const isCurrentWeek = historyWeek === currentWeek && historyYear === currentYear;
+                const isCurrentWeekday = prize.weekdays?.some(day => day === historyWeekday && day === groupId);
+
+                return isCurrentWeek && isCurrentWeekday && historyWeekday === groupId;
+            } else {
+                // For calendar day prizes: check if history falls within the prize's active period
+                let isCurrentCalendarDay = false;
+                if (activeFrom && activeTill) {
+                    const historyTs = historyDate.getTime();
+                    if (useUtc) {
+                        isCurrentCalendarDay = historyTs >= activeFrom && historyTs <= activeTill;
+                    } else {
+                        const fromDate = new Date(activeFrom);
+                        fromDate.setHours(0, 0, 0, 0);
+                        const tillDate = new Date(activeTill);
+                        tillDate.setHours(23, 59, 59, 999);
+                        isCurrentCalendarDay = historyTs >= fromDate.getTime() && historyTs <= tillDate.getTime();
+                    }
+                }
+
+                return isCurrentCalendarDay && prize.active_from_ts === groupId;
+            }
+        });
+
+        if (historyItem) {
+            return { prize, historyItem };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Finds the history item of a win that still waits for the player's claim: an explicit-acknowledge
+ * prize whose win has no acknowledge_date_ts yet. History is returned newest first, so this is
+ * the latest pending win of the prize.
+ *
+ * @param {Object} prize - The won prize object
+ * @param {Array} history - The player's mini-game history (TSawHistory items)
+ * @returns {Object|null} The history item, null if the prize doesn't need a claim (any more)
+ */
+export const findPendingHistoryItem = (prize, history) => {
+    if (prize?.acknowledge_type !== 'explicity-acknowledge') return null;
+    return history.find(item => item.saw_prize_id === prize.id && !item.acknowledge_date_ts) || null;
+};
+
+/**
+ * Gets how far back the history must reach to match every prize of the schedule: the start of
+ * the current week for weekday-based prizes (history resets weekly), the start of the active
+ * period for calendar day prizes. A day of margin covers the prize timezones.
+ *
+ * @param {Array} prizes - The template's prizes
+ * @returns {number} Timestamp (ms) of the oldest history item that can matter, 0 if any can
+ */
+export const getHistoryRangeStart = (prizes) => {
+    const DAY_MS = 86400000;
+
+    const starts = prizes.map(prize => {
+        if (prize.active_from_ts) return prize.active_from_ts;
+        if (prize.weekdays && prize.weekdays.length > 0) {
+            const monday = getWeekdayDate({ ...prize, weekdays: [1] });
+            monday.setHours(0, 0, 0, 0);
+            return monday.getTime();
+        }
+        return null;
+    });
+
+    if (starts.length === 0 || starts.includes(null)) return 0;
+    return Math.min(...starts) - DAY_MS;
+};
+
+// ============================================
+// GROUP STATUS
+// ============================================
+
+/**
+ * Resolves everything a layout needs to draw the schedule: for every group the prize to show,
+ * the won prize and history item, the status and whether it is today's group.
+ *
+ * @param {Array} groupedPrizes - Array of {groupId, prizes} objects
+ * @param {Array} history - The player's mini-game history (TSawHistory items)
+ * @param {Array} [milestones] - saw_template_ui_definition.streak_milestones
+ * @returns {Array} One entry per group, in schedule order:
+ *   {groupId, index, prizes, displayPrize, prize, prizeWon, historyItem, status, isToday, isMilestone, milestoneLabel, date}
+ */
+export const getGroupedPrizesWithStatus = (groupedPrizes, history, milestones) => {
+    const streakMilestones = getStreakMilestones(milestones);
+
+    return groupedPrizes.map(({ groupId, prizes }, index) => {
+        // The prize scheduled for the day, used for the date; the won prize replaces it for display
+        const displayPrize = getGroupDisplayPrize(prizes, groupId);
+        const prizeWonResult = findPrizeWonFromHistory(prizes, groupId, history);
+        const prizeWon = prizeWonResult?.prize || null;
+        const historyItem = prizeWonResult?.historyItem || null;
+        const prize = prizeWon || displayPrize;
+
+        const todayGroupId = prize.active_from_ts ? prize.active_from_ts : getISOWeekday(getPrizeTimezoneNow(prize));
+
+        return {
+            groupId,
+            index,
+            prizes,
+            displayPrize,
+            prize,
+            prizeWon,
+            historyItem,
+            status: getPrizeStatus(prize, groupId, historyItem),
+            isToday: groupId === todayGroupId,
+            isMilestone: streakMilestones.has(index + 1),
+            milestoneLabel: streakMilestones.get(index + 1) || '',
+            date: getPrizeCalendarDate(displayPrize)
+        };
+    });
+};
+
+// ============================================
+// POSSIBLE REWARDS
+// ============================================
+
+/**
+ * Lists every prize a group can give, for the "possible rewards" view. The stock is only
+ * known when the prize has a pool; surcharge prizes are never out of stock (see getPrizeStatus).
+ *
+ * @param {Object} group - Group from getGroupedPrizesWithStatus (or any {prizes} object)
+ * @returns {Array} One entry per prize, in schedule order: {prize, stock, isSurcharge, isOutOfStock}
+ *   (stock is null for unlimited prizes)
+ */
+export const getGroupRewards = ({ prizes }) => {
+    return prizes.map(prize => {
+        const isSurcharge = !!prize.is_surcharge;
+        const stock = typeof prize.pool === 'number' ? prize.pool : null;
+
+        return {
+            prize,
+            stock,
+            isSurcharge,
+            isOutOfStock: stock === 0 && !isSurcharge
+        };
+    });
+};
+
+// ============================================
+// STREAKS
+// ============================================
+
+/**
+ * Calculates the player's claim streak over the grouped schedule.
+ * Weekday schedules cover the current ISO week (history resets weekly), date schedules the whole campaign.
+ *
+ * - currentStreak: consecutive claimed groups up to today; today's still-open group doesn't break it
+ * - longestStreak: longest run of consecutive claimed groups so far
+ * - missedDays: past groups that were not claimed
+ *
+ * @param {Array} groupedPrizes - Array of {groupId, prizes} objects
+ * @param {Array} history - The player's mini-game history (TSawHistory items)
+ * @returns {Object} {currentStreak, longestStreak, missedDays, claimedDays, totalDays}
+ */
+export const calculateStreak = (groupedPrizes, history) => {
+    // Status of every group in schedule order: 'claimed', 'missed', 'open' (today, not claimed yet) or 'locked'
+    const days = groupedPrizes.map(({ groupId, prizes }) => {
+        const prizeWonResult = findPrizeWonFromHistory(prizes, groupId, history);
+        const prize = prizeWonResult?.prize || getGroupDisplayPrize(prizes, groupId);
+        const { isClaimed, isMissed, isActive } = getPrizeStatus(prize, groupId, prizeWonResult?.historyItem);
+
+        if (isClaimed) return 'claimed';
+        if (isMissed) return 'missed';
+        if (isActive) return 'open';
+        return 'locked';
+    });
+
+    let longestStreak = 0;
+    let run = 0;
+    days.forEach(day => {
+        if (day === 'claimed') {
+            run++;
+            longestStreak = Math.max(longestStreak, run);
+        } else if (day === 'missed') {
+            run = 0;
+        }
+    });
+
+    let currentStreak = 0;
+    for (let i = days.length - 1; i >= 0; i--) {
+        if (days[i] === 'locked' || days[i] === 'open') continue;
+        if (days[i] !== 'claimed') break;
+        currentStreak++;
+    }
+
+    return {
+        currentStreak,
+        longestStreak,
+        missedDays: days.filter(day => day === 'missed').length,
+        claimedDays: days.filter(day => day === 'claimed').length,
+        totalDays: days.length
+    };
+};
+
+/**
+ * Normalizes the optional streak milestone definition from the template UI definition.
+ * Accepts day numbers (1-based position in the schedule) or objects with a label:
+ * [7] or [{ day: 7, label: 'Bonus box' }]
+ *
+ * @param {Array} [milestones] - saw_template_ui_definition.streak_milestones
+ * @returns {Map<number, string>} Milestone label by day number (empty label = default)
+ */
+export const getStreakMilestones = (milestones) => {
+    const milestoneMap = new Map();
+    (Array.isArray(milestones) ? milestones : []).forEach(milestone => {
+        const day = typeof milestone === 'object' ? milestone?.day : milestone;
+        if (Number.isInteger(day) && day > 0) {
+            milestoneMap.set(day, (typeof milestone === 'object' && milestone.label) || '');
+        }
+    });
+    return milestoneMap;
+};
+
+// ============================================
+// DATE FORMATTING
+// ============================================
+
+/**
+ * Gets the date to display for a weekday-based prize.
+ * Calculates the actual calendar date for the prize's weekday in the current week.
+ * 
+ * @param {Object} prize - The prize object
+ * @returns {Date} The target date for the prize's weekday
+ */
+export const getWeekdayDate = (prize) => {
+    const prizeNow = getPrizeTimezoneNow(prize);
+    const currentDay = getISOWeekday(prizeNow);
+    const targetWeekday = prize.weekdays[0];
+
+    const daysDifference = targetWeekday - currentDay;
+
+    const targetDate = new Date(prizeNow);
+    targetDate.setDate(prizeNow.getDate() + daysDifference);
+
+    return targetDate;
+};
+
+/**
+ * Formats a prize's date for display on the card.
+ * Handles both date-based and weekday-based prizes with timezone awareness.
+ * 
+ * @param {Object} prize - The prize object
+ * @param {string} langCode - Language code for localization (e.g., 'en', 'de')
+ * @returns {string} Formatted date string (e.g., "15 Feb")
+ */
+export const getPrizeDate = (prize, langCode) => {
+    const useUtc = isUTCTimezone(prize);
+
+    if (prize.active_from_ts) {
+        const date = useUtc
+            ? new Date(prize.active_from_ts + ((prize?.relative_period_timezone || 0) * 60000))
+            : new Date(prize.active_from_ts);
+        return date.toLocaleDateString(langCode || 'en', { month: 'short', day: 'numeric' });
+    } else if (prize.weekdays && prize.weekdays.length > 0) {
+        const targetDate = getWeekdayDate(prize);
+        return targetDate.toLocaleDateString(langCode || 'en', { month: 'short', day: 'numeric' });
+    }
+
+    return '';
+};
+
+// ============================================
+// CALENDAR GRID
+// ============================================
+
+/**
+ * Gets the calendar day of a prize, in the same timezone context as getPrizeDate.
+ * 
+ * @param {Object} prize - The prize object
+ * @returns {Date} A moment on the prize's calendar day
+ */
+export const getPrizeCalendarDate = (prize) => {
+    if (prize.active_from_ts) {
+        return new Date(adjustTimestampForPrize(prize.active_from_ts, prize));
+    }
+    return getWeekdayDate(prize);
+};
+
+/**
+ * Lays the grouped schedule out as a Monday-first calendar: one cell per day from the Monday
+ * of the first group's week to the Sunday of the last group's week, so a month-long date
+ * schedule fits a 7-column grid. Days without a box (padding and gaps in the schedule)
+ * have groupId null.
+ *
+ * @param {Array} groupedPrizes - Array of {groupId, prizes} objects
+ * @returns {Array} Cells in calendar order: {date, groupId, index} (index = position in groupedPrizes)
+ */
+export const getCalendarCells = (groupedPrizes) => {
+    if (groupedPrizes.length === 0) return [];
+
+    const DAY_MS = 86400000;
+    // Whole day numbers since the epoch, counted in UTC so DST days don't shift the arithmetic
+    const toDayNumber = (date) => Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+    // Day 0 (1970-01-01) was a Thursday, ISO weekday 4
+    const dayNumberWeekday = (day) => (((day + 3) % 7) + 7) % 7 + 1;
+
+    const groupsByDay = new Map();
+    groupedPrizes.forEach(({ groupId, prizes }, index) => {
+        const day = toDayNumber(getPrizeCalendarDate(getGroupDisplayPrize(prizes, groupId)));
+        if (!groupsByDay.has(day)) {
+            groupsByDay.set(day, { groupId, index });
+        }
+    });
+
+    const days = [...groupsByDay.keys()];
+    const firstDay = Math.min(...days);
+    const lastDay = Math.max(...days);
+    const gridStart = firstDay - (dayNumberWeekday(firstDay) - 1);
+    const gridEnd = lastDay + (7 - dayNumberWeekday(lastDay));
+
+    const cells = [];
+    for (let day = gridStart; day <= gridEnd; day++) {
+        const utcDate = new Date(day * DAY_MS);
+        const group = groupsByDay.get(day);
+        cells.push({
+            date: new Date(utcDate.getUTCFullYear(), utcDate.getUTCMonth(), utcDate.getUTCDate()),
+            groupId: group ? group.groupId : null,
+            index: group ? group.index : null
+        });
+    }
+
+    return cells;
+};
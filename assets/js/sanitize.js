@@ -0,0 +1,188 @@
+/**
+ * Smartico Lootbox Game - Safe Rendering
+ *
+ * Prize names, acknowledge messages, template texts and translations are entered by operators
+ * and rendered through template literals and innerHTML. Every such value goes through this
+ * module before it reaches the markup:
+ *
+ *   - escapeHTML for text and attribute values,
+ *   - sanitizeUrl / cssUrl for image URLs (src="" and url()),
+ *   - sanitizeRichText for the two fields that may carry formatting: the game description
+ *     (rules) and the promo text.
+ *
+ * No DOM is needed, so it runs in the node test suite as it is.
+ */
+
+// Formatting tags the rules and the promo text may use. Attributes are dropped, except href on links.
+const RICH_TEXT_TAGS = ['a', 'b', 'strong', 'i', 'em', 'u', 's', 'br', 'p', 'span', 'ul', 'ol', 'li', 'h3', 'h4'];
+const VOID_TAGS = ['br'];
+// Tags removed together with their content
+const DROPPED_CONTENT_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math', 'select'];
+
+// Comments, and opening/closing tags with quoted attribute values that may contain ">"
+const TAG_PATTERN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-z][a-z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+const HREF_PATTERN = /\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i;
+const DATA_IMAGE_PATTERN = /^data:image\/(?:png|gif|jpe?g|webp|avif);base64,[a-z0-9+/]+=*$/i;
+
+// ============================================
+// TEXT
+// ============================================
+
+/**
+ * Escapes a value for use as text or as a quoted attribute value in HTML.
+ *
+ * @param {*} value - The value, e.g. a prize name; null and undefined give an empty string
+ * @returns {string} The escaped text
+ */
+export const escapeHTML = (value) => {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+/**
+ * Escapes the text between the tags of rich text. Entities the operator wrote (&nbsp;, &euro;)
+ * are kept, a lone "&" or "<" is escaped.
+ *
+ * @param {string} text - Text without tags
+ * @returns {string} The escaped text
+ */
+const escapeRichTextContent = (text) => {
+    return text
+        .replace(/&(?!(?:[a-z][a-z0-9]*|#\d+|#x[0-9a-f]+);)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+};
+
+// ============================================
+// URLS
+// ============================================
+
+/**
+ * Checks a URL before it's used for an image or a link: http(s), protocol-relative and relative
+ * URLs pass, and base64 data images. Other schemes (javascript:, data:text/html, ...) and URLs
+ * with control characters, which browsers strip before reading the scheme, are refused.
+ *
+ * @param {*} value - The URL as configured
+ * @returns {string} The trimmed URL, or an empty string if it isn't safe
+ */
+export const sanitizeUrl = (value) => {
+    if (typeof value !== 'string') return '';
+
+    const url = value.trim();
+    if (url === '' || /[\u0000-\u001F\u007F]/.test(url)) return '';
+
+    const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i)?.[1].toLowerCase();
+    if (!scheme) return url;
+    if (scheme === 'http' || scheme === 'https') return url;
+    if (scheme === 'data' && DATA_IMAGE_PATTERN.test(url)) return url;
+
+    return '';
+};
+
+/**
+ * Builds a CSS url() value for an image, e.g. for style="background-image: ...". The URL is
+ * quoted, so quotes and parentheses in it can't end the value. Escape the result with escapeHTML
+ * when it goes into a style attribute.
+ *
+ * @param {*} value - The image URL as configured
+ * @returns {string} url("...") or "none" if the URL isn't safe
+ */
+export const cssUrl = (value) => {
+    const url = sanitizeUrl(value);
+    return url ? `url(${JSON.stringify(url)})` : 'none';
+};
+
+// ============================================
+// RICH TEXT
+// ============================================
+
+/**
+ * Renders the opening tag of a link with a safe href. Links open in a new tab, so the game
+ * (often in an iframe of the casino) stays where it is.
+ *
+ * @param {string} attributes - Attribute source of the tag
+ * @returns {string} The opening tag, without href if the URL isn't safe
+ */
+const renderLinkTag = (attributes) => {
+    const match = attributes.match(HREF_PATTERN);
+    const rawHref = (match?.[1] ?? match?.[2] ?? match?.[3] ?? '').replace(/&amp;/gi, '&');
+
+    // Other entities could spell out a scheme ("javascript&#58;"), so they are refused
+    const href = /&#|&[a-z]+;/i.test(rawHref) ? '' : sanitizeUrl(rawHref);
+
+    return href
+        ? `<a href="${escapeHTML(href)}" target="_blank" rel="noopener noreferrer">`
+        : '<a>';
+};
+
+/**
+ * Sanitizes operator formatting for the rules and the promo text: the tags of RICH_TEXT_TAGS are
+ * kept without their attributes (links keep a checked href), other tags are removed, script-like
+ * tags with their content, and unclosed tags are closed so they can't break the layout.
+ *
+ * @param {*} html - The formatted text as configured
+ * @returns {string} HTML that is safe to assign to innerHTML
+ */
+export const sanitizeRichText = (html) => {
+    const source = String(html ?? '');
+    const openTags = [];
+    let output = '';
+    let droppedTag = null;
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+        const [tagSource, slash, name, attributes] = match;
+        const text = source.slice(lastIndex, match.index);
+        lastIndex = match.index + tagSource.length;
+
+        const tag = name?.toLowerCase();
+        const isClosing = slash === '/';
+
+        // Inside <script> and the like everything is dropped up to the closing tag
+        if (droppedTag) {
+            if (isClosing && tag === droppedTag) droppedTag = null;
+            continue;
+        }
+
+        output += escapeRichTextContent(text);
+
+        if (!tag) continue;
+
+        if (DROPPED_CONTENT_TAGS.includes(tag)) {
+            if (!isClosing && !attributes.trim().endsWith('/')) droppedTag = tag;
+            continue;
+        }
+        if (!RICH_TEXT_TAGS.includes(tag)) continue;
+
+        if (VOID_TAGS.includes(tag)) {
+            if (!isClosing) output += `<${tag}>`;
+            continue;
+        }
+
+        if (isClosing) {
+            // Closes the tags opened inside it too; a closing tag that wasn't opened is dropped
+            const index = openTags.lastIndexOf(tag);
+            if (index === -1) continue;
+            while (openTags.length > index) {
+                output += `</${openTags.pop()}>`;
+            }
+            continue;
+        }
+
+        openTags.push(tag);
+        output += tag === 'a' ? renderLinkTag(attributes) : `<${tag}>`;
+    }
+
+    if (!droppedTag) {
+        output += escapeRichTextContent(source.slice(lastIndex));
+    }
+    while (openTags.length > 0) {
+        output += `</${openTags.pop()}>`;
+    }
+
+    return output;
+};
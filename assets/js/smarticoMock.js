@@ -0,0 +1,486 @@
+/**
+ * Smartico SDK Mock - Offline stand-in for https://libs.smartico.ai/smartico.js
+ *
+ * Loaded by index.html instead of the real SDK when the page is opened with ?mock=<scenario>.
+ * The scenario is a fixture JSON file from ./assets/mock/<scenario>.json describing the
+ * game templates, prizes, stock, the player's history and the translations.
+ *
+ * Supported URL parameters:
+ * - mock=<scenario>      - Fixture file to load (e.g. mock=cards-weekly)
+ * - mock_err=<code>      - Forces every playMiniGame call to fail with the given SAWSpinErrorCode
+ * - mock_prize=<id>      - Forces every successful playMiniGame call to win the given prize
+ * - mock_delay=<ms>      - Simulated network latency for every API call (default 300)
+ * - mock_ack_err=<code>  - Fails the first claim/decline (miniGameWinAcknowledgeRequest) with the given code, to try the retry
+ * - mock_spin_delay=<ms> - Extra latency before playMiniGame calls are played, e.g. beyond the spin timeout
+ * - mock_spin_fail=<how> - Fails the first playMiniGame call with a network error: "lost" after the
+ *                          spin was played (the answer got lost), "error" before it reached the server
+ *
+ * Fixture dates can be given relative to the current day so scenarios stay reproducible:
+ * - prize.active_from_day / prize.active_till_day - Day offsets from today (0 = today, -1 = yesterday)
+ * - history.days_ago                              - Day offset of the history item (0 = today)
+ * - history.weekday                               - ISO weekday (1-7) of the current week instead of days_ago
+ * - history.acknowledged                          - Sets acknowledge_date_ts to the creation time
+ *
+ * A scenario can also pin the spin outcome with "spin_error" (a SAWSpinErrorCode) or "spin_prize_id".
+ * Paid templates (saw_buyin_type "points", "gems" or "diamonds" with buyin_cost_points) are
+ * charged from the balances of the scenario's "user", and fail like the platform when it's too low.
+ *
+ * The mock is exposed as window._smarticoMock for scripting scenarios from the console.
+ * Changes made through it (setStock, addHistory, updateTemplate) are pushed to the onUpdate
+ * callbacks of getMiniGames / getMiniGamesHistory, like server-side changes in the real SDK.
+ */
+
+(function () {
+    const mockParams = new URLSearchParams(window.location.search);
+
+    const MOCK_SCENARIO = mockParams.get('mock') || 'cards-weekly';
+    const MOCK_FORCED_ERROR = mockParams.has('mock_err') ? parseInt(mockParams.get('mock_err'), 10) : null;
+    const MOCK_FORCED_PRIZE = mockParams.has('mock_prize') ? parseInt(mockParams.get('mock_prize'), 10) : null;
+    const MOCK_DELAY = mockParams.has('mock_delay') ? parseInt(mockParams.get('mock_delay'), 10) : 300;
+    let mockAckError = mockParams.has('mock_ack_err') ? parseInt(mockParams.get('mock_ack_err'), 10) : null;
+    const MOCK_SPIN_DELAY = mockParams.has('mock_spin_delay') ? parseInt(mockParams.get('mock_spin_delay'), 10) : 0;
+    let mockSpinFailure = mockParams.get('mock_spin_fail');
+
+    const DAY_MS = 86400000;
+
+    // Error codes used by the mock itself, same values as SAWSpinErrorCode in game.js
+    const MOCK_ERR_OK = 0;
+    const MOCK_ERR_PRIZE_POOL_EMPTY = 40002;
+    const MOCK_ERR_MAX_SPINS_REACHED = 40004;
+
+    // Balance property and "not enough" error of each paid buy-in type
+    const MOCK_BUYIN_BALANCES = {
+        points: { property: 'ach_points_balance', errCode: 40003 },
+        gems: { property: 'ach_gems_balance', errCode: 40011 },
+        diamonds: { property: 'ach_diamonds_balance', errCode: 40012 }
+    };
+
+    // ============================================
+    // MOCK STATE
+    // ============================================
+
+    let scenario = null;
+    let templates = [];
+    let history = [];
+    let userProps = {};
+    let translations = {};
+    let initialized = false;
+    const listeners = {};
+    const gamesSubscribers = [];
+    const historySubscribers = [];
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    /**
+     * Current time of the game clock (window.lootboxClock from game.js), so history written
+     * by the mock lines up with the time-travel mode. Falls back to the system clock.
+     * @returns {Date} Current time
+     */
+    const mockNow = () => {
+        return window.lootboxClock ? window.lootboxClock.now() : new Date();
+    };
+
+    /**
+     * Resolves after the configured latency to mimic a network round-trip.
+     * @param {*} value - Value to resolve with
+     * @returns {Promise<*>} Deep copy of value, so callers can't mutate the mock state
+     */
+    const respond = (value) => {
+        return new Promise((resolve) => {
+            setTimeout(() => resolve(value === undefined ? value : JSON.parse(JSON.stringify(value))), MOCK_DELAY);
+        });
+    };
+
+    /**
+     * Rejects after the configured latency, like a request whose connection dropped.
+     * @returns {Promise<never>} Rejects with a network error
+     */
+    const failNetwork = () => {
+        return new Promise((resolve, reject) => {
+            setTimeout(() => reject(new Error('Mock network error')), MOCK_DELAY);
+        });
+    };
+
+    /**
+     * Returns the local midnight of the day at the given offset from today.
+     * @param {number} dayOffset - Offset in days (0 = today)
+     * @returns {number} Timestamp in milliseconds
+     */
+    const getDayStart = (dayOffset) => {
+        const date = mockNow();
+        date.setHours(0, 0, 0, 0);
+        date.setDate(date.getDate() + dayOffset);
+        return date.getTime();
+    };
+
+    /**
+     * Gets the ISO weekday (1=Monday, 7=Sunday) of the current day.
+     * @returns {number} ISO weekday
+     */
+    const getTodayISOWeekday = () => {
+        const day = mockNow().getDay();
+        return day === 0 ? 7 : day;
+    };
+
+    /**
+     * Converts relative fixture fields into the absolute values the real API returns.
+     * @param {Object} prize - Prize definition from the fixture
+     * @returns {Object} Prize in TMiniGamePrize shape
+     */
+    const resolvePrize = (prize) => {
+        const resolved = { ...prize };
+
+        if (prize.active_from_day !== undefined) {
+            resolved.active_from_ts = getDayStart(prize.active_from_day);
+            delete resolved.active_from_day;
+        }
+        if (prize.active_till_day !== undefined) {
+            resolved.active_till_ts = getDayStart(prize.active_till_day) + DAY_MS - 1;
+            delete resolved.active_till_day;
+        }
+
+        return resolved;
+    };
+
+    /**
+     * Converts a relative fixture history entry into a TSawHistory-like object.
+     * @param {Object} item - History entry from the fixture
+     * @param {number} index - Position in the fixture, used for a stable request id
+     * @returns {Object} History item
+     */
+    const resolveHistoryItem = (item, index) => {
+        const resolved = { ...item };
+
+        // Noon avoids the entry sliding into a neighbouring day for small timezone offsets
+        if (item.weekday !== undefined) {
+            resolved.create_date_ts = getDayStart(item.weekday - getTodayISOWeekday()) + DAY_MS / 2;
+            delete resolved.weekday;
+        }
+        if (item.days_ago !== undefined) {
+            resolved.create_date_ts = getDayStart(-item.days_ago) + DAY_MS / 2;
+            delete resolved.days_ago;
+        }
+        if (item.acknowledged) {
+            resolved.acknowledge_date_ts = resolved.create_date_ts;
+        }
+        delete resolved.acknowledged;
+
+        resolved.request_id = resolved.request_id || `mock-request-${index + 1}`;
+        return resolved;
+    };
+
+    /**
+     * Finds the prizes of a template that can be won right now.
+     * Mirrors the calendar rules of the game: weekday prizes match today's ISO weekday,
+     * date prizes match when today falls into their active window.
+     *
+     * @param {Object} template - The game template
+     * @returns {Array} Prizes available today
+     */
+    const getTodayPrizes = (template) => {
+        const now = mockNow().getTime();
+        const todayWeekday = getTodayISOWeekday();
+
+        return (template.prizes || []).filter(prize => {
+            if (prize.weekdays && prize.weekdays.length > 0) {
+                return prize.weekdays.includes(todayWeekday);
+            }
+            return prize.active_from_ts && prize.active_till_ts && now >= prize.active_from_ts && now <= prize.active_till_ts;
+        });
+    };
+
+    /**
+     * Checks whether the player already won today in the given template.
+     * @param {number} templateId - Template ID
+     * @returns {boolean} True if there is a history item created today
+     */
+    const hasWonToday = (templateId) => {
+        const todayStart = getDayStart(0);
+        return history.some(item => item.saw_template_id === templateId && item.create_date_ts >= todayStart);
+    };
+
+    // ============================================
+    // SCENARIO LOADING
+    // ============================================
+
+    /**
+     * Loads a scenario fixture and resets the mock state from it.
+     * @param {string} name - Scenario file name without extension
+     * @returns {Promise<void>}
+     */
+    const loadScenario = async (name) => {
+        const response = await fetch(`./assets/mock/${name}.json`, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`Mock scenario "${name}" not found`);
+        }
+
+        scenario = await response.json();
+        templates = (scenario.templates || []).map(template => ({
+            ...template,
+            prizes: (template.prizes || []).map(resolvePrize)
+        }));
+        // Entries that resolve into the future (e.g. a Tuesday claim when today is Monday) can't exist yet
+        history = (scenario.history || [])
+            .map(resolveHistoryItem)
+            .filter(item => item.create_date_ts <= mockNow().getTime());
+        userProps = scenario.user || {};
+        translations = scenario.translations || {};
+    };
+
+    /**
+     * Returns the history of a template, newest first, in the shape getMiniGamesHistory responds with.
+     * @param {Object} params - { limit, offset, saw_template_id }
+     * @returns {Array} History items
+     */
+    const queryHistory = ({ limit = 1000, offset = 0, saw_template_id } = {}) => {
+        const templateId = parseInt(saw_template_id, 10);
+        return history
+            .filter(item => !templateId || item.saw_template_id === templateId)
+            .sort((a, b) => b.create_date_ts - a.create_date_ts)
+            .slice(offset, offset + limit);
+    };
+
+    /**
+     * Pushes the current templates and history to every onUpdate subscriber, after the
+     * simulated latency, the way the real SDK notifies about server-side changes.
+     */
+    const notifyUpdates = () => {
+        gamesSubscribers.forEach(onUpdate => respond(templates).then(onUpdate));
+        historySubscribers.forEach(({ params, onUpdate }) => respond(queryHistory(params)).then(onUpdate));
+    };
+
+    const emit = (eventName) => {
+        (listeners[eventName] || []).forEach(callback => callback());
+    };
+
+    /**
+     * Plays the game: picks one of today's prizes, decrements its stock and records history.
+     * @param {number} templateId - Template ID
+     * @returns {Promise<Object>} { err_code, err_message, prize_id }
+     */
+    const playSpin = (templateId) => {
+        const template = templates.find(t => t.id === templateId);
+
+        if (mockSpinFailure === 'error') {
+            mockSpinFailure = null;
+            return failNetwork();
+        }
+
+        if (MOCK_FORCED_ERROR !== null) {
+            return respond({ err_code: MOCK_FORCED_ERROR, err_message: `Mock error ${MOCK_FORCED_ERROR}` });
+        }
+        if (scenario.spin_error) {
+            return respond({ err_code: scenario.spin_error, err_message: `Mock error ${scenario.spin_error}` });
+        }
+        if (!template || hasWonToday(templateId)) {
+            return respond({ err_code: MOCK_ERR_MAX_SPINS_REACHED, err_message: 'Max spins reached' });
+        }
+
+        const buyIn = MOCK_BUYIN_BALANCES[template.saw_buyin_type];
+        const cost = buyIn ? template.buyin_cost_points || 0 : 0;
+        if (cost > 0 && (userProps[buyIn.property] || 0) < cost) {
+            return respond({ err_code: buyIn.errCode, err_message: `Not enough ${template.saw_buyin_type}` });
+        }
+
+        const todayPrizes = getTodayPrizes(template);
+        const forcedPrize = todayPrizes.find(p => p.id === (MOCK_FORCED_PRIZE ?? scenario.spin_prize_id));
+        const inStockPrizes = todayPrizes.filter(p => p.pool === undefined || p.pool === null || p.pool > 0);
+        const prize = forcedPrize || inStockPrizes[Math.floor(Math.random() * inStockPrizes.length)];
+
+        if (!prize || prize.pool === 0) {
+            return respond({ err_code: MOCK_ERR_PRIZE_POOL_EMPTY, err_message: 'Prize pool is empty' });
+        }
+
+        if (typeof prize.pool === 'number') {
+            prize.pool--;
+        }
+        if (cost > 0) {
+            userProps[buyIn.property] -= cost;
+        }
+        // Explicit-acknowledge wins wait for miniGameWinAcknowledgeRequest, everything else is acknowledged right away
+        history.push(resolveHistoryItem({
+            saw_template_id: templateId,
+            saw_prize_id: prize.id,
+            create_date_ts: mockNow().getTime(),
+            acknowledged: prize.acknowledge_type !== 'explicity-acknowledge'
+        }, history.length));
+        notifyUpdates();
+
+        if (mockSpinFailure === 'lost') {
+            mockSpinFailure = null;
+            return failNetwork();
+        }
+        return respond({ err_code: MOCK_ERR_OK, err_message: '', prize_id: prize.id });
+    };
+
+    // ============================================
+    // PUBLIC API
+    // ============================================
+
+    const api = {
+        /**
+         * @param {Object} [params] - { onUpdate } called with all templates whenever they change
+         * @returns {Promise<Array>} All game templates of the scenario
+         */
+        getMiniGames: ({ onUpdate } = {}) => {
+            if (onUpdate) {
+                gamesSubscribers.push(onUpdate);
+            }
+            return respond(templates);
+        },
+
+        /**
+         * @param {Object} params - { limit, offset, saw_template_id, onUpdate }
+         * @returns {Promise<Array>} History items of the template, newest first
+         */
+        getMiniGamesHistory: (params = {}) => {
+            if (params.onUpdate) {
+                historySubscribers.push({ params, onUpdate: params.onUpdate });
+            }
+            return respond(queryHistory(params));
+        },
+
+        /**
+         * Plays the game, see playSpin. With mock_spin_delay the server is slow: the spin is
+         * played and answered only after the extra latency.
+         * @param {number} templateId - Template ID
+         * @returns {Promise<Object>} { err_code, err_message, prize_id }
+         */
+        playMiniGame: (templateId) => {
+            if (MOCK_SPIN_DELAY > 0) {
+                return new Promise((resolve) => setTimeout(resolve, MOCK_SPIN_DELAY)).then(() => playSpin(templateId));
+            }
+            return playSpin(templateId);
+        },
+
+        /**
+         * Claims (or declines) an explicit-acknowledge win. Either way the win is resolved,
+         * so acknowledge_date_ts is set on the history item.
+         * @param {string} requestId - request_id of the history item
+         * @param {boolean} [confirm=true] - False to decline the prize
+         * @returns {Promise<Object>} { err_code, err_message }
+         */
+        miniGameWinAcknowledgeRequest: (requestId, confirm = true) => {
+            if (mockAckError !== null) {
+                const errCode = mockAckError;
+                mockAckError = null;
+                return respond({ err_code: errCode, err_message: `Mock error ${errCode}` });
+            }
+
+            const item = history.find(h => h.request_id === requestId);
+            if (!item) {
+                return respond({ err_code: 1, err_message: 'Unknown request_id' });
+            }
+
+            item.acknowledge_date_ts = mockNow().getTime();
+            console.info(`[smartico-mock] Prize ${item.saw_prize_id} ${confirm ? 'claimed' : 'declined'}`);
+            notifyUpdates();
+
+            return respond({ err_code: MOCK_ERR_OK, err_message: '' });
+        },
+
+        /**
+         * @returns {Promise<Object>} { translations } from the scenario
+         */
+        getTranslations: () => respond({ translations })
+    };
+
+    window._smarticoMock = {
+        get scenario() {
+            return scenario;
+        },
+        get history() {
+            return history;
+        },
+        get templates() {
+            return templates;
+        },
+        loadScenario,
+
+        /**
+         * Changes the stock of a prize, e.g. _smarticoMock.setStock(203, 0) to run it out.
+         * @param {number} prizeId - Prize ID
+         * @param {number|null} pool - Remaining stock (null = unlimited)
+         */
+        setStock: (prizeId, pool) => {
+            templates.forEach(template => {
+                const prize = (template.prizes || []).find(p => p.id === prizeId);
+                if (prize) {
+                    prize.pool = pool;
+                }
+            });
+            notifyUpdates();
+        },
+
+        /**
+         * Adds a history item, e.g. a claim made on another device.
+         * Accepts the same relative fields as the fixture (days_ago, weekday, acknowledged).
+         * @param {Object} item - History item
+         */
+        addHistory: (item) => {
+            history.push(resolveHistoryItem({ create_date_ts: mockNow().getTime(), ...item }, history.length));
+            notifyUpdates();
+        },
+
+        /**
+         * Patches a template like an operator edit in the BackOffice,
+         * e.g. _smarticoMock.updateTemplate(1514, { name: 'Winter Lootbox' }).
+         * @param {number} templateId - Template ID
+         * @param {Object} patch - Template fields to change (prizes are resolved like fixture prizes)
+         */
+        updateTemplate: (templateId, patch) => {
+            const template = templates.find(t => t.id === templateId);
+            if (!template) return;
+
+            Object.assign(template, patch);
+            if (patch.prizes) {
+                template.prizes = patch.prizes.map(resolvePrize);
+            }
+            notifyUpdates();
+        }
+    };
+
+    window._smartico = {
+        api,
+
+        /**
+         * Loads the scenario and fires the 'init' listeners, like the real SDK does after connecting.
+         */
+        init: () => {
+            console.info(`[smartico-mock] Using scenario "${MOCK_SCENARIO}"`);
+            const start = () => {
+                loadScenario(MOCK_SCENARIO)
+                    .then(() => {
+                        initialized = true;
+                        emit('init');
+                    })
+                    .catch(error => console.error('[smartico-mock]', error));
+            };
+            // Relative fixture dates are resolved against the game clock, which is set up on DOMContentLoaded
+            if (document.readyState === 'loading') {
+                window.addEventListener('DOMContentLoaded', start);
+            } else {
+                start();
+            }
+        },
+
+        on: (eventName, callback) => {
+            listeners[eventName] = listeners[eventName] || [];
+            listeners[eventName].push(callback);
+            if (eventName === 'init' && initialized) {
+                callback();
+            }
+        },
+
+        getPublicProps: () => respond(userProps),
+        suspendInbox: () => {},
+        suspendPopups: () => {},
+
+        /**
+         * Deep links (e.g. "dp:deposit") open platform pages in the real SDK; the mock only logs them.
+         */
+        dp: (link) => console.info(`[smartico-mock] Deep link ${link}`)
+    };
+})();
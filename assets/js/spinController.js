@@ -0,0 +1,180 @@
+/**
+ * Smartico Lootbox Game - Spin Controller
+ *
+ * Sends the spin requests of every layout. Only one request is out at a time: asking again while
+ * it runs gets the same answer, and nothing new is sent while an earlier, unanswered request may
+ * still be played by the server.
+ *
+ * A request that fails or doesn't answer in time may have been played anyway, e.g. when the
+ * connection dropped after the server accepted it. The history is checked first, against the
+ * request_ids known before the spin: a new history item means the spin went through and counts
+ * as won. Otherwise a failed request is sent once more, while a request that is still unanswered
+ * is reported as unconfirmed (SPIN_UNCONFIRMED) and its late answer is handed to onLateResponse.
+ * Either way the player never gets a prize twice or loses one that was awarded.
+ *
+ * No DOM is needed, so it runs in the node test suite as it is.
+ */
+
+/**
+ * err_code of a spin whose outcome couldn't be confirmed (no answer and nothing in the history)
+ */
+export const SPIN_UNCONFIRMED = 'spin-unconfirmed';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const MAX_RETRIES = 1;
+// err_code of a successful spin (SAWSpinErrorCode.SAW_OK)
+const SAW_OK = 0;
+
+const TIMED_OUT = Symbol('timed out');
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Waits for a promise, but no longer than the timeout.
+ *
+ * @param {Promise} promise - The request
+ * @param {number} timeoutMs - Time to wait
+ * @returns {Promise<*>} The result of the promise, or TIMED_OUT
+ */
+const withTimeout = (promise, timeoutMs) => {
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(TIMED_OUT), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * @param {number} ms - Time to wait
+ * @returns {Promise<void>} Resolves after the time
+ */
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ============================================
+// SPIN CONTROLLER
+// ============================================
+
+/**
+ * Creates the spin controller of a game.
+ *
+ * @param {Object} options - Controller options
+ * @param {Function} options.play - Sends the spin request: (templateId) => Promise<{err_code, err_message, prize_id}>
+ * @param {Function} options.fetchHistory - Fetches the history of the template: (templateId) => Promise<Array>
+ * @param {Function} [options.onLateResponse] - Called with the answer of a request reported as unconfirmed, once it comes
+ * @param {number} [options.timeoutMs] - Time to wait for an answer (default 15s)
+ * @param {number} [options.retryDelayMs] - Pause before a failed request is sent again (default 1s)
+ * @returns {Object} { spin(templateId, knownHistory), isBusy }
+ */
+export const createSpinController = ({
+    play,
+    fetchHistory,
+    onLateResponse,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS
+}) => {
+    let inFlight = null;
+    // Request that timed out and may still be played by the server
+    let unansweredRequest = null;
+
+    /**
+     * Looks for a spin the server played although its request failed or timed out.
+     *
+     * @param {number} templateId - The template ID
+     * @param {Set} knownRequestIds - request_ids of the history before the spin
+     * @returns {Promise<Object|null|undefined>} The new history item, null if there is none, undefined if the history couldn't be read
+     */
+    const findPlayedSpin = async (templateId, knownRequestIds) => {
+        try {
+            const history = await withTimeout(Promise.resolve().then(() => fetchHistory(templateId)), timeoutMs);
+            if (history === TIMED_OUT) return undefined;
+            return (history || []).find(item => !knownRequestIds.has(item.request_id)) || null;
+        } catch (error) {
+            console.error('Error checking the history after a failed spin:', error);
+            return undefined;
+        }
+    };
+
+    /**
+     * Keeps an unanswered request as the one in flight until it settles, then passes its answer on.
+     *
+     * @param {Promise} request - The unanswered request
+     */
+    const awaitLateResponse = (request) => {
+        unansweredRequest = request;
+        request
+            .then((response) => onLateResponse?.(response), (error) => onLateResponse?.({ err_code: null, err_message: error.message }))
+            .finally(() => {
+                if (unansweredRequest === request) unansweredRequest = null;
+            });
+    };
+
+    /**
+     * Sends the spin request, reconciling failed or unanswered requests with the history.
+     *
+     * @param {number} templateId - The template ID
+     * @param {Set} knownRequestIds - request_ids of the history before the spin
+     * @returns {Promise<Object>} {err_code, err_message, prize_id}, with reconciled: true if the prize was found in the history
+     */
+    const runSpin = async (templateId, knownRequestIds) => {
+        for (let attempt = 0; ; attempt++) {
+            const request = Promise.resolve().then(() => play(templateId));
+            let failure = null;
+
+            try {
+                const response = await withTimeout(request, timeoutMs);
+                if (response !== TIMED_OUT) return response;
+            } catch (error) {
+                failure = error;
+            }
+
+            const playedSpin = await findPlayedSpin(templateId, knownRequestIds);
+            if (playedSpin) {
+                if (!failure) awaitLateResponse(request);
+                return { err_code: SAW_OK, err_message: '', prize_id: playedSpin.saw_prize_id, reconciled: true };
+            }
+
+            // Sending again is only safe when the first request surely didn't win anything
+            if (!failure) {
+                awaitLateResponse(request);
+                return { err_code: SPIN_UNCONFIRMED, err_message: '' };
+            }
+            if (playedSpin === undefined) {
+                return { err_code: SPIN_UNCONFIRMED, err_message: failure.message };
+            }
+            if (attempt >= MAX_RETRIES) throw failure;
+
+            console.warn('Spin request failed, sending it again:', failure);
+            await delay(retryDelayMs);
+        }
+    };
+
+    return {
+        /**
+         * Plays the game once.
+         *
+         * @param {number} templateId - The template ID
+         * @param {Array} knownHistory - The history of the template before the spin
+         * @returns {Promise<Object>} {err_code, err_message, prize_id}; rejects if the request failed twice
+         */
+        spin(templateId, knownHistory = []) {
+            if (inFlight) return inFlight;
+            if (unansweredRequest) {
+                return Promise.resolve({ err_code: SPIN_UNCONFIRMED, err_message: '' });
+            }
+
+            const knownRequestIds = new Set(knownHistory.map(item => item.request_id));
+            inFlight = runSpin(templateId, knownRequestIds).finally(() => {
+                inFlight = null;
+            });
+            return inFlight;
+        },
+
+        /** True while a request runs or an unanswered one may still be played */
+        get isBusy() {
+            return Boolean(inFlight || unansweredRequest);
+        }
+    };
+};
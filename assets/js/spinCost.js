@@ -0,0 +1,86 @@
+/**
+ * Smartico Lootbox Game - Paid Spins
+ *
+ * A template can charge for opening a box: saw_buyin_type names the currency (points, gems or
+ * diamonds) and buyin_cost_points the amount, for every currency. The player's balances come
+ * from getPublicProps(). Free templates (and 'spins', which uses up granted attempts) cost nothing.
+ *
+ * No DOM is needed, so it runs in the node test suite as it is.
+ */
+
+/**
+ * SAWBuyInType - What opening a box costs (saw_buyin_type of the template)
+ */
+export const SAWBuyInType = {
+    Free: 'free',
+    Spins: 'spins',
+    Points: 'points',
+    Gems: 'gems',
+    Diamonds: 'diamonds'
+};
+
+// getPublicProps() property holding the balance of each paid currency
+const BALANCE_PROPERTIES = {
+    [SAWBuyInType.Points]: 'ach_points_balance',
+    [SAWBuyInType.Gems]: 'ach_gems_balance',
+    [SAWBuyInType.Diamonds]: 'ach_diamonds_balance'
+};
+
+const CURRENCY_LABELS = {
+    [SAWBuyInType.Points]: { key: 'lootboxCurrencyPoints', fallback: '{amount} points' },
+    [SAWBuyInType.Gems]: { key: 'lootboxCurrencyGems', fallback: '{amount} gems' },
+    [SAWBuyInType.Diamonds]: { key: 'lootboxCurrencyDiamonds', fallback: '{amount} diamonds' }
+};
+
+// ============================================
+// COST & BALANCE
+// ============================================
+
+/**
+ * Reads the cost of opening a box from the game template.
+ *
+ * @param {Object} game - The game template (TMiniGameTemplate)
+ * @returns {Object|null} {type, amount}, or null if opening is free
+ */
+export const getSpinCost = (game) => {
+    const type = game?.saw_buyin_type;
+    const amount = Number(game?.buyin_cost_points);
+    if (!BALANCE_PROPERTIES[type] || !(amount > 0)) return null;
+
+    return { type, amount };
+};
+
+/**
+ * Gets the player's balance in a currency.
+ *
+ * @param {Object} playerInfo - Result of getPublicProps()
+ * @param {string} type - SAWBuyInType of the currency
+ * @returns {number} The balance, 0 if unknown
+ */
+export const getBalance = (playerInfo, type) => {
+    return Number(playerInfo?.[BALANCE_PROPERTIES[type]]) || 0;
+};
+
+/**
+ * Checks whether the player can pay for opening a box. Free games are always affordable.
+ *
+ * @param {Object|null} cost - Cost from getSpinCost
+ * @param {Object} playerInfo - Result of getPublicProps()
+ * @returns {boolean} True if the balance covers the cost
+ */
+export const canAffordSpin = (cost, playerInfo) => {
+    return !cost || getBalance(playerInfo, cost.type) >= cost.amount;
+};
+
+/**
+ * Formats an amount of a currency, e.g. "50 points". Translations use {amount}.
+ *
+ * @param {number} amount - The amount
+ * @param {string} type - SAWBuyInType of the currency
+ * @param {Object} translations - Game translations
+ * @returns {string} The formatted amount
+ */
+export const formatCurrencyAmount = (amount, type, translations) => {
+    const { key, fallback } = CURRENCY_LABELS[type] || CURRENCY_LABELS[SAWBuyInType.Points];
+    return (translations[key] || fallback).replace('{amount}', amount.toLocaleString());
+};
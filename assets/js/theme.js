@@ -0,0 +1,213 @@
+/**
+ * Smartico Lootbox Game - Theme
+ *
+ * Lets a brand restyle the game without a fork. A theme is a flat object of images, colors,
+ * fonts and title effects, read from the template's UI definition ("theme") and/or a theme JSON
+ * file ("theme_url"), and applied as CSS custom properties on the game wrapper:
+ *
+ *   {
+ *       "theme_url": "https://cdn.brand.com/lootbox/theme.json",
+ *       "theme": { "primary_color": "#0A84FF", "title_font": "\"Bangers\", cursive" }
+ *   }
+ *
+ * The stylesheets use the bundled assets as var() fallbacks, so they stay the default theme and a
+ * theme only lists what it changes. Values of the UI definition override the ones of the file.
+ */
+
+import { sanitizeUrl } from './sanitize.js';
+
+// ============================================
+// THEME KEYS
+// ============================================
+
+// Image keys and their custom properties. Values are URLs (relative to the theme file or the page) or "none".
+export const THEME_IMAGES = {
+    background_image: '--lootbox-background-image',
+    background_image_mobile: '--lootbox-background-image-mobile',
+    box_image: '--lootbox-box-image',
+    box_opened_image: '--lootbox-box-opened-image',
+    card_front_image: '--lootbox-card-front-image',
+    card_back_image: '--lootbox-card-back-image',
+    lock_image: '--lootbox-lock-image',
+    missed_image: '--lootbox-missed-image',
+    glow_image: '--lootbox-glow-image',
+    glow_rotate_image: '--lootbox-glow-rotate-image',
+    prize_placeholder_image: '--lootbox-prize-placeholder-image',
+    primary_decoration_image: '--lootbox-primary-decoration-image',
+    secondary_decoration_image: '--lootbox-secondary-decoration-image'
+};
+
+// Color, font and title effect keys and their custom properties. Values are used as they are.
+export const THEME_VALUES = {
+    title_color: '--lootbox-title-color',
+    primary_color: '--lootbox-primary-color',
+    primary_shadow_color: '--lootbox-primary-shadow-color',
+    secondary_color: '--lootbox-secondary-color',
+    secondary_shadow_color: '--lootbox-secondary-shadow-color',
+    card_background: '--lootbox-card-background',
+    title_font: '--lootbox-title-font',
+    body_font: '--lootbox-body-font',
+    title_stroke_color: '--lootbox-title-stroke-color',
+    title_shadow_color: '--lootbox-title-shadow-color',
+    focus_color: '--lootbox-focus-color'
+};
+
+// ============================================
+// RESOLVING
+// ============================================
+
+/**
+ * Keeps the known keys of a theme with a non-empty string value, and resolves its image and
+ * font stylesheet URLs against the URL the theme was loaded from.
+ *
+ * @param {Object} theme - Theme as configured
+ * @param {string} baseUrl - URL relative image paths are resolved against
+ * @returns {Object} The normalized theme
+ */
+export const normalizeTheme = (theme, baseUrl) => {
+    const normalized = {};
+    if (!theme || typeof theme !== 'object') return normalized;
+
+    Object.entries(theme).forEach(([key, value]) => {
+        if (typeof value !== 'string' || value.trim() === '') return;
+
+        if (key in THEME_IMAGES || key === 'font_url') {
+            if (value === 'none') {
+                if (key !== 'font_url') normalized[key] = value;
+                return;
+            }
+            try {
+                const url = sanitizeUrl(new URL(value, baseUrl).href);
+                if (url) {
+                    normalized[key] = url;
+                } else {
+                    console.warn(`Theme value "${key}" is not a safe URL:`, value);
+                }
+            } catch (error) {
+                console.warn(`Theme value "${key}" is not a valid URL:`, value);
+            }
+        } else if (key in THEME_VALUES) {
+            normalized[key] = value.trim();
+        }
+    });
+
+    // A single background is used on both devices
+    if (normalized.background_image && !normalized.background_image_mobile) {
+        normalized.background_image_mobile = normalized.background_image;
+    }
+
+    return normalized;
+};
+
+/**
+ * Makes the relative image and font stylesheet URLs of a theme absolute, leaving the rest to
+ * normalizeTheme. Lets themes loaded from different URLs be merged before they're normalized.
+ *
+ * @param {Object} theme - Theme as configured
+ * @param {string} baseUrl - URL relative paths are resolved against
+ * @returns {Object} The theme with absolute URLs
+ */
+const resolveThemeUrls = (theme, baseUrl) => {
+    if (!theme || typeof theme !== 'object') return {};
+
+    return Object.fromEntries(Object.entries(theme).map(([key, value]) => {
+        if (!(key in THEME_IMAGES || key === 'font_url') || typeof value !== 'string' || value.trim() === '' || value === 'none') {
+            return [key, value];
+        }
+        try {
+            return [key, new URL(value, baseUrl).href];
+        } catch (error) {
+            return [key, value];
+        }
+    }));
+};
+
+/**
+ * Merges the theme file with the inline theme of the UI definition, whose values win, and
+ * normalizes the result once: an inline background_image then replaces the file's background
+ * on mobile too.
+ *
+ * @param {Object} fileTheme - Theme of the theme file
+ * @param {string} fileUrl - URL the theme file was loaded from
+ * @param {Object} inlineTheme - Theme of the UI definition
+ * @param {string} pageUrl - URL of the page, for the relative paths of the inline theme
+ * @returns {Object} The normalized theme
+ */
+export const mergeThemes = (fileTheme, fileUrl, inlineTheme, pageUrl) => {
+    return normalizeTheme({
+        ...resolveThemeUrls(fileTheme, fileUrl),
+        ...resolveThemeUrls(inlineTheme, pageUrl)
+    }, pageUrl);
+};
+
+/**
+ * Gets the CSS custom properties of a normalized theme.
+ *
+ * @param {Object} theme - Theme from normalizeTheme
+ * @returns {Object} Custom property values by property name
+ */
+export const getThemeProperties = (theme) => {
+    const properties = {};
+
+    Object.entries(THEME_IMAGES).forEach(([key, property]) => {
+        if (!theme[key]) return;
+        properties[property] = theme[key] === 'none' ? 'none' : `url(${JSON.stringify(theme[key])})`;
+    });
+    Object.entries(THEME_VALUES).forEach(([key, property]) => {
+        if (theme[key]) properties[property] = theme[key];
+    });
+
+    return properties;
+};
+
+// ============================================
+// LOADING & APPLYING
+// ============================================
+
+/**
+ * Loads the theme of a game: the theme file of the UI definition, if any, overridden by its
+ * inline theme. A theme file that can't be loaded isn't an error: the inline values and the
+ * default theme are used.
+ *
+ * @param {Object} uiDefinition - The game's saw_template_ui_definition
+ * @returns {Promise<Object>} The normalized theme, empty for the default theme
+ */
+export const loadTheme = async (uiDefinition) => {
+    const inlineTheme = normalizeTheme(uiDefinition?.theme, document.baseURI);
+    if (!uiDefinition?.theme_url) return inlineTheme;
+
+    try {
+        const themeUrl = new URL(uiDefinition.theme_url, document.baseURI).href;
+        const response = await fetch(themeUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return mergeThemes(await response.json(), themeUrl, uiDefinition.theme, document.baseURI);
+    } catch (error) {
+        console.warn('Theme file could not be loaded, using the default theme:', error);
+        return inlineTheme;
+    }
+};
+
+/**
+ * Applies a theme to the game: sets its custom properties on the element (removing the ones of a
+ * previous theme) and loads the font stylesheet once.
+ *
+ * @param {HTMLElement} element - Element the custom properties are set on
+ * @param {Object} theme - Theme from loadTheme
+ */
+export const applyTheme = (element, theme) => {
+    [...Object.values(THEME_IMAGES), ...Object.values(THEME_VALUES)].forEach((property) => {
+        element.style.removeProperty(property);
+    });
+    Object.entries(getThemeProperties(theme)).forEach(([property, value]) => {
+        element.style.setProperty(property, value);
+    });
+
+    if (theme.font_url && ![...document.querySelectorAll('link[rel="stylesheet"]')].some(link => link.href === theme.font_url)) {
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = theme.font_url;
+        document.head.appendChild(link);
+    }
+};
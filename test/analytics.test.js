@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    AnalyticsEvent,
+    ANALYTICS_MESSAGE_TYPE,
+    createAnalytics,
+    createDataLayerAdapter,
+    createPostMessageAdapter,
+    createConsoleAdapter,
+    resolveAnalyticsAdapters
+} from '../assets/js/analytics.js';
+
+const NOW = Date.parse('2026-03-11T10:00:00Z');
+
+describe('createAnalytics', () => {
+    it('sends every event with the game context to each adapter', () => {
+        const received = [];
+        const track = createAnalytics({
+            adapters: [(event) => received.push(['a', event]), (event) => received.push(['b', event])],
+            getContext: () => ({ templateId: 1514, layout: 2 }),
+            now: () => NOW
+        });
+
+        track(AnalyticsEvent.BoxClick, { groupId: 3, status: 'locked' });
+        assert.equal(received.length, 2);
+        assert.deepEqual(received[0][1], {
+            name: 'box_click',
+            templateId: 1514,
+            layout: 2,
+            timestamp: NOW,
+            groupId: 3,
+            status: 'locked'
+        });
+    });
+
+    it('keeps sending to the other adapters when one fails', (t) => {
+        t.mock.method(console, 'error', () => {});
+        const received = [];
+        const track = createAnalytics({
+            adapters: [() => { throw new Error('Blocked'); }, (event) => received.push(event.name)]
+        });
+
+        track(AnalyticsEvent.ModalOpen, { modal: 'rules' });
+        assert.deepEqual(received, ['modal_open']);
+    });
+});
+
+describe('analytics adapters', () => {
+    it('pushes prefixed events to a dataLayer', () => {
+        const dataLayer = [];
+        createDataLayerAdapter(dataLayer)({ name: 'error', errCode: 40004 });
+        assert.deepEqual(dataLayer, [{ event: 'lootbox_error', errCode: 40004 }]);
+    });
+
+    it('posts events to the allowed origin of the embedding page', () => {
+        const posted = [];
+        const target = { postMessage: (message, origin) => posted.push([message, origin]) };
+        const event = { name: 'drag_scroll', distance: 120 };
+        const allowedOrigins = ['https://casino.example', 'https://casino.test'];
+
+        createPostMessageAdapter({ allowedOrigins, target, referrer: 'https://casino.test/lobby' })(event);
+        assert.deepEqual(posted, [[{ type: ANALYTICS_MESSAGE_TYPE, event }, 'https://casino.test']]);
+    });
+
+    it('never posts to a referrer outside the allowed origins', () => {
+        const posted = [];
+        const target = { postMessage: (message, origin) => posted.push(origin) };
+
+        createPostMessageAdapter({
+            allowedOrigins: ['https://casino.example'],
+            target,
+            referrer: 'https://evil.example/page'
+        })({ name: 'error' });
+        assert.deepEqual(posted, ['https://casino.example']);
+    });
+
+    it('posts nothing without allowed origins or outside an iframe', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const posted = [];
+        const receiver = { postMessage: (...args) => posted.push(args) };
+        globalThis.document = { referrer: 'https://casino.example/lobby' };
+        t.after(() => { delete globalThis.document; });
+
+        createPostMessageAdapter({ target: receiver })({ name: 'error' });
+        createPostMessageAdapter({ allowedOrigins: ['https://*.casino.test'], target: receiver })({ name: 'error' });
+        createPostMessageAdapter({ allowedOrigins: ['https://casino.example'], target: globalThis })({ name: 'error' });
+
+        assert.equal(posted.length, 0);
+        assert.equal(warn.mock.callCount(), 3);
+    });
+
+    it('logs events to the console adapter', () => {
+        const logged = [];
+        createConsoleAdapter({ log: (...args) => logged.push(args) })({ name: 'reveal_abandon', progress: 0.5 });
+        assert.deepEqual(logged, [['[lootbox analytics] reveal_abandon', { progress: 0.5 }]]);
+    });
+
+    it('resolves adapter names and functions, skipping unknown names', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const custom = () => {};
+
+        assert.equal(resolveAnalyticsAdapters(undefined).length, 0);
+        assert.equal(resolveAnalyticsAdapters('console').length, 1);
+        const adapters = resolveAnalyticsAdapters(['console', custom, 'segment']);
+        assert.equal(adapters.length, 2);
+        assert.equal(adapters[1], custom);
+    });
+
+    it('gives the parent origins to the postMessage adapter', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const posted = [];
+        const parent = { postMessage: (message, origin) => posted.push(origin) };
+        globalThis.parent = parent;
+        globalThis.document = { referrer: 'https://casino.example/lobby' };
+        t.after(() => {
+            delete globalThis.parent;
+            delete globalThis.document;
+        });
+
+        resolveAnalyticsAdapters('postMessage')[0]({ name: 'error' });
+        resolveAnalyticsAdapters('postMessage', { parentOrigins: ['https://casino.example'] })[0]({ name: 'error' });
+        assert.deepEqual(posted, ['https://casino.example']);
+    });
+});
@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    isAllowedOrigin,
+    parseInboundMessage,
+    getTargetOrigin,
+    createFrameBridge
+} from '../assets/js/frameBridge.js';
+
+const ORIGINS = ['https://casino.example', 'https://*.brand.example'];
+
+/**
+ * A game window inside an iframe: records what is posted to the parent and lets the test
+ * dispatch messages to the game.
+ */
+const createFrameWindow = (referrer = 'https://casino.example/lobby') => {
+    const posted = [];
+    const listeners = [];
+    const parent = { postMessage: (message, origin) => posted.push([message, origin]) };
+    const frameWindow = {
+        parent,
+        document: { referrer },
+        addEventListener: (type, listener) => listeners.push(listener),
+        removeEventListener: (type, listener) => listeners.splice(listeners.indexOf(listener), 1),
+        dispatch: (event) => listeners.forEach(listener => listener(event))
+    };
+    return { frameWindow, parent, posted, listeners };
+};
+
+describe('isAllowedOrigin', () => {
+    it('accepts exact origins and subdomains of wildcard entries', () => {
+        assert.equal(isAllowedOrigin('https://casino.example', ORIGINS), true);
+        assert.equal(isAllowedOrigin('https://www.brand.example', ORIGINS), true);
+        assert.equal(isAllowedOrigin('https://eu.www.brand.example', ORIGINS), true);
+    });
+
+    it('rejects other schemes, lookalike domains and opaque origins', () => {
+        assert.equal(isAllowedOrigin('http://casino.example', ORIGINS), false);
+        assert.equal(isAllowedOrigin('https://casino.example.evil', ORIGINS), false);
+        assert.equal(isAllowedOrigin('https://brand.example', ORIGINS), false);
+        assert.equal(isAllowedOrigin('https://evilbrand.example', ORIGINS), false);
+        assert.equal(isAllowedOrigin('null', [...ORIGINS, 'null']), false);
+    });
+});
+
+describe('parseInboundMessage', () => {
+    it('reads known messages and cleans their details', () => {
+        assert.deepEqual(parseInboundMessage({ type: 'lootbox:set-user', userId: ' player1 ' }),
+            { name: 'set-user', details: { userId: 'player1' } });
+        assert.deepEqual(parseInboundMessage({ type: 'lootbox:set-user', userId: 42 }),
+            { name: 'set-user', details: { userId: '42' } });
+        assert.deepEqual(parseInboundMessage({ type: 'lootbox:set-language', lang: 'pt-BR' }),
+            { name: 'set-language', details: { lang: 'pt-br' } });
+        assert.deepEqual(parseInboundMessage({ type: 'lootbox:refresh' }), { name: 'refresh', details: {} });
+    });
+
+    it('ignores unknown types and invalid details', () => {
+        assert.equal(parseInboundMessage('lootbox:refresh'), null);
+        assert.equal(parseInboundMessage({ type: 'lootbox:spin' }), null);
+        assert.equal(parseInboundMessage({ type: 'other:refresh' }), null);
+        assert.equal(parseInboundMessage({ type: 'lootbox:set-user', userId: '' }), null);
+        assert.equal(parseInboundMessage({ type: 'lootbox:set-user', userId: 'x'.repeat(300) }), null);
+        assert.equal(parseInboundMessage({ type: 'lootbox:set-language', lang: '../en' }), null);
+    });
+});
+
+describe('getTargetOrigin', () => {
+    it('posts to the referrer origin when it is allowed, else the first exact origin', () => {
+        assert.equal(getTargetOrigin(ORIGINS, 'https://eu.brand.example/games?id=1'), 'https://eu.brand.example');
+        assert.equal(getTargetOrigin(ORIGINS, 'https://evil.example/'), 'https://casino.example');
+        assert.equal(getTargetOrigin(ORIGINS, 'not a url'), 'https://casino.example');
+        assert.equal(getTargetOrigin(['https://*.brand.example'], ''), null);
+    });
+});
+
+describe('createFrameBridge', () => {
+    it('hands messages from the parent to the handlers', () => {
+        const { frameWindow, parent } = createFrameWindow();
+        const received = [];
+        createFrameBridge({
+            allowedOrigins: ORIGINS,
+            handlers: { 'set-language': (details) => received.push(details) },
+            window: frameWindow
+        });
+
+        frameWindow.dispatch({ source: parent, origin: 'https://casino.example', data: { type: 'lootbox:set-language', lang: 'de' } });
+        assert.deepEqual(received, [{ lang: 'de' }]);
+    });
+
+    it('ignores messages from other windows and origins', () => {
+        const { frameWindow, parent } = createFrameWindow();
+        const received = [];
+        createFrameBridge({
+            allowedOrigins: ORIGINS,
+            handlers: { refresh: () => received.push('refresh') },
+            window: frameWindow
+        });
+
+        frameWindow.dispatch({ source: {}, origin: 'https://casino.example', data: { type: 'lootbox:refresh' } });
+        frameWindow.dispatch({ source: parent, origin: 'https://evil.example', data: { type: 'lootbox:refresh' } });
+        assert.deepEqual(received, []);
+    });
+
+    it('posts prefixed messages to the target origin and stops listening on destroy', () => {
+        const { frameWindow, posted, listeners } = createFrameWindow();
+        const bridge = createFrameBridge({ allowedOrigins: ORIGINS, window: frameWindow });
+
+        bridge.post('ready', { templateId: 1514 });
+        assert.deepEqual(posted, [[{ templateId: 1514, type: 'lootbox:ready' }, 'https://casino.example']]);
+
+        bridge.destroy();
+        assert.equal(listeners.length, 0);
+    });
+
+    it('does nothing outside an iframe or without allowed origins', () => {
+        const { frameWindow, posted, listeners } = createFrameWindow();
+        createFrameBridge({ allowedOrigins: [], window: frameWindow }).post('ready');
+
+        const topWindow = { addEventListener: () => assert.fail('listened outside an iframe'), document: {} };
+        topWindow.parent = topWindow;
+        createFrameBridge({ allowedOrigins: ORIGINS, window: topWindow }).post('ready');
+
+        assert.equal(posted.length, 0);
+        assert.equal(listeners.length, 0);
+    });
+});
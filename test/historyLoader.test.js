@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createHistoryLoader } from '../assets/js/historyLoader.js';
+
+const TEMPLATE_ID = 1514;
+const DAY_MS = 86400000;
+const NOW = Date.parse('2026-03-11T10:00:00Z');
+
+/**
+ * One win a day for the given number of days, newest first, like getMiniGamesHistory answers.
+ */
+const makeHistory = (days) => Array.from({ length: days }, (_, day) => ({
+    request_id: `req-${day}`,
+    saw_template_id: TEMPLATE_ID,
+    saw_prize_id: 200 + (day % 7),
+    create_date_ts: NOW - day * DAY_MS
+}));
+
+/**
+ * Builds a loader over a server history, recording the requested pages.
+ */
+const setup = (history, pageSize = 10) => {
+    const requests = [];
+    const loader = createHistoryLoader({
+        fetchPage: async (params) => {
+            requests.push(params);
+            return history.slice(params.offset, params.offset + params.limit);
+        },
+        pageSize
+    });
+    return { loader, requests };
+};
+
+describe('createHistoryLoader', () => {
+    it('pages until the history reaches the start of the schedule', async () => {
+        const { loader, requests } = setup(makeHistory(100));
+
+        const history = await loader.load({ templateId: TEMPLATE_ID, since: NOW - 25 * DAY_MS });
+        assert.deepEqual(requests.map(request => request.offset), [0, 10, 20]);
+        assert.equal(history.length, 30);
+        assert.equal(history[29].request_id, 'req-29');
+    });
+
+    it('pages through the whole history when it is shorter than the schedule', async () => {
+        const { loader, requests } = setup(makeHistory(15));
+
+        assert.equal((await loader.load({ templateId: TEMPLATE_ID, since: 0 })).length, 15);
+        assert.equal(requests.length, 2);
+    });
+
+    it('registers the update callback with the first page only', async () => {
+        const { loader, requests } = setup(makeHistory(15));
+        const onUpdate = () => {};
+
+        await loader.load({ templateId: TEMPLATE_ID, onUpdate });
+        assert.equal(requests[0].onUpdate, onUpdate);
+        assert.equal(requests[1].onUpdate, undefined);
+    });
+
+    it('stops at the cached items on later loads and keeps the older ones', async () => {
+        const serverHistory = makeHistory(100);
+        const { loader, requests } = setup(serverHistory);
+        const since = NOW - 25 * DAY_MS;
+        await loader.load({ templateId: TEMPLATE_ID, userId: 'player', since });
+
+        serverHistory.unshift({ request_id: 'req-new', saw_template_id: TEMPLATE_ID, saw_prize_id: 201, create_date_ts: NOW + 1000 });
+        requests.length = 0;
+        const history = await loader.load({ templateId: TEMPLATE_ID, userId: 'player', since });
+
+        assert.equal(requests.length, 1);
+        assert.equal(history.length, 31);
+        assert.equal(history[0].request_id, 'req-new');
+    });
+
+    it('pages again when the schedule reaches further back than the cache', async () => {
+        const { loader, requests } = setup(makeHistory(100));
+        await loader.load({ templateId: TEMPLATE_ID, since: NOW - 5 * DAY_MS });
+
+        requests.length = 0;
+        const history = await loader.load({ templateId: TEMPLATE_ID, since: NOW - 35 * DAY_MS });
+        assert.equal(requests.length, 4);
+        assert.equal(history.length, 40);
+    });
+
+    it('keeps the caches of templates and players apart', async () => {
+        const { loader, requests } = setup(makeHistory(5));
+        await loader.load({ templateId: TEMPLATE_ID, userId: 'a' });
+        await loader.load({ templateId: TEMPLATE_ID, userId: 'b' });
+        await loader.load({ templateId: 1515, userId: 'a' });
+
+        assert.equal(requests.length, 3);
+        assert.equal(loader.merge({ templateId: TEMPLATE_ID, userId: 'c' }, []).length, 0);
+    });
+
+    it('merges updates into the cache instead of replacing it', async () => {
+        const { loader } = setup(makeHistory(30));
+        await loader.load({ templateId: TEMPLATE_ID, userId: 'player' });
+
+        // An update with the newest page only: a new win and an acknowledged one
+        const update = [
+            { request_id: 'req-new', saw_template_id: TEMPLATE_ID, saw_prize_id: 201, create_date_ts: NOW + 1000 },
+            { ...makeHistory(1)[0], acknowledge_date_ts: NOW }
+        ];
+        const history = loader.merge({ templateId: TEMPLATE_ID, userId: 'player' }, update);
+
+        assert.equal(history.length, 31);
+        assert.equal(history[0].request_id, 'req-new');
+        assert.equal(history[1].acknowledge_date_ts, NOW);
+        assert.equal(history[30].request_id, 'req-29');
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getGroupLabel, getTabStopGroupId, renderSpinCostBadge, getGroupStatusName } from '../assets/js/layouts/layoutHelpers.js';
+
+const createGroup = (groupId, status = {}, extra = {}) => ({
+    groupId,
+    prize: { id: groupId },
+    prizeWon: null,
+    status: { isLocked: false, isActive: false, isMissed: false, isClaimed: false, isOutOfStock: false, ...status },
+    isToday: false,
+    ...extra
+});
+
+describe('getGroupLabel', () => {
+    it('names the date and the status of the box', () => {
+        assert.equal(getGroupLabel(createGroup(1, { isActive: true }), 'Mon, 2', {}), 'Mon, 2: Ready to open');
+        assert.equal(getGroupLabel(createGroup(1, { isLocked: true }), 'Tue, 3', { lootboxStatusLocked: 'Bloqueado' }), 'Tue, 3: Bloqueado');
+        assert.equal(getGroupLabel(createGroup(1, { isActive: true, isOutOfStock: true }), 'Wed, 4', {}), 'Wed, 4: Out of stock');
+    });
+
+    it('names the won prize, a pending claim and milestones', () => {
+        const group = createGroup(1, { isClaimed: true, isAcknowledged: false }, {
+            prizeWon: { name: '50 "Free" Spins', acknowledge_type: 'explicity-acknowledge' },
+            isMilestone: true,
+            milestoneLabel: 'Day 7 bonus'
+        });
+
+        assert.equal(
+            getGroupLabel(group, 'Sun, 8', {}),
+            'Sun, 8: Claimed, 50 &quot;Free&quot; Spins, Waiting for your claim, Day 7 bonus'
+        );
+    });
+});
+
+describe('getTabStopGroupId', () => {
+    const groups = [createGroup(1), createGroup(2, {}, { isToday: true }), createGroup(3)];
+
+    it('keeps the box the player was on, then falls back to the box of today and the first box', () => {
+        assert.equal(getTabStopGroupId(groups, '3'), '3');
+        assert.equal(getTabStopGroupId(groups, '9'), '2');
+        assert.equal(getTabStopGroupId(groups), '2');
+        assert.equal(getTabStopGroupId([createGroup(1), createGroup(2)]), '1');
+        assert.equal(getTabStopGroupId([
+            createGroup(1, { isClaimed: true }, { isToday: true }),
+            createGroup(2, { isActive: true }, { isToday: true })
+        ]), '2');
+    });
+});
+
+describe('renderSpinCostBadge', () => {
+    const ctx = { spinCost: { type: 'gems', amount: 5 }, canAffordSpin: true, translations: {} };
+
+    it('shows the cost on the box that can be opened today', () => {
+        const today = createGroup(1, { isActive: true }, { isToday: true });
+        assert.equal(renderSpinCostBadge(today, ctx), '<div class="spin-cost-badge ">5 gems</div>');
+        assert.match(renderSpinCostBadge(today, { ...ctx, canAffordSpin: false }), /spin-cost-badge insufficient/);
+    });
+
+    it('shows nothing for free games and boxes that cannot be opened', () => {
+        assert.equal(renderSpinCostBadge(createGroup(1, { isActive: true }, { isToday: true }), { ...ctx, spinCost: null }), '');
+        assert.equal(renderSpinCostBadge(createGroup(1, { isLocked: true }), ctx), '');
+        assert.equal(renderSpinCostBadge(createGroup(1, { isActive: true, isClaimed: true }, { isToday: true }), ctx), '');
+        assert.equal(renderSpinCostBadge(createGroup(1, { isActive: true, isOutOfStock: true }, { isToday: true }), ctx), '');
+    });
+});
+
+describe('getGroupStatusName', () => {
+    it('names the status of a box for analytics', () => {
+        assert.equal(getGroupStatusName(createGroup(1, { isLocked: true }).status), 'locked');
+        assert.equal(getGroupStatusName(createGroup(1, { isMissed: true }).status), 'missed');
+        assert.equal(getGroupStatusName(createGroup(1, { isActive: true }).status), 'active');
+        assert.equal(getGroupStatusName(createGroup(1, { isActive: true, isOutOfStock: true }).status), 'out_of_stock');
+        assert.equal(getGroupStatusName(createGroup(1, { isActive: true, isClaimed: true }).status), 'claimed');
+        assert.equal(getGroupStatusName(createGroup(1).status), 'inactive');
+    });
+});
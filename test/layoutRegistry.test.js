@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { registerLayout, getLayout, getLayoutIds, connectLayoutQueue } from '../assets/js/layoutRegistry.js';
+
+const layout = (id, extra = {}) => ({
+    id,
+    mount: () => {},
+    render: () => {},
+    onSpinResult: () => {},
+    unmount: () => {},
+    ...extra
+});
+
+describe('layout registry', () => {
+    it('registers a layout under its game_layout id', () => {
+        const custom = layout(101, { name: 'Custom' });
+
+        assert.equal(registerLayout(custom), custom);
+        assert.equal(getLayout(101), custom);
+        assert.ok(getLayoutIds().includes(101));
+        assert.equal(getLayout(102), undefined);
+    });
+
+    it('rejects layouts without an integer id or a required hook', () => {
+        assert.throws(() => registerLayout(layout('grid')), /integer id/);
+        assert.throws(() => registerLayout(layout(103, { onSpinResult: undefined, unmount: null })), /onSpinResult, unmount/);
+        assert.equal(getLayout(103), undefined);
+    });
+
+    it('replaces a layout registered again under the same id', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const replacement = layout(104, { name: 'Replacement' });
+
+        registerLayout(layout(104, { name: 'Original' }));
+        registerLayout(replacement);
+
+        assert.equal(getLayout(104), replacement);
+        assert.equal(warn.mock.callCount(), 1);
+        assert.match(warn.mock.calls[0].arguments[0], /Original/);
+    });
+
+    it('registers queued layouts over the built-in ones, then later pushes directly', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        t.mock.method(console, 'error', () => {});
+        const builtIn = layout(105, { name: 'Built-in' });
+        const override = layout(105, { name: 'Brand override' });
+        const target = { lootboxLayouts: [override, layout('broken')] };
+
+        registerLayout(builtIn);
+        connectLayoutQueue(target);
+        assert.equal(getLayout(105), override);
+
+        const later = layout(106);
+        target.lootboxLayouts.push(later);
+        assert.equal(getLayout(106), later);
+    });
+});
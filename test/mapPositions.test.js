@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    isValidMapPosition,
+    mergeMapPositions,
+    getSerpentinePosition,
+    getMapPrizePosition,
+    formatMapPositionsJSON,
+    formatMapPositionsCSS
+} from '../assets/js/mapPositions.js';
+
+describe('isValidMapPosition', () => {
+    it('accepts percentages between 0 and 100 only', () => {
+        assert.equal(isValidMapPosition({ top: 0, left: 100 }), true);
+        assert.equal(isValidMapPosition({ top: 17.5, left: 46 }), true);
+        assert.equal(isValidMapPosition({ top: 120, left: 46 }), false);
+        assert.equal(isValidMapPosition({ top: '17', left: 46 }), false);
+        assert.equal(isValidMapPosition({ top: 17 }), false);
+        assert.equal(isValidMapPosition(null), false);
+    });
+});
+
+describe('mergeMapPositions', () => {
+    it('lets later sets move single boxes and keeps the rest', () => {
+        const file = { desktop: [{ top: 10, left: 10 }, { top: 20, left: 20 }], mobile: [{ top: 5, left: 5 }] };
+        const template = { desktop: [null, { top: 45, left: 72 }, { top: 60, left: 30 }], mobile: 'invalid' };
+
+        assert.deepEqual(mergeMapPositions(file, undefined, template), {
+            desktop: [{ top: 10, left: 10 }, { top: 45, left: 72 }, { top: 60, left: 30 }],
+            mobile: [{ top: 5, left: 5 }]
+        });
+    });
+});
+
+describe('getSerpentinePosition', () => {
+    it('runs every other row right to left', () => {
+        const firstRow = [0, 1, 2, 3].map(index => getSerpentinePosition(index, 8, 'desktop').left);
+        const secondRow = [4, 5, 6, 7].map(index => getSerpentinePosition(index, 8, 'desktop').left);
+
+        assert.deepEqual(firstRow, [15, 38.3, 61.7, 85]);
+        assert.deepEqual(secondRow, [85, 61.7, 38.3, 15]);
+        assert.ok(getSerpentinePosition(4, 8, 'desktop').top > getSerpentinePosition(3, 8, 'desktop').top);
+    });
+
+    it('keeps every box of a long campaign on the map', () => {
+        for (let index = 0; index < 31; index++) {
+            assert.equal(isValidMapPosition(getSerpentinePosition(index, 31, 'mobile')), true);
+        }
+    });
+});
+
+describe('getMapPrizePosition', () => {
+    const positions = {
+        desktop: [{ top: 17, left: 46 }],
+        'desktop-big': [undefined, { top: 30, left: 30 }]
+    };
+
+    it('prefers the map size coordinates, then the device coordinates', () => {
+        assert.deepEqual(getMapPrizePosition(positions, 0, 2, 'desktop', 'big'), { top: 17, left: 46 });
+        assert.deepEqual(getMapPrizePosition(positions, 1, 2, 'desktop', 'big'), { top: 30, left: 30 });
+        assert.deepEqual(getMapPrizePosition(positions, 0, 2, 'desktop', 'small'), { top: 17, left: 46 });
+    });
+
+    it('falls back to the serpentine path without coordinates for the box', () => {
+        assert.deepEqual(getMapPrizePosition(positions, 1, 2, 'desktop', 'small'), getSerpentinePosition(1, 2, 'desktop'));
+        assert.deepEqual(getMapPrizePosition(positions, 0, 2, 'mobile', 'small'), getSerpentinePosition(0, 2, 'mobile'));
+        assert.deepEqual(getMapPrizePosition(undefined, 3, 9, 'desktop'), getSerpentinePosition(3, 9, 'desktop'));
+    });
+});
+
+describe('exporting coordinate sets', () => {
+    const positions = {
+        desktop: [{ top: 17, left: 46 }, undefined, { top: 45.5, left: 72 }],
+        'mobile-big': [{ top: 10, left: 20 }],
+        tablet: [{ top: 1, left: 1 }]
+    };
+
+    it('writes JSON that loads back as the same coordinates', () => {
+        const json = formatMapPositionsJSON(positions);
+
+        assert.match(json, /\n        \{ "top": 17, "left": 46 \},\n        null,\n/);
+        assert.deepEqual(mergeMapPositions(JSON.parse(json)), mergeMapPositions(positions));
+    });
+
+    it('writes one CSS rule per box in the media query of its device', () => {
+        const css = formatMapPositionsCSS(positions);
+
+        assert.match(css, /@media \(min-width: 769px\) \{\n    \.map-box-prize\[data-index="0"\] \{ top: 17% !important; left: 46% !important; \}\n    \.map-box-prize\[data-index="2"\]/);
+        assert.match(css, /@media \(max-width: 768px\) \{\n    \.map-main-background\[data-map-size="big"\] \.map-box-prize\[data-index="0"\] \{ top: 10%/);
+        assert.doesNotMatch(css, /data-index="1"|tablet/);
+    });
+});
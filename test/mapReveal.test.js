@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getMapRevealConfig, getMapRevealPrompt } from '../assets/js/layouts/mapReveal.js';
+
+describe('getMapRevealConfig', () => {
+    it('defaults to three taps', () => {
+        assert.deepEqual(getMapRevealConfig(undefined), { type: 'tap', count: 3, holdMs: 1500 });
+        assert.deepEqual(getMapRevealConfig({ map_reveal: { type: 'spin', count: 0, hold_ms: -1 } }), { type: 'tap', count: 3, holdMs: 1500 });
+    });
+
+    it('reads the configured interaction', () => {
+        assert.deepEqual(getMapRevealConfig({ map_reveal: { type: 'tap', count: 1 } }), { type: 'tap', count: 1, holdMs: 1500 });
+        assert.deepEqual(getMapRevealConfig({ map_reveal: { type: 'hold', hold_ms: 2000 } }), { type: 'hold', count: 3, holdMs: 2000 });
+        assert.equal(getMapRevealConfig({ map_reveal: { type: 'shake', count: 500 } }).count, 20);
+        assert.equal(getMapRevealConfig({ map_reveal: { count: 2.5 } }).count, 3);
+    });
+});
+
+describe('getMapRevealPrompt', () => {
+    it('puts the count in the prompt', () => {
+        assert.equal(getMapRevealPrompt({ type: 'tap', count: 5 }, {}), 'Tap the gift 5 times!!!');
+        assert.equal(getMapRevealPrompt({ type: 'tap', count: 1 }, {}), 'Tap the gift to open it!');
+        assert.equal(getMapRevealPrompt({ type: 'shake', count: 4 }, { lootboxPrizeModalShake: 'Schüttle {count}x!' }), 'Schüttle 4x!');
+    });
+
+    it('replaces the number of older tap translations', () => {
+        assert.equal(getMapRevealPrompt({ type: 'tap', count: 5 }, { lootboxPrizeModalTap: 'Tap the gift 3 times!!!' }), 'Tap the gift 5 times!!!');
+        assert.equal(getMapRevealPrompt({ type: 'hold', count: 3 }, {}), 'Press and hold the gift to open it!');
+    });
+});
@@ -0,0 +1,157 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    PrizeActionType,
+    parsePrizeAction,
+    getPrizeAction,
+    createPrizeActionRunner
+} from '../assets/js/prizeActions.js';
+
+const URL_PRIZE = { id: 103, acknowledge_dp: 'https://casino.example/bonus', acknowledge_dp_additional: 'dp:gf_saw&id=1515' };
+
+/**
+ * A game window whose popups open (or are blocked): records the opened tabs and the deep links
+ * handed to the SDK.
+ */
+const createGameWindow = ({ blocked = false } = {}) => {
+    const tabs = [];
+    const deepLinks = [];
+    const gameWindow = {
+        open: (url, target) => {
+            if (blocked) return null;
+            const tab = { url, target, opener: gameWindow, location: {}, closed: false, close: () => { tab.closed = true; } };
+            tabs.push(tab);
+            return tab;
+        },
+        _smartico: { dp: (link) => deepLinks.push(link) }
+    };
+    return { gameWindow, tabs, deepLinks };
+};
+
+/**
+ * An acknowledge button inside its button group, pending while a claim runs.
+ */
+const createButton = (pending = false) => ({
+    parentElement: { classList: { contains: (name) => pending && name === 'pending' } }
+});
+
+describe('parsePrizeAction', () => {
+    it('reads http(s) URLs', () => {
+        assert.deepEqual(parsePrizeAction(' https://casino.example/free-spins?game=book '),
+            { type: PrizeActionType.Url, url: 'https://casino.example/free-spins?game=book' });
+        assert.equal(parsePrizeAction('http://casino.example').type, PrizeActionType.Url);
+    });
+
+    it('reads deep links with their parameters', () => {
+        assert.deepEqual(parsePrizeAction('dp:deposit'),
+            { type: PrizeActionType.DeepLink, link: 'dp:deposit', name: 'deposit', params: {} });
+        assert.deepEqual(parsePrizeAction('dp:gf_saw&id=1515&standalone=true'), {
+            type: PrizeActionType.DeepLink,
+            link: 'dp:gf_saw&id=1515&standalone=true',
+            name: 'gf_saw',
+            params: { id: '1515', standalone: 'true' }
+        });
+    });
+
+    it('ignores missing, unsafe and unknown targets', () => {
+        [undefined, null, 42, '', '   ', 'javascript:alert(1)', 'java\nscript:alert(1)', '/relative/page',
+            '//casino.example', 'data:text/html,<b>x</b>', 'dp:', 'dp:deposit?amount=10', 'https://']
+            .forEach(target => assert.equal(parsePrizeAction(target), null, String(target)));
+    });
+});
+
+describe('getPrizeAction', () => {
+    it('reads the target of the main or the additional button', () => {
+        const prize = { acknowledge_dp: 'dp:deposit', acknowledge_dp_additional: 'https://casino.example/bonus-terms' };
+
+        assert.equal(getPrizeAction(prize).name, 'deposit');
+        assert.equal(getPrizeAction(prize, true).url, 'https://casino.example/bonus-terms');
+        assert.equal(getPrizeAction({ acknowledge_action_title: 'OK' }), null);
+        assert.equal(getPrizeAction(undefined), null);
+    });
+});
+
+describe('createPrizeActionRunner', () => {
+    it('opens the tab of a URL on start and navigates it on run', () => {
+        const { gameWindow, tabs } = createGameWindow();
+        const tracked = [];
+        const { start } = createPrizeActionRunner({ window: gameWindow, track: (...event) => tracked.push(event) });
+
+        const action = start(URL_PRIZE);
+        assert.equal(tabs.length, 1);
+        assert.equal(tabs[0].url, 'about:blank');
+        assert.equal(tabs[0].opener, null);
+        assert.equal(tabs[0].location.href, undefined);
+
+        action.run();
+        assert.equal(tabs[0].location.href, 'https://casino.example/bonus');
+        assert.deepEqual(tracked, [['prize_action', { prizeId: 103, action: 'url', target: 'https://casino.example/bonus' }]]);
+    });
+
+    it('closes the tab when the claim failed or the game is gone', () => {
+        const { gameWindow, tabs } = createGameWindow();
+        let active = true;
+        const { start } = createPrizeActionRunner({ window: gameWindow, isActive: () => active });
+
+        start(URL_PRIZE).cancel();
+        const action = start(URL_PRIZE);
+        active = false;
+        action.run();
+
+        assert.deepEqual(tabs.map(tab => [tab.closed, tab.location.href]), [[true, undefined], [true, undefined]]);
+    });
+
+    it('hands a blocked URL to the host page and never navigates the game page', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const { gameWindow } = createGameWindow({ blocked: true });
+        const blocked = [];
+
+        createPrizeActionRunner({ window: gameWindow, onBlockedUrl: (details) => blocked.push(details) }).start(URL_PRIZE).run();
+        createPrizeActionRunner({ window: gameWindow }).start(URL_PRIZE).run();
+
+        assert.deepEqual(blocked, [{ prize: URL_PRIZE, url: 'https://casino.example/bonus' }]);
+        assert.equal(gameWindow.location, undefined);
+        assert.equal(warn.mock.callCount(), 1);
+    });
+
+    it('does nothing for a second click while the claim is pending', () => {
+        const { gameWindow, tabs } = createGameWindow();
+        const { start } = createPrizeActionRunner({ window: gameWindow });
+
+        start(URL_PRIZE, false, createButton(true)).run();
+        assert.equal(tabs.length, 0);
+
+        start(URL_PRIZE, false, createButton()).run();
+        assert.equal(tabs.length, 1);
+    });
+
+    it('hands deep links to the host handler of that name, else to the SDK', (t) => {
+        t.mock.method(console, 'error', () => {});
+        const { gameWindow, tabs, deepLinks } = createGameWindow();
+        const handled = [];
+        const { start } = createPrizeActionRunner({
+            window: gameWindow,
+            deepLinkHandlers: {
+                gf_saw: (details) => handled.push(details),
+                deposit: () => { throw new Error('Host failed'); }
+            },
+            getTemplateId: () => 1514
+        });
+
+        start(URL_PRIZE, true).run();
+        start({ id: 104, acknowledge_dp: 'dp:deposit' }).run();
+        start({ id: 105, acknowledge_dp: 'dp:inbox' }).run();
+        start({ id: 106, acknowledge_action_title: 'OK' }).run();
+
+        assert.deepEqual(handled, [{
+            templateId: 1514,
+            prize: URL_PRIZE,
+            link: 'dp:gf_saw&id=1515',
+            name: 'gf_saw',
+            params: { id: '1515' }
+        }]);
+        assert.deepEqual(deepLinks, ['dp:inbox']);
+        assert.equal(tabs.length, 0);
+    });
+});
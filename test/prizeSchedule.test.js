@@ -0,0 +1,638 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setClockNow, resetClock } from '../assets/js/clock.js';
+import {
+    AttemptPeriodType,
+    isUTCTimezone,
+    getPrizeTimezoneNow,
+    getISOWeekNumber,
+    getISOWeekYear,
+    getISOWeekday,
+    sortPrizes,
+    groupPrizesByDate,
+    getActivePrizeId,
+    getPrizeStatus,
+    findPrizeWonFromHistory,
+    findPendingHistoryItem,
+    getHistoryRangeStart,
+    getNextUnlock,
+    formatCountdown,
+    calculateStreak,
+    getStreakMilestones,
+    getCalendarCells,
+    getGroupedPrizesWithStatus,
+    getGroupRewards
+} from '../assets/js/prizeSchedule.js';
+
+// Local-time expectations below assume UTC unless a suite switches the zone explicitly
+process.env.TZ = 'UTC';
+
+const ts = (iso) => new Date(iso).getTime();
+
+const weekdayPrize = (id, weekdays, extra = {}) => ({
+    id,
+    weekdays,
+    max_give_period_type_id: AttemptPeriodType.CalendarDaysUserTimeZone,
+    ...extra
+});
+
+const datePrize = (id, fromIso, tillIso, extra = {}) => ({
+    id,
+    active_from_ts: ts(fromIso),
+    active_till_ts: ts(tillIso),
+    max_give_period_type_id: AttemptPeriodType.CalendarDaysUserTimeZone,
+    ...extra
+});
+
+const historyItem = (prizeId, iso, extra = {}) => ({
+    saw_prize_id: prizeId,
+    create_date_ts: ts(iso),
+    ...extra
+});
+
+afterEach(() => resetClock());
+
+describe('timezone utilities', () => {
+    it('detects UTC calendar days from max_give_period_type_id', () => {
+        assert.equal(isUTCTimezone({ max_give_period_type_id: AttemptPeriodType.CalendarDaysUTC }), true);
+        assert.equal(isUTCTimezone({ max_give_period_type_id: AttemptPeriodType.CalendarDaysUserTimeZone }), false);
+    });
+
+    it('falls back to relative_period_timezone for legacy prizes', () => {
+        assert.equal(isUTCTimezone({ relative_period_timezone: 0 }), true);
+        assert.equal(isUTCTimezone({}), false);
+    });
+
+    it('shifts now by relative_period_timezone for UTC prizes', () => {
+        setClockNow('2026-03-10T23:30:00Z');
+        const prize = { max_give_period_type_id: AttemptPeriodType.CalendarDaysUTC, relative_period_timezone: 120 };
+        const prizeNow = getPrizeTimezoneNow(prize);
+
+        assert.equal(prizeNow.getDate(), 11);
+        assert.equal(prizeNow.getHours(), 1);
+        assert.equal(prizeNow.getMinutes(), 30);
+    });
+
+    it('applies negative offsets across the day boundary', () => {
+        setClockNow('2026-03-11T02:00:00Z');
+        const prize = { max_give_period_type_id: AttemptPeriodType.CalendarDaysUTC, relative_period_timezone: -300 };
+
+        assert.equal(getPrizeTimezoneNow(prize).getDate(), 10);
+        assert.equal(getISOWeekday(getPrizeTimezoneNow(prize)), 2);
+    });
+
+    it('uses the game clock as-is for user timezone prizes', () => {
+        setClockNow('2026-03-10T23:30:00Z');
+        const prize = { max_give_period_type_id: AttemptPeriodType.CalendarDaysUserTimeZone, relative_period_timezone: 120 };
+
+        assert.equal(getPrizeTimezoneNow(prize).getTime(), ts('2026-03-10T23:30:00Z'));
+    });
+});
+
+describe('ISO weeks', () => {
+    it('maps Sunday to ISO weekday 7', () => {
+        assert.equal(getISOWeekday(new Date('2026-03-15T12:00:00Z')), 7);
+        assert.equal(getISOWeekday(new Date('2026-03-16T12:00:00Z')), 1);
+    });
+
+    it('puts the end of 2026 into ISO week 53', () => {
+        assert.equal(getISOWeekNumber(new Date('2026-12-28T12:00:00Z')), 53);
+        assert.equal(getISOWeekNumber(new Date('2026-12-31T12:00:00Z')), 53);
+        assert.equal(getISOWeekNumber(new Date('2027-01-03T12:00:00Z')), 53);
+        assert.equal(getISOWeekYear(new Date('2027-01-03T12:00:00Z')), 2026);
+    });
+
+    it('starts ISO week 1 on the Monday of the week containing January 4th', () => {
+        assert.equal(getISOWeekNumber(new Date('2027-01-04T12:00:00Z')), 1);
+        assert.equal(getISOWeekYear(new Date('2027-01-04T12:00:00Z')), 2027);
+        assert.equal(getISOWeekNumber(new Date('2025-12-29T12:00:00Z')), 1);
+        assert.equal(getISOWeekYear(new Date('2025-12-29T12:00:00Z')), 2026);
+    });
+});
+
+describe('sorting and grouping', () => {
+    it('sorts prizes by id first', () => {
+        const sorted = sortPrizes([{ id: 3 }, { id: 1 }, { id: 2 }]);
+        assert.deepEqual(sorted.map(p => p.id), [1, 2, 3]);
+    });
+
+    it('groups weekday prizes by every weekday they cover', () => {
+        const groups = groupPrizesByDate([
+            weekdayPrize(3, [3, 5]),
+            weekdayPrize(1, [1]),
+            weekdayPrize(2, [3])
+        ]);
+
+        assert.deepEqual(groups.map(g => g.groupId), [1, 3, 5]);
+        assert.deepEqual(groups[1].prizes.map(p => p.id), [2, 3]);
+        assert.deepEqual(groups[2].prizes.map(p => p.id), [3]);
+    });
+
+    it('groups date prizes by active_from_ts', () => {
+        const groups = groupPrizesByDate([
+            datePrize(2, '2026-03-11T00:00:00Z', '2026-03-11T23:59:59Z'),
+            datePrize(1, '2026-03-10T00:00:00Z', '2026-03-10T23:59:59Z'),
+            datePrize(3, '2026-03-10T00:00:00Z', '2026-03-10T23:59:59Z')
+        ]);
+
+        assert.deepEqual(groups.map(g => g.groupId), [ts('2026-03-10T00:00:00Z'), ts('2026-03-11T00:00:00Z')]);
+        assert.deepEqual(groups[0].prizes.map(p => p.id), [1, 3]);
+    });
+
+    it('drops prizes without a date range or weekdays', () => {
+        assert.deepEqual(groupPrizesByDate([{ id: 1 }, { id: 2, weekdays: [] }]), []);
+    });
+});
+
+describe('getActivePrizeId', () => {
+    it('finds today\'s weekday prize', () => {
+        setClockNow('2026-03-11T10:00:00Z'); // Wednesday
+        const groups = groupPrizesByDate([weekdayPrize(1, [1]), weekdayPrize(3, [3]), weekdayPrize(5, [5])]);
+
+        assert.equal(getActivePrizeId(groups), 3);
+    });
+
+    it('finds the date prize whose window contains now', () => {
+        setClockNow('2026-03-11T10:00:00Z');
+        const groups = groupPrizesByDate([
+            datePrize(1, '2026-03-10T00:00:00Z', '2026-03-10T23:59:59Z'),
+            datePrize(2, '2026-03-11T00:00:00Z', '2026-03-11T23:59:59Z')
+        ]);
+
+        assert.equal(getActivePrizeId(groups), 2);
+    });
+
+    it('switches day early for UTC prizes with a positive relative_period_timezone', () => {
+        setClockNow('2026-03-11T22:00:00Z'); // Wednesday in UTC, Thursday 01:00 in UTC+3
+        const utcPlus3 = { max_give_period_type_id: AttemptPeriodType.CalendarDaysUTC, relative_period_timezone: 180 };
+        const groups = groupPrizesByDate([
+            weekdayPrize(3, [3], utcPlus3),
+            weekdayPrize(4, [4], utcPlus3)
+        ]);
+
+        assert.equal(getActivePrizeId(groups), 4);
+    });
+
+    it('returns null when nothing is active', () => {
+        setClockNow('2026-03-11T10:00:00Z');
+        const groups = groupPrizesByDate([datePrize(1, '2026-03-20T00:00:00Z', '2026-03-20T23:59:59Z')]);
+
+        assert.equal(getActivePrizeId(groups), null);
+    });
+});
+
+describe('getPrizeStatus', () => {
+    describe('weekday schedule', () => {
+        it('marks today\'s prize active', () => {
+            setClockNow('2026-03-11T10:00:00Z'); // Wednesday
+            const status = getPrizeStatus(weekdayPrize(3, [3]), 3);
+
+            assert.equal(status.isActive, true);
+            assert.equal(status.isLocked, false);
+            assert.equal(status.isMissed, false);
+        });
+
+        it('marks an unclaimed past weekday missed', () => {
+            setClockNow('2026-03-11T10:00:00Z');
+            const status = getPrizeStatus(weekdayPrize(1, [1]), 1);
+
+            assert.equal(status.isMissed, true);
+            assert.equal(status.isLocked, false);
+        });
+
+        it('marks a claimed past weekday claimed, not missed', () => {
+            setClockNow('2026-03-11T10:00:00Z');
+            const status = getPrizeStatus(weekdayPrize(1, [1]), 1, historyItem(1, '2026-03-09T10:00:00Z'));
+
+            assert.equal(status.isClaimed, true);
+            assert.equal(status.isMissed, false);
+            assert.equal(status.isLocked, false);
+        });
+
+        it('marks a future weekday locked', () => {
+            setClockNow('2026-03-11T10:00:00Z');
+            const status = getPrizeStatus(weekdayPrize(5, [5]), 5);
+
+            assert.equal(status.isLocked, true);
+            assert.equal(status.isActive, false);
+        });
+    });
+
+    describe('date schedule', () => {
+        const prize = datePrize(1, '2026-03-11T00:00:00Z', '2026-03-11T23:59:59Z');
+
+        it('is locked before the window', () => {
+            setClockNow('2026-03-10T23:59:00Z');
+            assert.equal(getPrizeStatus(prize, prize.active_from_ts).isLocked, true);
+        });
+
+        it('is active inside the window', () => {
+            setClockNow('2026-03-11T00:00:00Z');
+            const status = getPrizeStatus(prize, prize.active_from_ts);
+
+            assert.equal(status.isActive, true);
+            assert.equal(status.isLocked, false);
+        });
+
+        it('is missed after the window when not claimed', () => {
+            setClockNow('2026-03-12T00:00:00Z');
+            const status = getPrizeStatus(prize, prize.active_from_ts);
+
+            assert.equal(status.isMissed, true);
+            assert.equal(status.isLocked, false);
+        });
+
+        it('stays claimed after the window when claimed', () => {
+            setClockNow('2026-03-12T00:00:00Z');
+            const status = getPrizeStatus(prize, prize.active_from_ts, historyItem(1, '2026-03-11T08:00:00Z'));
+
+            assert.equal(status.isClaimed, true);
+            assert.equal(status.isMissed, false);
+        });
+
+        it('follows relative_period_timezone for UTC prizes', () => {
+            const utcPlus2 = datePrize(2, '2026-03-11T00:00:00Z', '2026-03-11T23:59:59Z', {
+                max_give_period_type_id: AttemptPeriodType.CalendarDaysUTC,
+                relative_period_timezone: 120
+            });
+
+            setClockNow('2026-03-11T01:00:00Z'); // 03:00 in UTC+2, window opens at 02:00 shifted time
+            assert.equal(getPrizeStatus(utcPlus2, utcPlus2.active_from_ts).isActive, true);
+
+            setClockNow('2026-03-10T23:30:00Z'); // 01:30 in UTC+2
+            assert.equal(getPrizeStatus(utcPlus2, utcPlus2.active_from_ts).isLocked, true);
+        });
+    });
+
+    it('reports out of stock only for unclaimed non-surcharge prizes', () => {
+        setClockNow('2026-03-11T10:00:00Z');
+
+        assert.equal(getPrizeStatus(weekdayPrize(3, [3], { pool: 0 }), 3).isOutOfStock, true);
+        assert.equal(getPrizeStatus(weekdayPrize(3, [3], { pool: 0, is_surcharge: true }), 3).isOutOfStock, false);
+        assert.equal(getPrizeStatus(weekdayPrize(3, [3], { pool: 0 }), 3, historyItem(3, '2026-03-11T09:00:00Z')).isOutOfStock, false);
+    });
+
+    it('returns an empty status without a prize or group', () => {
+        assert.equal(getPrizeStatus(null, 1).isActive, false);
+        assert.equal(getPrizeStatus(weekdayPrize(1, [1]), undefined).isLocked, false);
+    });
+});
+
+describe('findPrizeWonFromHistory', () => {
+    it('matches weekday history from the current ISO week only', () => {
+        setClockNow('2026-03-11T10:00:00Z'); // Wednesday, week 11
+        const prizes = [weekdayPrize(1, [1])];
+
+        const thisWeek = findPrizeWonFromHistory(prizes, 1, [historyItem(1, '2026-03-09T10:00:00Z')]);
+        const lastWeek = findPrizeWonFromHistory(prizes, 1, [historyItem(1, '2026-03-02T10:00:00Z')]);
+
+        assert.equal(thisWeek.prize.id, 1);
+        assert.equal(lastWeek, null);
+    });
+
+    it('only matches the group of the weekday the prize was won on', () => {
+        setClockNow('2026-03-11T10:00:00Z');
+        const prizes = [weekdayPrize(1, [1, 2])];
+        const history = [historyItem(1, '2026-03-10T10:00:00Z')]; // Tuesday
+
+        assert.equal(findPrizeWonFromHistory(prizes, 1, history), null);
+        assert.equal(findPrizeWonFromHistory(prizes, 2, history).prize.id, 1);
+    });
+
+    it('keeps week 53 history across the calendar year boundary', () => {
+        const prizes = [weekdayPrize(1, [1])];
+        const history = [historyItem(1, '2026-12-28T10:00:00Z')]; // Monday of week 53
+
+        setClockNow('2027-01-03T23:00:00Z'); // Sunday, still week 53 of 2026
+        assert.equal(findPrizeWonFromHistory(prizes, 1, history).prize.id, 1);
+
+        setClockNow('2027-01-04T00:30:00Z'); // Monday, week 1 of 2027
+        assert.equal(findPrizeWonFromHistory(prizes, 1, history), null);
+    });
+
+    it('matches across the year boundary when ISO week 1 starts in December', () => {
+        setClockNow('2026-01-01T10:00:00Z'); // Thursday, week 1 of 2026
+        const prizes = [weekdayPrize(1, [1])];
+
+        assert.equal(findPrizeWonFromHistory(prizes, 1, [historyItem(1, '2025-12-29T10:00:00Z')]).prize.id, 1);
+    });
+
+    it('matches date history inside the prize window', () => {
+        setClockNow('2026-03-12T10:00:00Z');
+        const prize = datePrize(1, '2026-03-11T00:00:00Z', '2026-03-11T23:59:59Z');
+
+        const inside = findPrizeWonFromHistory([prize], prize.active_from_ts, [historyItem(1, '2026-03-11T20:00:00Z')]);
+        const outside = findPrizeWonFromHistory([prize], prize.active_from_ts, [historyItem(1, '2026-03-12T01:00:00Z')]);
+
+        assert.equal(inside.prize.id, 1);
+        assert.equal(outside, null);
+    });
+
+    it('returns the matching prize of a group with several prizes', () => {
+        setClockNow('2026-03-11T10:00:00Z');
+        const prizes = [weekdayPrize(1, [3]), weekdayPrize(2, [3])];
+        const result = findPrizeWonFromHistory(prizes, 3, [historyItem(2, '2026-03-11T09:00:00Z')]);
+
+        assert.equal(result.prize.id, 2);
+        assert.equal(result.historyItem.saw_prize_id, 2);
+    });
+
+    it('keeps explicit-acknowledge prizes claimed but unacknowledged until acknowledged', () => {
+        setClockNow('2026-03-11T10:00:00Z');
+        const prize = weekdayPrize(3, [3], { acknowledge_type: 'explicity-acknowledge' });
+
+        const pending = findPrizeWonFromHistory([prize], 3, [historyItem(3, '2026-03-11T09:00:00Z')]);
+        const pendingStatus = getPrizeStatus(pending.prize, 3, pending.historyItem);
+        assert.equal(pendingStatus.isClaimed, true);
+        assert.equal(pendingStatus.isAcknowledged, false);
+
+        const done = findPrizeWonFromHistory([prize], 3, [
+            historyItem(3, '2026-03-11T09:00:00Z', { acknowledge_date_ts: ts('2026-03-11T09:05:00Z') })
+        ]);
+        assert.equal(getPrizeStatus(done.prize, 3, done.historyItem).isAcknowledged, true);
+    });
+});
+
+describe('findPendingHistoryItem', () => {
+    const claimPrize = weekdayPrize(1, [1], { acknowledge_type: 'explicity-acknowledge' });
+
+    it('finds the win of an explicit-acknowledge prize that waits for the claim', () => {
+        const history = [historyItem(2, '2026-03-10T10:00:00Z'), historyItem(1, '2026-03-09T10:00:00Z')];
+        assert.equal(findPendingHistoryItem(claimPrize, history), history[1]);
+    });
+
+    it('finds nothing once the win was acknowledged', () => {
+        const history = [historyItem(1, '2026-03-09T10:00:00Z', { acknowledge_date_ts: ts('2026-03-09T10:05:00Z') })];
+        assert.equal(findPendingHistoryItem(claimPrize, history), null);
+    });
+
+    it('finds nothing for prizes without an explicit claim', () => {
+        const history = [historyItem(1, '2026-03-09T10:00:00Z')];
+        assert.equal(findPendingHistoryItem(weekdayPrize(1, [1]), history), null);
+        assert.equal(findPendingHistoryItem(undefined, history), null);
+    });
+});
+
+describe('getHistoryRangeStart', () => {
+    it('reaches back to this week\'s Monday for weekday prizes', () => {
+        setClockNow('2026-03-11T10:00:00Z'); // Wednesday
+        const prizes = [weekdayPrize(1, [3]), weekdayPrize(2, [5])];
+
+        assert.equal(getHistoryRangeStart(prizes), ts('2026-03-08T00:00:00Z')); // Monday minus a day
+    });
+
+    it('reaches back to the earliest active period of date prizes', () => {
+        const prizes = [
+            datePrize(1, '2026-03-10T00:00:00Z', '2026-03-10T23:59:59Z'),
+            datePrize(2, '2026-01-05T00:00:00Z', '2026-01-05T23:59:59Z')
+        ];
+
+        assert.equal(getHistoryRangeStart(prizes), ts('2026-01-04T00:00:00Z'));
+    });
+
+    it('needs the whole history for prizes without a schedule', () => {
+        assert.equal(getHistoryRangeStart([{ id: 1 }]), 0);
+        assert.equal(getHistoryRangeStart([]), 0);
+    });
+});
+
+describe('getNextUnlock', () => {
+    // The game clock keeps running after setClockNow, so allow for the time the test itself takes
+    const assertUnlock = (nextUnlock, groupId, remainingMs) => {
+        assert.equal(nextUnlock.groupId, groupId);
+        assert.ok(remainingMs - nextUnlock.remainingMs >= 0 && remainingMs - nextUnlock.remainingMs < 1000,
+            `expected ~${remainingMs}ms, got ${nextUnlock.remainingMs}ms`);
+    };
+
+    it('counts down to the next weekday group at midnight', () => {
+        setClockNow('2026-03-11T20:47:15Z'); // Wednesday
+        const groups = groupPrizesByDate([weekdayPrize(3, [3]), weekdayPrize(4, [4]), weekdayPrize(6, [6])]);
+
+        assertUnlock(getNextUnlock(groups), 4, (3 * 3600 + 12 * 60 + 45) * 1000);
+    });
+
+    it('wraps weekday schedules around to next week', () => {
+        setClockNow('2026-03-15T22:00:00Z'); // Sunday
+        const groups = groupPrizesByDate([weekdayPrize(1, [1]), weekdayPrize(3, [3])]);
+
+        assertUnlock(getNextUnlock(groups), 1, 2 * 3600000);
+    });
+
+    it('uses the relative_period_timezone boundary for UTC prizes', () => {
+        setClockNow('2026-03-11T20:00:00Z'); // 23:00 in UTC+3
+        const utcPlus3 = { max_give_period_type_id: AttemptPeriodType.CalendarDaysUTC, relative_period_timezone: 180 };
+        const groups = groupPrizesByDate([weekdayPrize(3, [3], utcPlus3), weekdayPrize(4, [4], utcPlus3)]);
+
+        assertUnlock(getNextUnlock(groups), 4, 3600000);
+    });
+
+    it('counts down to the next date group and stops after the last one', () => {
+        const groups = groupPrizesByDate([
+            datePrize(1, '2026-03-10T00:00:00Z', '2026-03-10T23:59:59Z'),
+            datePrize(2, '2026-03-11T00:00:00Z', '2026-03-11T23:59:59Z')
+        ]);
+
+        setClockNow('2026-03-10T23:30:00Z');
+        assertUnlock(getNextUnlock(groups), ts('2026-03-11T00:00:00Z'), 1800000);
+
+        setClockNow('2026-03-11T00:00:01Z');
+        assert.equal(getNextUnlock(groups), null);
+    });
+
+    it('formats countdowns with hours, minutes and seconds', () => {
+        assert.equal(formatCountdown((3 * 3600 + 12 * 60 + 45) * 1000), '03:12:45');
+        assert.equal(formatCountdown((2 * 86400 + 5) * 1000), '2d 00:00:05');
+        assert.equal(formatCountdown(-1000), '00:00:00');
+    });
+});
+
+describe('streaks', () => {
+    const week = () => groupPrizesByDate([1, 2, 3, 4, 5, 6, 7].map(day => weekdayPrize(day, [day])));
+
+    it('counts the current streak up to today without breaking on today\'s open box', () => {
+        setClockNow('2026-03-13T10:00:00Z'); // Friday
+        const history = ['2026-03-09', '2026-03-10', '2026-03-11', '2026-03-12']
+            .map((date, i) => historyItem(i + 1, `${date}T10:00:00Z`));
+
+        assert.deepEqual(calculateStreak(week(), history), {
+            currentStreak: 4,
+            longestStreak: 4,
+            missedDays: 0,
+            claimedDays: 4,
+            totalDays: 7
+        });
+    });
+
+    it('resets the current streak on a missed day but keeps the longest', () => {
+        setClockNow('2026-03-13T10:00:00Z'); // Friday, Wednesday missed
+        const history = [
+            historyItem(1, '2026-03-09T10:00:00Z'),
+            historyItem(2, '2026-03-10T10:00:00Z'),
+            historyItem(4, '2026-03-12T10:00:00Z')
+        ];
+        const streak = calculateStreak(week(), history);
+
+        assert.equal(streak.currentStreak, 1);
+        assert.equal(streak.longestStreak, 2);
+        assert.equal(streak.missedDays, 1);
+    });
+
+    it('includes today once it is claimed', () => {
+        setClockNow('2026-03-10T18:00:00Z'); // Tuesday
+        const history = [historyItem(1, '2026-03-09T10:00:00Z'), historyItem(2, '2026-03-10T10:00:00Z')];
+
+        assert.equal(calculateStreak(week(), history).currentStreak, 2);
+    });
+
+    it('starts over with the new ISO week for weekday schedules', () => {
+        setClockNow('2026-03-16T10:00:00Z'); // Monday of the next week
+        const history = [historyItem(6, '2026-03-14T10:00:00Z'), historyItem(7, '2026-03-15T10:00:00Z')];
+
+        assert.equal(calculateStreak(week(), history).currentStreak, 0);
+    });
+
+    it('normalizes streak milestones from numbers and objects', () => {
+        const milestones = getStreakMilestones([3, { day: 7, label: 'Bonus box' }, 0, { label: 'no day' }]);
+
+        assert.deepEqual([...milestones.entries()], [[3, ''], [7, 'Bonus box']]);
+        assert.equal(getStreakMilestones(undefined).size, 0);
+    });
+});
+
+describe('getGroupedPrizesWithStatus', () => {
+    it('resolves the display prize, won prize, status and today flag per group', () => {
+        setClockNow('2026-03-11T10:00:00Z'); // Wednesday
+        const weekPrizes = [1, 2, 3, 4, 5, 6, 7].map(day => weekdayPrize(day, [day]));
+        const bonusPrize = weekdayPrize(8, [2], { name: 'bonus' });
+        const history = [historyItem(8, '2026-03-10T10:00:00Z')];
+
+        const groups = getGroupedPrizesWithStatus(groupPrizesByDate([...weekPrizes, bonusPrize]), history, [{ day: 3, label: 'Bonus' }]);
+        const tuesday = groups[1];
+        const wednesday = groups[2];
+
+        assert.equal(groups.length, 7);
+        assert.equal(tuesday.displayPrize.id, 2);
+        assert.equal(tuesday.prize.id, 8);
+        assert.equal(tuesday.prizeWon.id, 8);
+        assert.equal(tuesday.status.isClaimed, true);
+        assert.equal(tuesday.isToday, false);
+        assert.equal(wednesday.isToday, true);
+        assert.equal(wednesday.status.isActive, true);
+        assert.equal(wednesday.prizeWon, null);
+        assert.equal(wednesday.isMilestone, true);
+        assert.equal(wednesday.milestoneLabel, 'Bonus');
+        assert.equal(wednesday.date.getDate(), 11);
+    });
+});
+
+describe('getGroupRewards', () => {
+    it('lists every prize of the group with its stock and surcharge flag', () => {
+        const groups = groupPrizesByDate([
+            weekdayPrize(1, [3], { pool: 12 }),
+            weekdayPrize(2, [3]),
+            weekdayPrize(3, [3], { pool: 0 }),
+            weekdayPrize(4, [3], { pool: 0, is_surcharge: true }),
+            weekdayPrize(5, [4], { pool: 5 })
+        ]);
+        const rewards = getGroupRewards(groups[0]);
+
+        assert.deepEqual(rewards.map(({ prize, ...reward }) => ({ id: prize.id, ...reward })), [
+            { id: 1, stock: 12, isSurcharge: false, isOutOfStock: false },
+            { id: 2, stock: null, isSurcharge: false, isOutOfStock: false },
+            { id: 3, stock: 0, isSurcharge: false, isOutOfStock: true },
+            { id: 4, stock: 0, isSurcharge: true, isOutOfStock: false }
+        ]);
+    });
+});
+
+describe('calendar grid', () => {
+    const dayOf = (cell) => cell.date.getDate();
+
+    it('lays a weekday schedule out as the current Monday-to-Sunday week', () => {
+        setClockNow('2026-03-11T10:00:00Z'); // Wednesday
+        const cells = getCalendarCells(groupPrizesByDate([1, 2, 3, 4, 5, 6, 7].map(day => weekdayPrize(day, [day]))));
+
+        assert.deepEqual(cells.map(cell => cell.groupId), [1, 2, 3, 4, 5, 6, 7]);
+        assert.deepEqual(cells.map(dayOf), [9, 10, 11, 12, 13, 14, 15]);
+    });
+
+    it('pads a date schedule to whole weeks and leaves gaps empty', () => {
+        const grouped = groupPrizesByDate([
+            datePrize(1, '2026-04-29T00:00:00Z', '2026-04-29T23:59:59Z'), // Wednesday
+            datePrize(2, '2026-04-30T00:00:00Z', '2026-04-30T23:59:59Z'),
+            datePrize(3, '2026-05-02T00:00:00Z', '2026-05-02T23:59:59Z')  // Saturday, Friday skipped
+        ]);
+        const cells = getCalendarCells(grouped);
+
+        assert.equal(cells.length, 7);
+        assert.deepEqual(cells.map(dayOf), [27, 28, 29, 30, 1, 2, 3]);
+        assert.deepEqual(cells.map(cell => cell.index), [null, null, 0, 1, null, 2, null]);
+        assert.equal(cells[2].groupId, grouped[0].groupId);
+    });
+
+    it('spans several weeks for a month-long schedule', () => {
+        const prizes = Array.from({ length: 31 }, (_, i) => {
+            const day = String(i + 1).padStart(2, '0');
+            return datePrize(i + 1, `2026-03-${day}T00:00:00Z`, `2026-03-${day}T23:59:59Z`);
+        });
+        const cells = getCalendarCells(groupPrizesByDate(prizes));
+
+        // March 2026 starts on a Sunday and ends on a Tuesday
+        assert.equal(cells.length, 6 * 7);
+        assert.equal(cells.findIndex(cell => cell.index === 0), 6);
+        assert.equal(cells.filter(cell => cell.groupId !== null).length, 31);
+    });
+
+    it('returns no cells for an empty schedule', () => {
+        assert.deepEqual(getCalendarCells([]), []);
+    });
+});
+
+describe('DST days (Europe/Berlin)', () => {
+    before(() => {
+        process.env.TZ = 'Europe/Berlin';
+    });
+
+    after(() => {
+        process.env.TZ = 'UTC';
+    });
+
+    // 2026-03-29 is the spring-forward day in Berlin: local midnight is 23:00Z the day before,
+    // and the day is only 23 hours long
+    const springForward = datePrize(1, '2026-03-28T23:00:00Z', '2026-03-29T21:59:59.999Z');
+
+    it('keeps the 23-hour day active until local midnight', () => {
+        setClockNow('2026-03-29T21:30:00Z'); // 23:30 CEST
+        const status = getPrizeStatus(springForward, springForward.active_from_ts);
+
+        assert.equal(status.isActive, true);
+        assert.equal(status.isMissed, false);
+    });
+
+    it('misses the 23-hour day right after local midnight', () => {
+        setClockNow('2026-03-29T22:30:00Z'); // 00:30 CEST on March 30
+        assert.equal(getPrizeStatus(springForward, springForward.active_from_ts).isMissed, true);
+    });
+
+    it('matches history written late on the DST day', () => {
+        setClockNow('2026-03-30T08:00:00Z');
+        const result = findPrizeWonFromHistory([springForward], springForward.active_from_ts, [
+            historyItem(1, '2026-03-29T21:30:00Z')
+        ]);
+
+        assert.equal(result.prize.id, 1);
+    });
+
+    it('keeps UTC prizes on the UTC weekday while local time is already the next day', () => {
+        setClockNow('2026-03-29T23:30:00Z'); // Sunday 23:30 UTC, Monday 01:30 CEST
+        const utcPrizes = groupPrizesByDate([
+            weekdayPrize(7, [7], { max_give_period_type_id: AttemptPeriodType.CalendarDaysUTC, relative_period_timezone: 0 }),
+            weekdayPrize(1, [1], { max_give_period_type_id: AttemptPeriodType.CalendarDaysUTC, relative_period_timezone: 0 })
+        ]);
+        const localPrizes = groupPrizesByDate([weekdayPrize(7, [7]), weekdayPrize(1, [1])]);
+
+        assert.equal(getActivePrizeId(utcPrizes), 7);
+        assert.equal(getActivePrizeId(localPrizes), 1);
+    });
+});
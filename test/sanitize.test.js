@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { escapeHTML, sanitizeUrl, cssUrl, sanitizeRichText } from '../assets/js/sanitize.js';
+
+describe('escapeHTML', () => {
+    it('escapes markup and quotes', () => {
+        assert.equal(escapeHTML(`5 "Free" <b>Spins</b> & Bob's bonus`), '5 &quot;Free&quot; &lt;b&gt;Spins&lt;/b&gt; &amp; Bob&#39;s bonus');
+        assert.equal(escapeHTML(undefined), '');
+        assert.equal(escapeHTML(42), '42');
+    });
+});
+
+describe('sanitizeUrl', () => {
+    it('accepts http(s), relative and base64 image URLs', () => {
+        assert.equal(sanitizeUrl(' https://cdn.brand.com/prize.png '), 'https://cdn.brand.com/prize.png');
+        assert.equal(sanitizeUrl('//cdn.brand.com/prize.png'), '//cdn.brand.com/prize.png');
+        assert.equal(sanitizeUrl('assets/img/prize.png?v=1:2'), 'assets/img/prize.png?v=1:2');
+        assert.equal(sanitizeUrl('data:image/png;base64,iVBORw0KGgo='), 'data:image/png;base64,iVBORw0KGgo=');
+    });
+
+    it('refuses other schemes and control characters', () => {
+        assert.equal(sanitizeUrl('javascript:alert(1)'), '');
+        assert.equal(sanitizeUrl('JavaScript:alert(1)'), '');
+        assert.equal(sanitizeUrl('java\tscript:alert(1)'), '');
+        assert.equal(sanitizeUrl('data:text/html,<script>alert(1)</script>'), '');
+        assert.equal(sanitizeUrl('data:image/svg+xml;base64,PHN2Zz4='), '');
+        assert.equal(sanitizeUrl(null), '');
+    });
+});
+
+describe('cssUrl', () => {
+    it('quotes the URL so it cannot end the value', () => {
+        assert.equal(cssUrl(`prize.png'); background: red; ('`), `url("prize.png'); background: red; ('")`);
+        assert.equal(cssUrl('a"b.png'), 'url("a\\"b.png")');
+        assert.equal(cssUrl('javascript:alert(1)'), 'none');
+        assert.equal(cssUrl(undefined), 'none');
+    });
+});
+
+describe('sanitizeRichText', () => {
+    it('keeps whitelisted formatting without attributes', () => {
+        assert.equal(
+            sanitizeRichText('<p class="x" onclick="alert(1)">Open <b>one</b> box a day<br/>&nbsp;&euro;5 min.</p>'),
+            '<p>Open <b>one</b> box a day<br>&nbsp;&euro;5 min.</p>'
+        );
+    });
+
+    it('removes scripts, event handlers and unknown tags', () => {
+        assert.equal(sanitizeRichText('Hi<script>alert("x")</script> there'), 'Hi there');
+        assert.equal(sanitizeRichText('<img src=x onerror=alert(1)>Prize'), 'Prize');
+        assert.equal(sanitizeRichText('<div><iframe src="//evil"></iframe>Text</div>'), 'Text');
+        assert.equal(sanitizeRichText('<scr<script>ipt>alert(1)</script>'), 'ipt&gt;alert(1)');
+        assert.equal(sanitizeRichText('<!-- note -->1 < 2 & 3 > 2'), '1 &lt; 2 &amp; 3 &gt; 2');
+    });
+
+    it('keeps safe links only and opens them in a new tab', () => {
+        assert.equal(
+            sanitizeRichText('<a href="https://brand.com/terms?a=1&amp;b=2" style="color:red">Terms</a>'),
+            '<a href="https://brand.com/terms?a=1&amp;b=2" target="_blank" rel="noopener noreferrer">Terms</a>'
+        );
+        assert.equal(sanitizeRichText('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+        assert.equal(sanitizeRichText('<a href="javascript&#58;alert(1)">x</a>'), '<a>x</a>');
+    });
+
+    it('closes unclosed tags and drops stray closing tags', () => {
+        assert.equal(sanitizeRichText('<ul><li>One<li>Two</ul></div>'), '<ul><li>One<li>Two</li></li></ul>');
+        assert.equal(sanitizeRichText('<b><i>Bold'), '<b><i>Bold</i></b>');
+        assert.equal(sanitizeRichText(undefined), '');
+    });
+});
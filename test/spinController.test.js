@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSpinController, SPIN_UNCONFIRMED } from '../assets/js/spinController.js';
+
+const TEMPLATE_ID = 1514;
+const knownHistory = [{ request_id: 'req-1', saw_prize_id: 201 }];
+const won = { err_code: 0, err_message: '', prize_id: 202 };
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const later = (value, ms) => wait(ms).then(() => value);
+
+/**
+ * Builds a controller whose requests are answered by the given functions, counting the calls.
+ */
+const setup = ({ play, history = knownHistory, ...options }) => {
+    const calls = { play: 0, history: 0, late: [] };
+    const controller = createSpinController({
+        play: (templateId) => {
+            calls.play++;
+            return play(templateId, calls.play);
+        },
+        fetchHistory: async () => {
+            calls.history++;
+            if (history instanceof Error) throw history;
+            return history;
+        },
+        onLateResponse: (response) => calls.late.push(response),
+        timeoutMs: 30,
+        retryDelayMs: 0,
+        ...options
+    });
+    return { controller, calls };
+};
+
+describe('createSpinController', () => {
+    it('returns the answer of the request', async () => {
+        const { controller, calls } = setup({ play: async () => won });
+
+        assert.deepEqual(await controller.spin(TEMPLATE_ID, knownHistory), won);
+        assert.equal(calls.play, 1);
+        assert.equal(calls.history, 0);
+        assert.equal(controller.isBusy, false);
+    });
+
+    it('keeps a single request in flight', async () => {
+        const { controller, calls } = setup({ play: () => later(won, 10) });
+
+        const first = controller.spin(TEMPLATE_ID, knownHistory);
+        const second = controller.spin(TEMPLATE_ID, knownHistory);
+        assert.equal(controller.isBusy, true);
+        assert.equal(second, first);
+        await first;
+        assert.equal(calls.play, 1);
+    });
+
+    it('returns server errors without checking the history', async () => {
+        const { controller, calls } = setup({ play: async () => ({ err_code: 40004, err_message: 'Max spins reached' }) });
+
+        assert.equal((await controller.spin(TEMPLATE_ID, knownHistory)).err_code, 40004);
+        assert.equal(calls.history, 0);
+    });
+
+    it('counts a failed request that the server played as won, without sending it again', async () => {
+        const { controller, calls } = setup({
+            play: async () => { throw new Error('Network error'); },
+            history: [{ request_id: 'req-2', saw_prize_id: 203 }, ...knownHistory]
+        });
+
+        const response = await controller.spin(TEMPLATE_ID, knownHistory);
+        assert.deepEqual(response, { err_code: 0, err_message: '', prize_id: 203, reconciled: true });
+        assert.equal(calls.play, 1);
+    });
+
+    it('sends a failed request once more when the history shows it was not played', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const { controller, calls } = setup({
+            play: async (templateId, call) => {
+                if (call === 1) throw new Error('Network error');
+                return won;
+            }
+        });
+
+        assert.deepEqual(await controller.spin(TEMPLATE_ID, knownHistory), won);
+        assert.equal(calls.play, 2);
+    });
+
+    it('gives up after the retry failed too', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const { controller, calls } = setup({ play: async () => { throw new Error('Network error'); } });
+
+        await assert.rejects(controller.spin(TEMPLATE_ID, knownHistory), /Network error/);
+        assert.equal(calls.play, 2);
+        assert.equal(controller.isBusy, false);
+    });
+
+    it('does not send again when the history cannot be read', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const { controller, calls } = setup({
+            play: async () => { throw new Error('Network error'); },
+            history: new Error('Offline')
+        });
+
+        assert.equal((await controller.spin(TEMPLATE_ID, knownHistory)).err_code, SPIN_UNCONFIRMED);
+        assert.equal(calls.play, 1);
+    });
+
+    it('reports an unanswered request as unconfirmed and passes its late answer on', async () => {
+        const { controller, calls } = setup({ play: () => later(won, 60) });
+
+        assert.equal((await controller.spin(TEMPLATE_ID, knownHistory)).err_code, SPIN_UNCONFIRMED);
+        assert.equal(calls.history, 1);
+
+        // Nothing is sent while the first request may still be played
+        assert.equal(controller.isBusy, true);
+        assert.equal((await controller.spin(TEMPLATE_ID, knownHistory)).err_code, SPIN_UNCONFIRMED);
+        assert.equal(calls.play, 1);
+
+        await wait(60);
+        assert.deepEqual(calls.late, [won]);
+        assert.equal(controller.isBusy, false);
+    });
+
+    it('counts an unanswered request found in the history as won', async () => {
+        const { controller } = setup({
+            play: () => later(won, 60),
+            history: [{ request_id: 'req-2', saw_prize_id: 202 }, ...knownHistory]
+        });
+
+        const response = await controller.spin(TEMPLATE_ID, knownHistory);
+        assert.equal(response.err_code, 0);
+        assert.equal(response.prize_id, 202);
+        assert.equal(response.reconciled, true);
+        await wait(60);
+    });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getSpinCost, getBalance, canAffordSpin, formatCurrencyAmount } from '../assets/js/spinCost.js';
+
+const player = { ach_points_balance: 120, ach_gems_balance: 4, ach_diamonds_balance: 0 };
+
+describe('getSpinCost', () => {
+    it('reads the currency and the amount of paid templates', () => {
+        assert.deepEqual(getSpinCost({ saw_buyin_type: 'points', buyin_cost_points: 50 }), { type: 'points', amount: 50 });
+        assert.deepEqual(getSpinCost({ saw_buyin_type: 'diamonds', buyin_cost_points: '2' }), { type: 'diamonds', amount: 2 });
+    });
+
+    it('treats free, spin-based and zero-cost templates as free', () => {
+        assert.equal(getSpinCost({ saw_buyin_type: 'free', buyin_cost_points: 50 }), null);
+        assert.equal(getSpinCost({ saw_buyin_type: 'spins', buyin_cost_points: 1 }), null);
+        assert.equal(getSpinCost({ saw_buyin_type: 'gems', buyin_cost_points: 0 }), null);
+        assert.equal(getSpinCost({}), null);
+        assert.equal(getSpinCost(undefined), null);
+    });
+});
+
+describe('balance checks', () => {
+    it('compares the balance of the currency with the cost', () => {
+        assert.equal(getBalance(player, 'gems'), 4);
+        assert.equal(getBalance({}, 'points'), 0);
+        assert.equal(canAffordSpin({ type: 'points', amount: 120 }, player), true);
+        assert.equal(canAffordSpin({ type: 'gems', amount: 5 }, player), false);
+        assert.equal(canAffordSpin({ type: 'diamonds', amount: 1 }, player), false);
+        assert.equal(canAffordSpin(null, {}), true);
+    });
+});
+
+describe('formatCurrencyAmount', () => {
+    it('uses the translation of the currency with {amount}', () => {
+        assert.equal(formatCurrencyAmount(50, 'points', {}), '50 points');
+        assert.equal(formatCurrencyAmount(1, 'diamonds', { lootboxCurrencyDiamonds: '{amount} 💎' }), '1 💎');
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeTheme, mergeThemes, getThemeProperties } from '../assets/js/theme.js';
+
+const THEME_FILE_URL = 'https://cdn.brand.com/lootbox/themes/ocean.json';
+
+describe('normalizeTheme', () => {
+    it('resolves image and font URLs against the theme file', () => {
+        const theme = normalizeTheme({
+            box_image: '../images/box.png',
+            lock_image: 'https://static.brand.com/lock.svg',
+            font_url: 'fonts.css'
+        }, THEME_FILE_URL);
+
+        assert.deepEqual(theme, {
+            box_image: 'https://cdn.brand.com/lootbox/images/box.png',
+            lock_image: 'https://static.brand.com/lock.svg',
+            font_url: 'https://cdn.brand.com/lootbox/themes/fonts.css'
+        });
+    });
+
+    it('drops unknown keys and empty or non-string values', () => {
+        const theme = normalizeTheme({
+            primary_color: ' #0A84FF ',
+            secondary_color: '',
+            title_font: 42,
+            game_layout: 2
+        }, THEME_FILE_URL);
+
+        assert.deepEqual(theme, { primary_color: '#0A84FF' });
+        assert.deepEqual(normalizeTheme(undefined, THEME_FILE_URL), {});
+    });
+
+    it('refuses URLs with an unsafe scheme', () => {
+        const theme = normalizeTheme({
+            box_image: 'javascript:alert(1)',
+            font_url: 'data:text/css,body{}',
+            lock_image: 'lock.svg'
+        }, THEME_FILE_URL);
+
+        assert.deepEqual(theme, { lock_image: 'https://cdn.brand.com/lootbox/themes/lock.svg' });
+    });
+
+    it('uses a single background on both devices', () => {
+        const theme = normalizeTheme({ background_image: 'bg.jpg' }, THEME_FILE_URL);
+        assert.equal(theme.background_image_mobile, 'https://cdn.brand.com/lootbox/themes/bg.jpg');
+
+        const split = normalizeTheme({ background_image: 'bg.jpg', background_image_mobile: 'bg-mobile.jpg' }, THEME_FILE_URL);
+        assert.equal(split.background_image_mobile, 'https://cdn.brand.com/lootbox/themes/bg-mobile.jpg');
+    });
+});
+
+describe('mergeThemes', () => {
+    const PAGE_URL = 'https://games.example/lootbox/index.html';
+
+    it('lets the inline theme win, resolving each theme against its own URL', () => {
+        const theme = mergeThemes(
+            { lock_image: 'lock.svg', box_image: 'box.png', primary_color: '#111111' },
+            THEME_FILE_URL,
+            { box_image: 'img/box.png', primary_color: '#0A84FF' },
+            PAGE_URL
+        );
+
+        assert.deepEqual(theme, {
+            lock_image: 'https://cdn.brand.com/lootbox/themes/lock.svg',
+            box_image: 'https://games.example/lootbox/img/box.png',
+            primary_color: '#0A84FF'
+        });
+    });
+
+    it('uses an inline background on mobile too', () => {
+        const theme = mergeThemes({ background_image: 'bg.jpg' }, THEME_FILE_URL, { background_image: 'https://cdn.example/winter.jpg' }, PAGE_URL);
+
+        assert.equal(theme.background_image, 'https://cdn.example/winter.jpg');
+        assert.equal(theme.background_image_mobile, 'https://cdn.example/winter.jpg');
+    });
+});
+
+describe('getThemeProperties', () => {
+    it('maps the theme to custom properties, images as url() or none', () => {
+        const properties = getThemeProperties(normalizeTheme({
+            glow_image: 'glow "soft".png',
+            primary_decoration_image: 'none',
+            title_stroke_color: '#123456',
+            body_font: '"Lexend Deca", sans-serif',
+            font_url: 'fonts.css'
+        }, THEME_FILE_URL));
+
+        assert.deepEqual(properties, {
+            '--lootbox-glow-image': 'url("https://cdn.brand.com/lootbox/themes/glow%20%22soft%22.png")',
+            '--lootbox-primary-decoration-image': 'none',
+            '--lootbox-title-stroke-color': '#123456',
+            '--lootbox-body-font': '"Lexend Deca", sans-serif'
+        });
+    });
+});